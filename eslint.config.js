@@ -44,6 +44,15 @@ export default [
                 UIStateManager: 'readonly',
                 ChangeManager: 'readonly',
                 NodeLabelService: 'readonly',
+                QueueAclService: 'readonly',
+                EffectiveResourceService: 'readonly',
+                ConfigImportService: 'readonly',
+                MutationReplayService: 'readonly',
+                PartialApplyService: 'readonly',
+                ConfigHistoryService: 'readonly',
+                StagedChangesStorageService: 'readonly',
+                LiveDataPollingService: 'readonly',
+                PropertyPresetService: 'readonly',
                 AutoCreationService: 'readonly',
                 DiagnosticService: 'readonly',
                 DefaultValueProvider: 'readonly',
@@ -58,11 +67,22 @@ export default [
                 ControlsView: 'readonly',
                 BatchControlsView: 'readonly',
                 GlobalConfigView: 'readonly',
+                PlacementRulesView: 'readonly',
+                PlacementRuleSimulatorView: 'readonly',
+                NodeLabelsView: 'readonly',
+                HistoryView: 'readonly',
                 QueueTreeView: 'readonly',
                 BulkOperationsView: 'readonly',
                 AddQueueModalView: 'readonly',
                 EditQueueModalView: 'readonly',
+                DuplicateQueueModalView: 'readonly',
+                RebalanceCapacityModalView: 'readonly',
                 InfoQueueModalView: 'readonly',
+                AccessResolverModalView: 'readonly',
+                ExportConfigModalView: 'readonly',
+                ConcurrentChangesModalView: 'readonly',
+                ResetConfigStoreModalView: 'readonly',
+                PhasedApplyModalView: 'readonly',
                 BaseModalView: 'readonly',
                 QueueCardView: 'readonly',
 
@@ -77,6 +97,10 @@ export default [
                 ChangePreview: 'readonly',
                 BulkOperations: 'readonly',
                 TooltipHelper: 'readonly',
+                PlacementRuleParser: 'readonly',
+                PlacementRuleSimulator: 'readonly',
+                CapacityRebalancer: 'readonly',
+                SchedulerConfigFile: 'readonly',
                 Result: 'readonly',
                 ValidationResult: 'readonly',
 
@@ -95,6 +119,8 @@ export default [
                 CAPACITY_MODES: 'readonly',
                 OPERATION_TYPES: 'readonly',
                 DEFAULT_PARTITION: 'readonly',
+                SEARCH_MODES: 'readonly',
+                PLACEMENT_RULE_PROPERTIES: 'readonly',
 
                 // Metadata Objects
                 GLOBAL_CONFIG_METADATA: 'readonly',
@@ -102,6 +128,8 @@ export default [
                 QUEUE_CONFIG_METADATA: 'readonly',
                 SCHEDULER_INFO_METADATA: 'readonly',
                 AUTO_CREATION_CONFIG_METADATA: 'readonly',
+                PLACEMENT_RULES_METADATA: 'readonly',
+                QUEUE_ACL_METADATA: 'readonly',
 
                 // Global Functions/Objects
                 getEventBus: 'readonly',
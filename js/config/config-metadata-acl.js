@@ -0,0 +1,36 @@
+/**
+ * Metadata for queue ACL configurations.
+ *
+ * ACL values use the YARN "users groups" format: a comma-separated user list,
+ * a single space, then a comma-separated group list. "*" allows everyone and
+ * " " (a single space) allows nobody.
+ *
+ * Example: To add a new ACL property:
+ * [`yarn.scheduler.capacity.${Q_PATH_PLACEHOLDER}.acl_new_permission`]: {
+ *   key: 'acl_new_permission',
+ *   displayName: 'My New Permission',
+ *   description: 'Description of the permission',
+ *   type: 'acl',
+ * }
+ */
+
+const QUEUE_ACL_METADATA = {
+    [`yarn.scheduler.capacity.${Q_PATH_PLACEHOLDER}.acl_submit_applications`]: {
+        key: 'acl_submit_applications',
+        displayName: 'Submit Applications',
+        description:
+            'Users and groups that can submit applications to this queue. Permissions are inherited: anyone allowed on an ancestor queue is also allowed here.',
+        type: 'acl',
+        rootDefaultValue: '*',
+        defaultValue: ' ',
+    },
+    [`yarn.scheduler.capacity.${Q_PATH_PLACEHOLDER}.acl_administer_queue`]: {
+        key: 'acl_administer_queue',
+        displayName: 'Administer Queue',
+        description:
+            'Users and groups that can administer this queue, e.g. kill applications or change priorities. Administrators can also submit applications.',
+        type: 'acl',
+        rootDefaultValue: '*',
+        defaultValue: ' ',
+    },
+};
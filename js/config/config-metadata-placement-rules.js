@@ -0,0 +1,52 @@
+/**
+ * @file Metadata for queue placement (mapping) rules.
+ * Defines the YARN properties that hold placement rules and the options
+ * available for rule types, policies and fallback results.
+ */
+
+const PLACEMENT_RULE_PROPERTIES = {
+    FORMAT: 'yarn.scheduler.capacity.mapping-rule-format',
+    JSON_RULES: 'yarn.scheduler.capacity.mapping-rule-json',
+    QUEUE_MAPPINGS: 'yarn.scheduler.capacity.queue-mappings',
+    APP_NAME_MAPPINGS: 'yarn.scheduler.queue-placement-rules.app-name',
+    OVERRIDE_ENABLED: 'yarn.scheduler.capacity.queue-mappings-override.enable',
+};
+
+const PLACEMENT_RULES_METADATA = {
+    formats: {
+        legacy: {
+            displayName: 'Legacy (queue-mappings)',
+            description:
+                'User and group rules are read from queue-mappings, application rules from queue-placement-rules.app-name. User and group rules are always evaluated before application rules.',
+        },
+        json: {
+            displayName: 'JSON (mapping-rule-json)',
+            description: 'Rules are stored as a JSON document and evaluated strictly in the listed order.',
+        },
+    },
+    defaultFormat: 'legacy',
+    ruleTypes: {
+        user: { displayName: 'User', legacyPrefix: 'u' },
+        group: { displayName: 'Group', legacyPrefix: 'g' },
+        application: { displayName: 'Application', legacyPrefix: null },
+    },
+    policies: {
+        custom: { displayName: 'Custom placement', targetField: 'customPlacement' },
+        specified: { displayName: 'Queue specified at submission', targetField: null },
+        user: { displayName: 'User name', targetField: 'parentQueue' },
+        primaryGroup: { displayName: 'Primary group', targetField: 'parentQueue' },
+        secondaryGroup: { displayName: 'Secondary group', targetField: 'parentQueue' },
+        primaryGroupUser: { displayName: 'User under primary group', targetField: 'parentQueue' },
+        secondaryGroupUser: { displayName: 'User under secondary group', targetField: 'parentQueue' },
+        applicationName: { displayName: 'Application name', targetField: 'parentQueue' },
+        defaultQueue: { displayName: 'Default queue', targetField: null },
+        setDefaultQueue: { displayName: 'Set default queue', targetField: 'value' },
+        reject: { displayName: 'Reject', targetField: null },
+    },
+    fallbackResults: {
+        skip: 'Skip to next rule',
+        placeDefault: 'Place in default queue',
+        reject: 'Reject application',
+    },
+    defaultFallbackResult: 'skip',
+};
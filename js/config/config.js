@@ -4,18 +4,31 @@
 
 const CONFIG = {
     USER_NAME: 'yarn', // Default user for API calls
+    CLUSTER_NAME: null, // Typed to confirm destructive admin actions; null reads yarn.resourcemanager.cluster-id
     USE_MOCKS: true, // Set to false to use live API, true for mock data
     USE_LARGE_MOCKS: false,
     API_BASE_URL: globalThis.location.origin || '', // Base URL for API calls
     API_ENDPOINTS: {
         SCHEDULER_CONF: '/ws/v1/cluster/scheduler-conf',
+        SCHEDULER_CONF_VALIDATE: '/ws/v1/cluster/scheduler-conf/validate',
+        SCHEDULER_CONF_VERSION: '/ws/v1/cluster/scheduler-conf/version',
+        SCHEDULER_CONF_FORMAT: '/ws/v1/cluster/scheduler-conf/format',
         SCHEDULER_INFO: '/ws/v1/cluster/scheduler',
         CLUSTER_NODES: '/ws/v1/cluster/nodes',
+        NODE_LABELS: '/ws/v1/cluster/get-node-labels',
+        NODE_TO_LABELS: '/ws/v1/cluster/get-node-to-labels',
+        ADD_NODE_LABELS: '/ws/v1/cluster/add-node-labels',
+        REMOVE_NODE_LABELS: '/ws/v1/cluster/remove-node-labels',
+        REPLACE_NODE_TO_LABELS: '/ws/v1/cluster/replace-node-to-labels',
         // CLUSTER_INFO: "/ws/v1/cluster/info", // If needed later
+        RM_CONF: '/conf',
     },
     TIMEOUTS: {
         ARROW_RENDER: 150, // Delay for arrow rendering after UI updates
         API_RETRY: 5000, // Timeout for API retries
+        QUEUE_DRAIN_POLL: 5000, // Interval for checking whether stopped queues have drained
+        QUEUE_DRAIN_MAX: 30 * 60 * 1000, // Phased apply gives up if stopped queues have not drained by then
+        AUTO_REFRESH: 0, // Initial live data polling interval; 0 leaves polling off until chosen in the controls
         NOTIFICATION_DURATION: {
             SUCCESS: 5000,
             INFO: 5000,
@@ -38,6 +51,7 @@ const OPERATION_TYPES = {
     ADD: 'ADD',
     DELETE: 'DELETE',
     UPDATE: 'UPDATE',
+    MOVE: 'MOVE', // Staged as a queue removal plus additions, previewed as one change
 };
 
 // Placeholder for queue paths in metadata
@@ -45,3 +59,10 @@ const Q_PATH_PLACEHOLDER = '<queue_path>';
 
 // Default partition identifier
 const DEFAULT_PARTITION = '';
+
+// Queue search modes: match queue names, or find the queues a user or group can submit to
+const SEARCH_MODES = {
+    NAME: 'name',
+    USER: 'user',
+    GROUP: 'group',
+};
@@ -15,17 +15,37 @@ class MainController {
         this.controlsView = new ControlsView(this.appStateModel);
         this.batchControlsView = new BatchControlsView(this.appStateModel);
         this.globalConfigView = new GlobalConfigView(this.appStateModel);
+        this.placementRulesView = new PlacementRulesView();
+        this.placementRuleSimulatorView = new PlacementRuleSimulatorView();
+        this.nodeLabelsView = new NodeLabelsView();
+        this.historyView = new HistoryView();
         this.queueTreeView = new QueueTreeView(this.appStateModel);
         this.addQueueModalView = new AddQueueModalView(this);
         this.editQueueModalView = new EditQueueModalView(this);
+        this.duplicateQueueModalView = new DuplicateQueueModalView(this);
+        this.rebalanceCapacityModalView = new RebalanceCapacityModalView(this);
         this.infoQueueModalView = new InfoQueueModalView(this);
+        this.accessResolverModalView = new AccessResolverModalView(this);
+        this.exportConfigModalView = new ExportConfigModalView(this);
+        this.concurrentChangesModalView = new ConcurrentChangesModalView(this);
+        this.resetConfigStoreModalView = new ResetConfigStoreModalView(this);
+        this.phasedApplyModalView = new PhasedApplyModalView(this);
 
         this.bulkOperations = new BulkOperations(this.schedulerConfigModel, this.notificationView);
-        this.bulkOperationsView = new BulkOperationsView(this.bulkOperations);
+        this.propertyPresetService = new PropertyPresetService();
+        this.bulkOperationsView = new BulkOperationsView(this.bulkOperations, this.propertyPresetService);
+        this.configHistoryService = new ConfigHistoryService();
+        this.stagedChangesStorageService = new StagedChangesStorageService();
+        this.liveDataPollingService = new LiveDataPollingService(
+            this.apiService,
+            this.schedulerInfoModel,
+            this.nodesInfoModel
+        );
         this.configurationOrchestrator = new ConfigurationOrchestrator(
             this.schedulerConfigModel,
             this.schedulerInfoModel,
-            this.apiService
+            this.apiService,
+            this.configHistoryService
         );
 
         this.uiStateManager = new UIStateManager(this.appStateModel, {
@@ -33,10 +53,21 @@ class MainController {
             controlsView: this.controlsView,
             batchControlsView: this.batchControlsView,
             globalConfigView: this.globalConfigView,
+            placementRulesView: this.placementRulesView,
+            placementRuleSimulatorView: this.placementRuleSimulatorView,
+            nodeLabelsView: this.nodeLabelsView,
+            historyView: this.historyView,
             queueTreeView: this.queueTreeView,
             addQueueModalView: this.addQueueModalView,
             editQueueModalView: this.editQueueModalView,
+            duplicateQueueModalView: this.duplicateQueueModalView,
+            rebalanceCapacityModalView: this.rebalanceCapacityModalView,
             infoQueueModalView: this.infoQueueModalView,
+            accessResolverModalView: this.accessResolverModalView,
+            exportConfigModalView: this.exportConfigModalView,
+            concurrentChangesModalView: this.concurrentChangesModalView,
+            resetConfigStoreModalView: this.resetConfigStoreModalView,
+            phasedApplyModalView: this.phasedApplyModalView,
         });
 
         this.changeManager = new ChangeManager(this.schedulerConfigModel);
@@ -47,6 +78,9 @@ class MainController {
             this.schedulerInfoModel
         );
 
+        // Set while an apply runs; a phased apply can take as long as its queues need to drain
+        this.isApplyingChanges = false;
+
         this._bindAppEvents();
     }
 
@@ -54,7 +88,11 @@ class MainController {
         this.appStateModel.subscribe('currentTabChanged', (tabId) => this._handleTabChange(tabId));
         this.appStateModel.subscribe('selectedPartitionChanged', () => this.renderQueueRelatedViews());
         this.appStateModel.subscribe('searchTermChanged', () => this.renderQueueTreeView());
+        this.appStateModel.subscribe('searchModeChanged', () => this.renderQueueTreeView());
         this.appStateModel.subscribe('sortCriteriaChanged', () => this.renderQueueTreeView());
+        this.appStateModel.subscribe('autoRefreshIntervalChanged', (intervalMs) =>
+            this.liveDataPollingService.setPollingInterval(intervalMs)
+        );
         this.appStateModel.subscribe('globalConfigEditModeChanged', () => {
             if (this.appStateModel.getCurrentTab() === 'scheduler-config-content') {
                 this.renderGlobalConfigView();
@@ -73,13 +111,34 @@ class MainController {
 
         this.schedulerConfigModel.subscribe('configLoaded', (result) => this._handleConfigLoaded(result));
         this.schedulerConfigModel.subscribe('pendingChangesUpdated', () => this._handlePendingChangesUpdate());
+        this.schedulerConfigModel.subscribe('configVersionChanged', (version) =>
+            this.tabView.renderConfigVersion(version)
+        );
 
         this.schedulerInfoModel.subscribe('infoLoaded', (result) => this._handleSchedulerInfoLoaded(result));
+        this.schedulerInfoModel.subscribe('runtimeInfoUpdated', () => this._handleRuntimeInfoUpdated());
 
         this.nodesInfoModel.subscribe('nodesInfoLoaded', (result) => this._handleNodesInfoLoaded(result));
 
         this.tabView.subscribe('tabClicked', (tabId) => this.appStateModel.setCurrentTab(tabId));
         this.tabView.subscribe('diagnostic', () => this.diagnosticService.run());
+        this.tabView.subscribe('importConfigFileSelected', (file) => this.handleImportConfiguration(file));
+        this.tabView.subscribe('mutationPayloadFileSelected', (file) => this.handleLoadMutationPayload(file));
+        this.tabView.subscribe('exportConfigClicked', () => this.uiStateManager.showExportConfigModal());
+        this.tabView.subscribe('rollbackLastApplyClicked', () => this.handleRollbackLastApply());
+        this.tabView.subscribe('exportPresetsClicked', () => this.handleExportPresets());
+        this.tabView.subscribe('presetsFileSelected', (file) => this.handleImportPresets(file));
+        this.exportConfigModalView.subscribe('exportConfigRequested', (options) =>
+            this.handleExportConfiguration(options)
+        );
+        this.concurrentChangesModalView.subscribe('rebaseRequested', (serverProperties) =>
+            this.handleRebaseStagedChanges(serverProperties)
+        );
+        this.tabView.subscribe('resetConfigStoreClicked', () => this.handleOpenResetConfigStore());
+        this.resetConfigStoreModalView.subscribe('resetConfigStoreRequested', () => this.handleResetConfigStore());
+        this.phasedApplyModalView.subscribe('stopWaitingRequested', () =>
+            this.configurationOrchestrator.cancelPhasedApply()
+        );
 
         if (this.controlsView) {
             this.controlsView.subscribe('partitionSelected', (partition) =>
@@ -89,23 +148,45 @@ class MainController {
                 this.uiStateManager.handleOpenAddQueueModal(this.schedulerConfigModel)
             );
             this.controlsView.subscribe('searchTermChanged', (term) => this.appStateModel.setCurrentSearchTerm(term));
+            this.controlsView.subscribe('searchModeChanged', (mode) => this.appStateModel.setCurrentSearchMode(mode));
+            this.controlsView.subscribe('accessResolverClicked', () => this.handleOpenAccessResolverFromSearch());
             this.controlsView.subscribe('sortCriteriaChanged', (criteria) =>
                 this.appStateModel.setCurrentSortCriteria(criteria)
             );
             this.controlsView.subscribe('refreshDataClicked', () =>
                 this.uiStateManager.handleRefreshData(() => this.handleRefreshData())
             );
+            this.controlsView.subscribe('autoRefreshIntervalChanged', (intervalMs) =>
+                this.appStateModel.setAutoRefreshInterval(intervalMs)
+            );
+            this.liveDataPollingService.subscribe('pollingStatusChanged', (status) =>
+                this.controlsView.renderAutoRefreshStatus(status)
+            );
             this.controlsView.subscribe('bulkOperationsClicked', () =>
                 this.uiStateManager.handleBulkOperationsToggle(this.bulkOperationsView)
             );
         }
 
         if (this.batchControlsView) {
-            this.batchControlsView.subscribe('applyAllClicked', () => this.handleApplyAllChanges());
+            this.batchControlsView.subscribe('applyAllClicked', (selection) => this.handleApplyAllChanges(selection));
             this.batchControlsView.subscribe('discardAllClicked', () => this.handleDiscardAllChanges());
+            this.batchControlsView.subscribe('undoClicked', () => this.handleUndoStagedChange());
+            this.batchControlsView.subscribe('redoClicked', () => this.handleRedoStagedChange());
             this.batchControlsView.subscribe('previewChangesClicked', () =>
                 this.uiStateManager.handlePreviewChanges(this.schedulerConfigModel)
             );
+            this.batchControlsView.subscribe('exportMutationClicked', (selection) =>
+                this.handleExportMutationPayload(selection)
+            );
+            this.batchControlsView.subscribe('exportCurlClicked', (selection) =>
+                this.handleExportCurlScript(selection)
+            );
+            this.batchControlsView.subscribe('validateOnServerClicked', (selection) =>
+                this.handleValidateOnServer(selection)
+            );
+            this.batchControlsView.subscribe('previewSelectionChanged', (selection) =>
+                this.handlePreviewSelectionChange(selection)
+            );
         }
 
         if (this.globalConfigView) {
@@ -119,6 +200,34 @@ class MainController {
             this.globalConfigView.subscribe('showNotification', (notifData) => this.notificationView.show(notifData));
         }
 
+        if (this.placementRulesView) {
+            this.placementRulesView.subscribe('savePlacementRulesClicked', (formData) =>
+                this.handleSavePlacementRules(formData)
+            );
+            this.placementRulesView.subscribe('showNotification', (notifData) => this.notificationView.show(notifData));
+        }
+
+        if (this.placementRuleSimulatorView) {
+            this.placementRuleSimulatorView.subscribe('simulatePlacementRequested', (submission) =>
+                this.handleSimulatePlacement(submission)
+            );
+        }
+
+        if (this.nodeLabelsView) {
+            this.nodeLabelsView.subscribe('labelCapacityChanged', (change) => this.handleLabelCapacityChange(change));
+            this.nodeLabelsView.subscribe('nodeAssignmentOpened', () => this.renderNodeLabelsView());
+            this.nodeLabelsView.subscribe('addNodeLabelRequested', (label) => this.handleAddNodeLabel(label));
+            this.nodeLabelsView.subscribe('removeNodeLabelRequested', (label) => this.handleRemoveNodeLabel(label));
+            this.nodeLabelsView.subscribe('assignNodesRequested', (assignment) => this.handleAssignNodes(assignment));
+            this.nodeLabelsView.subscribe('showNotification', (notifData) => this.notificationView.show(notifData));
+        }
+
+        if (this.historyView) {
+            this.historyView.subscribe('snapshotChangesRequested', (id) => this.handleShowSnapshotChanges(id));
+            this.historyView.subscribe('snapshotCompareRequested', (ids) => this.handleCompareSnapshots(ids));
+            this.historyView.subscribe('rollbackLastApplyRequested', () => this.handleRollbackLastApply());
+        }
+
         if (this.queueTreeView) {
             this.queueTreeView.subscribe('editQueueClicked', (queuePath) =>
                 this.uiStateManager.handleEditQueueRequest(
@@ -166,9 +275,29 @@ class MainController {
             this.queueTreeView.subscribe('undoDeleteQueueClicked', (queuePath) =>
                 this.handleUndoDeleteQueue(queuePath)
             );
+            this.queueTreeView.subscribe('duplicateQueueClicked', (queuePath) =>
+                this.uiStateManager.showDuplicateQueueModal(this.schedulerConfigModel, queuePath)
+            );
+            this.queueTreeView.subscribe('rebalanceChildrenClicked', (parentPath) =>
+                this.uiStateManager.showRebalanceCapacityModal(
+                    this.schedulerConfigModel,
+                    this.schedulerInfoModel,
+                    parentPath,
+                    this.notificationView
+                )
+            );
+            this.queueTreeView.subscribe('queueMoveRequested', ({ sourcePath, targetParentPath }) =>
+                this.handleMoveQueue(sourcePath, targetParentPath)
+            );
         }
 
         this.addQueueModalView.subscribe('submitAddQueue', (formData) => this.handleAddNewQueue(formData));
+        this.duplicateQueueModalView.subscribe('submitDuplicateQueue', (formData) =>
+            this.handleDuplicateQueue(formData)
+        );
+        this.rebalanceCapacityModalView.subscribe('submitRebalance', ({ parentPath, capacities }) =>
+            this.handleRebalanceCapacities(parentPath, capacities)
+        );
         this.addQueueModalView.subscribe('modalHidden', () => {});
 
         this.editQueueModalView.subscribe('submitEditQueue', (eventData) =>
@@ -177,11 +306,19 @@ class MainController {
         this.editQueueModalView.subscribe('accessibleLabelsListChanged', (eventData) =>
             this.handleAccessibleLabelsListChangeInEditModal(eventData)
         );
+        this.editQueueModalView.subscribe('applyPresetRequested', (eventData) => this.handleApplyPreset(eventData));
+        this.editQueueModalView.subscribe('savePresetRequested', (eventData) => this.handleSavePreset(eventData));
+        this.editQueueModalView.subscribe('deletePresetRequested', (eventData) => this.handleDeletePreset(eventData));
+        this.propertyPresetService.subscribe('presetsChanged', () => this.editQueueModalView.renderPresetOptions());
         this.editQueueModalView.subscribe('modalHidden', (reason) => {
             if (reason.modalId === 'edit-modal') this.uiStateManager.clearEditQueuePath();
         });
 
         this.infoQueueModalView.subscribe('modalHidden', () => {});
+        this.infoQueueModalView.subscribe('accessResolverRequested', ({ queuePath }) => {
+            this.uiStateManager.hideModal('infoQueueModalView');
+            this.uiStateManager.showAccessResolverModal({ queuePath });
+        });
 
         if (this.bulkOperationsView) {
             this.bulkOperationsView.subscribe('selectAllRequested', () => this.handleSelectAllQueues());
@@ -196,12 +333,17 @@ class MainController {
         let configSuccess = false;
 
         try {
-            const [configResult, infoResult, nodesResult] = await Promise.all([
+            const [configResult, infoResult, nodesResult, labelsResult, nodeToLabelsResult] = await Promise.all([
                 this.apiService.fetchSchedulerConfig(),
                 this.apiService.fetchSchedulerInfo(),
                 this.apiService.fetchClusterNodes(),
+                this.apiService.fetchNodeLabels(),
+                this.apiService.fetchNodeToLabels(),
+                this.configurationOrchestrator.refreshConfigVersion(),
             ]);
 
+            this._loadNodeLabelResults(labelsResult, nodeToLabelsResult);
+
             if (configResult.status === 200 && configResult.data) {
                 this.schedulerConfigModel.loadSchedulerConfig(configResult.data.property || []);
                 configSuccess = true;
@@ -243,6 +385,34 @@ class MainController {
                 setTimeout(() => this.appStateModel.setLoading(false), 100);
             }
         }
+
+        if (configSuccess) {
+            this._offerStagedChangesRestore();
+        }
+        this.liveDataPollingService.setPollingInterval(this.appStateModel.getAutoRefreshInterval());
+    }
+
+    /**
+     * Loads label definitions and node assignments. Both only add details to the
+     * nodes data, so a failure is logged rather than reported to the user.
+     * @private
+     */
+    _loadNodeLabelResults(labelsResult, nodeToLabelsResult) {
+        if (labelsResult.status === 200 && labelsResult.data) {
+            this.nodesInfoModel.loadNodeLabelsInfo(labelsResult.data);
+        } else {
+            console.warn('Failed to fetch node label definitions:', labelsResult.error || labelsResult.status);
+        }
+
+        if (nodeToLabelsResult.status === 200 && nodeToLabelsResult.data) {
+            this.nodesInfoModel.loadNodeToLabelsInfo(nodeToLabelsResult.data);
+        } else {
+            this.nodesInfoModel.loadNodeToLabelsInfo(null);
+            console.warn(
+                'Failed to fetch node to labels mapping:',
+                nodeToLabelsResult.error || nodeToLabelsResult.status
+            );
+        }
     }
 
     _handleConfigLoaded(result) {
@@ -262,17 +432,77 @@ class MainController {
         this._tryRenderInitialViews();
     }
 
+    /**
+     * Shows live data refreshed by polling on the rendered queue cards. Other views pick it up
+     * on their next render, so open modals and the scroll position are left alone.
+     */
+    _handleRuntimeInfoUpdated() {
+        if (this.appStateModel.getCurrentTab() === 'queue-config-content' && this.queueTreeView) {
+            this.queueTreeView.updateLiveData(this.schedulerInfoModel, this.viewDataFormatterService);
+        }
+    }
+
     _handleNodesInfoLoaded(result) {
         if (result.success && this.controlsView) {
             const nodeLabels = NodeLabelService.getAvailableNodeLabels(this.schedulerInfoModel, this.nodesInfoModel);
             this.controlsView.renderNodeLabels(nodeLabels);
         }
+        if (this.appStateModel.getCurrentTab() === 'node-labels-content') {
+            this.renderNodeLabelsView();
+        }
         this._tryRenderInitialViews();
     }
 
     _handlePendingChangesUpdate() {
         this.renderBatchControls();
         this.renderQueueTreeView();
+
+        const saveResult = this.stagedChangesStorageService.save(this.schedulerConfigModel.getChangeLog());
+        if (!saveResult.isSuccess()) {
+            console.warn(saveResult.getError());
+        }
+    }
+
+    /**
+     * Offers to restore staged changes saved before the page was last closed, and reports the
+     * ones that no longer apply or were staged against values that changed on the server since
+     * @private
+     */
+    _offerStagedChangesRestore() {
+        const loadResult = this.stagedChangesStorageService.load();
+        if (!loadResult.isSuccess()) {
+            this.notificationView.showWarning(loadResult.getError());
+            return;
+        }
+        const saved = loadResult.getValue();
+        if (!saved) return;
+
+        const savedAt = new Date(saved.savedAt).toLocaleString();
+        if (!globalThis.confirm(`Staged changes from ${savedAt} were not applied. Do you want to restore them?`)) {
+            this.stagedChangesStorageService.clear();
+            return;
+        }
+
+        const planResult = MutationReplayService.planStagedState(saved.changes, this.schedulerConfigModel);
+        if (!planResult.isSuccess()) {
+            this.notificationView.showError(planResult.getError());
+            return;
+        }
+        const { operations, skipped, conflicts } = planResult.getValue();
+        const stageResult = this.changeManager.stageImportedConfiguration(operations, `Changes from ${savedAt}`);
+        if (!stageResult.isSuccess()) return;
+
+        if (skipped.length > 0) {
+            this.notificationView.showWarning(
+                `Some saved changes no longer apply and were not restored: ${skipped.join(' ')}`
+            );
+        }
+        if (conflicts.length > 0) {
+            this.notificationView.showWarning(
+                `The server configuration changed since these changes were staged: ${conflicts.join(' ')}`
+            );
+        }
+        this._renderStagedChangeViews();
     }
 
     _tryRenderInitialViews() {
@@ -299,7 +529,12 @@ class MainController {
             this.queueTreeView.clearConnectors();
         }
         if (this.batchControlsView) {
-            if (tabId === 'queue-config-content' || tabId === 'scheduler-config-content') {
+            if (
+                tabId === 'queue-config-content' ||
+                tabId === 'scheduler-config-content' ||
+                tabId === 'placement-rules-content' ||
+                tabId === 'node-labels-content'
+            ) {
                 this.renderBatchControls();
             } else {
                 this.batchControlsView.hide();
@@ -315,6 +550,18 @@ class MainController {
                 this.renderGlobalConfigView();
                 break;
             }
+            case 'placement-rules-content': {
+                this.renderPlacementRulesView();
+                break;
+            }
+            case 'node-labels-content': {
+                this.renderNodeLabelsView();
+                break;
+            }
+            case 'history-content': {
+                this.renderHistoryView();
+                break;
+            }
             default: {
                 break;
             }
@@ -327,6 +574,7 @@ class MainController {
                 schedulerConfigModel: this.schedulerConfigModel,
                 schedulerInfoModel: this.schedulerInfoModel,
                 appStateModel: this.appStateModel,
+                nodesInfoModel: this.nodesInfoModel,
             },
             this.viewDataFormatterService,
             this.bulkOperationsView
@@ -337,6 +585,27 @@ class MainController {
         this.uiStateManager.renderGlobalConfigView(this.schedulerConfigModel);
     }
 
+    renderPlacementRulesView() {
+        this.uiStateManager.renderPlacementRulesView(this.schedulerConfigModel);
+    }
+
+    renderNodeLabelsView() {
+        this.uiStateManager.renderNodeLabelsView({
+            schedulerConfigModel: this.schedulerConfigModel,
+            schedulerInfoModel: this.schedulerInfoModel,
+            nodesInfoModel: this.nodesInfoModel,
+        });
+    }
+
+    async renderHistoryView() {
+        const result = await this.configHistoryService.listSnapshots();
+        if (result.isSuccess()) {
+            this.uiStateManager.renderHistoryView(result.getValue());
+        } else {
+            this.uiStateManager.renderHistoryView([], result.getError());
+        }
+    }
+
     renderBatchControls() {
         this.uiStateManager.renderBatchControls(
             this.schedulerConfigModel,
@@ -387,6 +656,88 @@ class MainController {
         }
     }
 
+    handleRebalanceCapacities(parentPath, capacities) {
+        const result = this.changeManager.stageRebalanceCapacities(parentPath, capacities);
+        if (result.isSuccess()) {
+            this.uiStateManager.hideModal('rebalanceCapacityModalView');
+        }
+    }
+
+    handleApplyPreset({ queuePath, presetName }) {
+        const preset = this.propertyPresetService.getPreset(presetName);
+        if (!preset) {
+            this.notificationView.showError(`Preset "${presetName}" not found.`);
+            return;
+        }
+
+        const result = this.changeManager.stageApplyPreset(queuePath, preset);
+        if (result.isSuccess() && result.getValue() > 0) {
+            // Re-render the modal with the staged values
+            this.handleOpenEditQueueModal(queuePath);
+        }
+    }
+
+    handleSavePreset({ queuePath, presetName }) {
+        const properties = this.schedulerConfigModel.getQueueNodeProperties(queuePath);
+        if (!properties) {
+            this.notificationView.showError(`Queue "${queuePath}" not found.`);
+            return;
+        }
+
+        const preset = PropertyPresetService.createFromQueue(presetName, queuePath, properties);
+        const result = this.propertyPresetService.savePreset(preset);
+        if (!result.isSuccess()) {
+            this.notificationView.showError(result.getError());
+            return;
+        }
+        const propertyCount = Object.keys(preset.properties).length + Object.keys(preset.capacities).length;
+        this.notificationView.showSuccess(
+            `Saved ${propertyCount} properties of "${queuePath}" as preset "${presetName}".`
+        );
+    }
+
+    handleDeletePreset({ presetName }) {
+        const result = this.propertyPresetService.deletePreset(presetName);
+        if (result.isSuccess()) {
+            this.notificationView.showInfo(`Preset "${presetName}" deleted.`);
+        } else {
+            this.notificationView.showError(result.getError());
+        }
+    }
+
+    handleExportPresets() {
+        const presetCount = this.propertyPresetService.getPresets().length;
+        if (presetCount === 0) {
+            this.notificationView.showInfo('No property presets to export. Save one from the Edit Queue dialog.');
+            return;
+        }
+
+        const fileName = 'yarn-queue-presets.json';
+        DomUtils.downloadFile(this.propertyPresetService.exportPresets(), fileName, 'application/json');
+        this.notificationView.showSuccess(`Exported ${presetCount} property preset(s) to ${fileName}.`);
+    }
+
+    handleImportPresets({ fileName, content, error }) {
+        if (error) {
+            this.notificationView.showError(`Could not read "${fileName}": ${error.message}`);
+            return;
+        }
+
+        const result = this.propertyPresetService.importPresets(content);
+        if (!result.isSuccess()) {
+            this.notificationView.showError(`Could not import "${fileName}": ${result.getError()}`);
+            return;
+        }
+
+        const { imported, skipped } = result.getValue();
+        const message = `Imported ${imported.length} property preset(s) from "${fileName}".`;
+        if (skipped.length > 0) {
+            this.notificationView.showWarning(`${message} Skipped: ${skipped.join(' ')}`);
+        } else {
+            this.notificationView.showSuccess(message);
+        }
+    }
+
     handleDeleteQueue(queuePath) {
         this.changeManager.stageDeleteQueue(queuePath);
     }
@@ -395,24 +746,484 @@ class MainController {
         this.changeManager.undoDeleteQueue(queuePath);
     }
 
+    handleDuplicateQueue(formData) {
+        const result = this.changeManager.stageDuplicateQueue(formData);
+        if (result.isSuccess()) {
+            this.uiStateManager.hideModal('duplicateQueueModalView');
+            this.queueTreeView.scrollToQueue(result.getValue(), { smooth: true, center: true });
+        }
+    }
+
+    handleMoveQueue(queuePath, targetParentPath) {
+        const result = this.changeManager.stageMoveQueue(queuePath, targetParentPath, this.schedulerInfoModel);
+        if (result.isSuccess()) {
+            this.queueTreeView.scrollToQueue(result.getValue(), { smooth: true, center: true });
+        }
+    }
+
     handleCancelGlobalConfigEdit() {
         this.appStateModel.setGlobalConfigEditMode(false);
     }
 
     handleSaveGlobalConfig(formData) {
-        this.configurationOrchestrator.stageGlobalConfigUpdate(formData);
+        this.schedulerConfigModel.runAsSingleStep(() =>
+            this.configurationOrchestrator.stageGlobalConfigUpdate(formData)
+        );
         this.appStateModel.setGlobalConfigEditMode(false);
     }
 
-    async handleApplyAllChanges() {
+    handleSavePlacementRules(formData) {
+        this.schedulerConfigModel.runAsSingleStep(() =>
+            this.configurationOrchestrator.stageGlobalConfigUpdate(formData)
+        );
+        this.renderPlacementRulesView();
+    }
+
+    handleSimulatePlacement(submission) {
+        if (!submission.user) {
+            this.notificationView.showWarning('Enter a user name to simulate a submission.');
+            return;
+        }
+        const ruleSet = PlacementRuleParser.fromGlobalConfig(this.schedulerConfigModel.getGlobalConfig());
+        const queueIndex = PlacementRuleSimulator.buildQueueIndex(this.schedulerConfigModel);
+        const result = PlacementRuleSimulator.simulate(submission, ruleSet, queueIndex);
+        this.placementRuleSimulatorView.renderResult(result);
+    }
+
+    handleImportConfiguration({ fileName, content, error }) {
+        if (error) {
+            this.notificationView.showError(`Could not read "${fileName}": ${error.message}`);
+            return;
+        }
+
+        const parsed = SchedulerConfigFile.parse(content, fileName);
+        if (parsed.properties.length === 0) {
+            this.notificationView.showError(`No properties found in "${fileName}". ${parsed.errors.join(' ')}`.trim());
+            return;
+        }
+
+        const diffResult = ConfigImportService.diff(parsed.properties, this.schedulerConfigModel);
+        if (!diffResult.isSuccess()) {
+            this.notificationView.showError(diffResult.getError());
+            return;
+        }
+
+        const stageResult = this.changeManager.stageImportedConfiguration(diffResult.getValue(), fileName);
+        if (!stageResult.isSuccess() || stageResult.getValue() === 0) {
+            return;
+        }
+        if (parsed.errors.length > 0) {
+            this.notificationView.showWarning(`Some entries of "${fileName}" were skipped: ${parsed.errors.join(' ')}`);
+        }
+
+        this._reviewStagedChangeSet();
+    }
+
+    handleLoadMutationPayload({ fileName, content, error }) {
+        if (error) {
+            this.notificationView.showError(`Could not read "${fileName}": ${error.message}`);
+            return;
+        }
+
+        const parsed = SchedulerConfigFile.parseMutationXml(content);
+        const planResult = MutationReplayService.plan(parsed.operations, this.schedulerConfigModel);
+        if (!planResult.isSuccess()) {
+            this.notificationView.showError(planResult.getError());
+            return;
+        }
+
+        const { operations, skipped } = planResult.getValue();
+        const problems = [...parsed.errors, ...skipped];
+        if (ConfigImportService.countOperations(operations) === 0) {
+            this.notificationView.showError(
+                `Nothing in "${fileName}" applies to the current configuration. ${problems.join(' ')}`.trim()
+            );
+            return;
+        }
+
+        const stageResult = this.changeManager.stageImportedConfiguration(operations, fileName);
+        if (!stageResult.isSuccess()) {
+            return;
+        }
+        if (problems.length > 0) {
+            this.notificationView.showWarning(
+                `Some operations in "${fileName}" were not staged: ${problems.join(' ')}`
+            );
+        }
+
+        this._reviewStagedChangeSet();
+    }
+
+    /**
+     * Re-renders the views after a change set was staged and opens the Change Preview, which validates the result
+     */
+    _reviewStagedChangeSet() {
+        this.renderQueueRelatedViews();
+        this.renderGlobalConfigView();
+        this.renderPlacementRulesView();
+        this.renderNodeLabelsView();
+        this.uiStateManager.handlePreviewChanges(this.schedulerConfigModel);
+    }
+
+    handleExportConfiguration({ format, includePendingChanges }) {
+        const properties = this.schedulerConfigModel.getTrieInstance().toPropertyList(includePendingChanges);
+        if (properties.length === 0) {
+            this.notificationView.showError('No scheduler configuration is loaded to export.');
+            return;
+        }
+
+        const { fileName, mimeType } = SchedulerConfigFile.FILE_TYPES[format];
+        DomUtils.downloadFile(SchedulerConfigFile.serialize(properties, format), fileName, mimeType);
+        this.uiStateManager.hideModal('exportConfigModalView');
+        this.notificationView.showSuccess(
+            `Exported ${properties.length} properties${includePendingChanges ? ' including staged changes' : ''} to ${fileName}.`
+        );
+    }
+
+    handleExportMutationPayload(selection = null) {
+        const request = this._getStagedMutationRequest(selection);
+        if (!request) return;
+
+        const payloadFileName = 'scheduler-mutation.xml';
+        DomUtils.downloadFile(request.body, payloadFileName, 'application/xml');
+        this.notificationView.showSuccess(
+            `Exported the ${request.method} request body to ${payloadFileName}. Export curl Script downloads a command that sends it.`
+        );
+    }
+
+    handleExportCurlScript(selection = null) {
+        const request = this._getStagedMutationRequest(selection);
+        if (!request) return;
+
+        const payloadFileName = 'scheduler-mutation.xml';
+        DomUtils.downloadFile(
+            this.apiService.buildCurlScript(request, payloadFileName),
+            'scheduler-mutation.sh',
+            'text/x-shellscript'
+        );
+        this.notificationView.showSuccess(
+            `Exported a curl command to scheduler-mutation.sh. It sends ${payloadFileName} from Export as Mutation Payload.`
+        );
+    }
+
+    /**
+     * Describes the request Apply Changes, or Apply Selected for a preview selection, would send
+     * @param {Set<string>|null} [selection] - From ChangePreview.getSelection(); null exports every staged change
+     * @private
+     */
+    _getStagedMutationRequest(selection = null) {
+        let targetModel = this.schedulerConfigModel;
+        if (selection) {
+            const prepareResult = PartialApplyService.prepare(this.schedulerConfigModel, selection);
+            if (!prepareResult.isSuccess()) {
+                this.notificationView.showError(prepareResult.getError());
+                return null;
+            }
+            targetModel = prepareResult.getValue().subsetModel;
+        }
+        if (!targetModel.hasPendingChanges()) {
+            this.notificationView.showInfo(
+                selection ? 'No selected changes to export.' : 'No staged changes to export.'
+            );
+            return null;
+        }
+        const payload = targetModel.getChangeLog().getApiPayload();
+        return this.apiService.getSchedulerMutationRequest(payload);
+    }
+
+    async handleShowSnapshotChanges(id) {
+        const result = await this.configHistoryService.getSnapshot(id);
+        if (!result.isSuccess()) {
+            this.notificationView.showError(result.getError());
+            return;
+        }
+        const snapshot = result.getValue();
+        this.uiStateManager.showHistoryDiff(
+            `Snapshot #${snapshot.id}: configuration before and after the apply`,
+            this.configHistoryService.diffProperties(snapshot.before, snapshot.after)
+        );
+    }
+
+    async handleCompareSnapshots({ fromId, toId }) {
+        const [fromResult, toResult] = await Promise.all([
+            this.configHistoryService.getSnapshot(fromId),
+            this.configHistoryService.getSnapshot(toId),
+        ]);
+        const failed = [fromResult, toResult].find((result) => !result.isSuccess());
+        if (failed) {
+            this.notificationView.showError(failed.getError());
+            return;
+        }
+        this.uiStateManager.showHistoryDiff(
+            `Configuration after snapshot #${fromId} compared with after snapshot #${toId}`,
+            this.configHistoryService.diffProperties(fromResult.getValue().after, toResult.getValue().after)
+        );
+    }
+
+    async handleRollbackLastApply() {
+        const listResult = await this.configHistoryService.listSnapshots();
+        if (!listResult.isSuccess()) {
+            this.notificationView.showError(listResult.getError());
+            return;
+        }
+        const [snapshot] = listResult.getValue();
+        if (!snapshot) {
+            this.notificationView.showInfo(
+                'No applied changes are recorded in this browser, so there is nothing to roll back.'
+            );
+            return;
+        }
+
+        const planResult = MutationReplayService.filterApplicable(
+            this.configHistoryService.getRollbackOperations(snapshot),
+            this.schedulerConfigModel
+        );
+        if (!planResult.isSuccess()) {
+            this.notificationView.showError(planResult.getError());
+            return;
+        }
+        const { operations, skipped } = planResult.getValue();
+        if (ConfigImportService.countOperations(operations) === 0) {
+            this.notificationView.showError(
+                `Nothing to roll back for snapshot #${snapshot.id}. ${skipped.join(' ')}`.trim()
+            );
+            return;
+        }
+
+        const stageResult = this.changeManager.stageImportedConfiguration(
+            operations,
+            `Rollback of snapshot #${snapshot.id}`
+        );
+        if (!stageResult.isSuccess()) {
+            return;
+        }
+
+        const currentProperties = this.schedulerConfigModel.getTrieInstance().toPropertyList(false);
+        if (this.configHistoryService.diffProperties(snapshot.after, currentProperties).length > 0) {
+            this.notificationView.showWarning(
+                `The configuration changed after snapshot #${snapshot.id} was applied. The rollback restores the values from before that apply, so review it carefully.`
+            );
+        }
+        if (skipped.length > 0) {
+            this.notificationView.showWarning(
+                `Some rollback operations no longer apply and were not staged: ${skipped.join(' ')}`
+            );
+        }
+
+        this.appStateModel.setCurrentTab('queue-config-content');
+        this._reviewStagedChangeSet();
+    }
+
+    handleOpenAccessResolverFromSearch() {
+        const searchTerm = this.appStateModel.getCurrentSearchTerm();
+        const query = {};
+        if (this.appStateModel.getCurrentSearchMode() === SEARCH_MODES.USER) {
+            query.user = searchTerm;
+        } else {
+            query.groups = searchTerm
+                .split(',')
+                .map((group) => group.trim())
+                .filter(Boolean);
+        }
+        this.uiStateManager.showAccessResolverModal(query);
+    }
+
+    handleLabelCapacityChange({ queuePath, label, property, value }) {
+        const result = this.changeManager.stageUpdateQueue(queuePath, { params: { [property]: value } }, label);
+        if (result.isSuccess()) {
+            this.renderNodeLabelsView();
+        }
+    }
+
+    async handleAddNodeLabel(label) {
+        this.appStateModel.setLoading(true, `Adding node label "${label.name}"...`);
+        const result = await this.apiService.addNodeLabels([label]);
+        if (result.status === 200) {
+            this.notificationView.showSuccess(`Node label "${label.name}" added.`);
+            await this._reloadNodeLabelData();
+        } else {
+            this.notificationView.showError(result.error || `Failed to add node label (status: ${result.status})`);
+        }
+        this.appStateModel.setLoading(false);
+    }
+
+    async handleRemoveNodeLabel(label) {
+        if (
+            !globalThis.confirm(
+                `Are you sure you want to remove node label "${label}"? \nNodes carrying it move to the default partition. The ResourceManager rejects the removal while queues still use the label.`
+            )
+        ) {
+            return;
+        }
+
+        this.appStateModel.setLoading(true, `Removing node label "${label}"...`);
+        const result = await this.apiService.removeNodeLabels([label]);
+        if (result.status === 200) {
+            this.notificationView.showSuccess(`Node label "${label}" removed.`);
+            await this._reloadNodeLabelData();
+        } else {
+            this.notificationView.showError(result.error || `Failed to remove node label (status: ${result.status})`);
+        }
+        this.appStateModel.setLoading(false);
+    }
+
+    async handleAssignNodes({ label, nodeIds }) {
+        const nodeAssignments = NodeLabelService.getNodeAssignments(this.nodesInfoModel);
+        const replacement = NodeLabelService.buildNodeToLabelsReplacement(nodeAssignments, label, nodeIds);
+        if (Object.keys(replacement).length === 0) {
+            this.notificationView.showInfo('No node assignment changes to apply.');
+            return;
+        }
+
+        this.appStateModel.setLoading(true, `Assigning nodes to "${label}"...`);
+        const result = await this.apiService.replaceNodeToLabels(replacement);
+        if (result.status === 200) {
+            this.nodeLabelsView.closeAssignment();
+            this.notificationView.showSuccess(
+                `Node assignment for "${label}" updated (${Object.keys(replacement).length} node(s) changed).`
+            );
+            await this._reloadNodeLabelData();
+        } else {
+            this.notificationView.showError(result.error || `Failed to assign nodes (status: ${result.status})`);
+        }
+        this.appStateModel.setLoading(false);
+    }
+
+    /**
+     * Re-fetches label definitions, node assignments and cluster nodes after a label mutation.
+     * Loading the nodes last triggers nodesInfoLoaded, which re-renders the label views.
+     * @private
+     */
+    async _reloadNodeLabelData() {
+        const [labelsResult, nodeToLabelsResult, nodesResult] = await Promise.all([
+            this.apiService.fetchNodeLabels(),
+            this.apiService.fetchNodeToLabels(),
+            this.apiService.fetchClusterNodes(),
+        ]);
+
+        this._loadNodeLabelResults(labelsResult, nodeToLabelsResult);
+        if (nodesResult.status === 200 && nodesResult.data) {
+            this.nodesInfoModel.loadNodesInfo(nodesResult.data);
+        } else {
+            this.notificationView.showWarning(
+                nodesResult.error || `Failed to fetch cluster nodes (status: ${nodesResult.status})`
+            );
+        }
+    }
+
+    /**
+     * @param {Set<string>|null} [selection] - Changes chosen in the Change Preview; null applies all
+     */
+    async handleApplyAllChanges(selection = null) {
         this.appStateModel.setLoading(true, 'Validating changes...');
+        this.isApplyingChanges = true;
         await new Promise((resolve) => setTimeout(resolve, 50));
 
-        const _success = await this.configurationOrchestrator.applyPendingChanges(
+        try {
+            await this.configurationOrchestrator.applyPendingChanges(
+                this.viewDataFormatterService,
+                this.appStateModel,
+                {
+                    selection,
+                    onConflicts: (concurrentChanges) =>
+                        this.uiStateManager.showConcurrentChangesModal(concurrentChanges),
+                    onPhaseProgress: (steps) => {
+                        // The progress modal replaces the loading overlay while queues drain
+                        this.appStateModel.setLoading(false);
+                        this.uiStateManager.showPhasedApplyModal(steps);
+                    },
+                }
+            );
+        } finally {
+            this.isApplyingChanges = false;
+        }
+
+        this.appStateModel.setLoading(false);
+        this.renderBatchControls();
+    }
+
+    /**
+     * Validates the changes selected in the Change Preview and the dependencies between them
+     * @param {Set<string>|null} selection - From ChangePreview.getSelection(); null means all changes
+     */
+    handlePreviewSelectionChange(selection) {
+        if (!selection) {
+            this.batchControlsView.showSelectionValidation(
+                this.schedulerConfigModel.performStatefulValidation(this.viewDataFormatterService, this.appStateModel),
+                []
+            );
+            return;
+        }
+        if (selection.size === 0) {
+            this.batchControlsView.showSelectionValidation([], []);
+            return;
+        }
+
+        const result = this.configurationOrchestrator.validateSelectedChanges(
+            selection,
             this.viewDataFormatterService,
             this.appStateModel
         );
+        if (result.isSuccess()) {
+            const { validationErrors, dependencyWarnings } = result.getValue();
+            this.batchControlsView.showSelectionValidation(validationErrors, dependencyWarnings);
+        } else {
+            this.notificationView.showWarning(result.getError());
+        }
+    }
+
+    /**
+     * @param {Set<string>|null} [selection] - Changes chosen in the Change Preview; null validates all
+     */
+    async handleValidateOnServer(selection = null) {
+        this.batchControlsView.setServerValidationInProgress(true);
+        const result = await this.configurationOrchestrator.validatePendingChangesOnServer(selection);
+        this.batchControlsView.setServerValidationInProgress(false);
+
+        if (result.isSuccess()) {
+            this.batchControlsView.showServerValidation(result.getValue());
+        } else {
+            this.notificationView.showWarning(result.getError());
+        }
+    }
 
+    /**
+     * Loads the configuration another user changed and stages the current changes on top of it
+     * @param {Array<{name: string, value: string}>} serverProperties - Current server configuration
+     */
+    handleRebaseStagedChanges(serverProperties) {
+        this.uiStateManager.hideModal('concurrentChangesModalView');
+        const stagedState = this.schedulerConfigModel.getChangeLog().exportStagedState();
+        this.schedulerConfigModel.loadSchedulerConfig(serverProperties);
+
+        const planResult = MutationReplayService.planStagedState(stagedState, this.schedulerConfigModel);
+        if (!planResult.isSuccess()) {
+            this.notificationView.showError(planResult.getError());
+            return;
+        }
+        const { operations, skipped } = planResult.getValue();
+        const stageResult = this.changeManager.stageImportedConfiguration(operations, 'Rebased changes');
+        if (!stageResult.isSuccess()) return;
+
+        if (skipped.length > 0) {
+            this.notificationView.showWarning(`Some changes no longer apply and were dropped: ${skipped.join(' ')}`);
+        }
+        this._reviewStagedChangeSet();
+    }
+
+    async handleOpenResetConfigStore() {
+        const result = await this.configurationOrchestrator.getClusterName();
+        if (!result.isSuccess()) {
+            this.notificationView.showError(result.getError());
+            return;
+        }
+        this.uiStateManager.showResetConfigStoreModal(result.getValue());
+    }
+
+    async handleResetConfigStore() {
+        this.uiStateManager.hideModal('resetConfigStoreModalView');
+        this.appStateModel.setLoading(true, 'Resetting the configuration store...');
+        await this.configurationOrchestrator.resetConfigStore();
         this.appStateModel.setLoading(false);
         this.renderBatchControls();
     }
@@ -420,10 +1231,46 @@ class MainController {
     handleDiscardAllChanges() {
         const discarded = this.configurationOrchestrator.discardPendingChanges();
         if (discarded) {
-            this.renderQueueRelatedViews();
-            this.renderGlobalConfigView();
-            this.renderBatchControls();
+            this._renderStagedChangeViews();
+        }
+    }
+
+    handleUndoStagedChange() {
+        if (this._isStagingBlockedByApply()) return;
+        if (this.schedulerConfigModel.undo()) {
+            this._renderStagedChangeViews();
+        }
+    }
+
+    handleRedoStagedChange() {
+        if (this._isStagingBlockedByApply()) return;
+        if (this.schedulerConfigModel.redo()) {
+            this._renderStagedChangeViews();
+        }
+    }
+
+    /**
+     * Undo and redo wait for a running apply, which clears the staged changes once it is done
+     * @private
+     */
+    _isStagingBlockedByApply() {
+        if (this.isApplyingChanges) {
+            this.notificationView.showInfo(
+                'Staged changes cannot be undone or redone while changes are being applied.'
+            );
         }
+        return this.isApplyingChanges;
+    }
+
+    /**
+     * Re-renders the views that show staged changes after they were replaced as a whole
+     */
+    _renderStagedChangeViews() {
+        this.renderQueueRelatedViews();
+        this.renderGlobalConfigView();
+        this.renderPlacementRulesView();
+        this.renderNodeLabelsView();
+        this.renderBatchControls();
     }
 
     async handleRefreshData() {
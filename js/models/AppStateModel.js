@@ -6,11 +6,13 @@ class AppStateModel extends EventEmitter {
         super();
         this._currentTab = 'queue-config-content'; // Default active tab
         this._currentSearchTerm = '';
+        this._currentSearchMode = SEARCH_MODES.NAME;
         this._currentSortCriteria = 'capacity'; // Default sort
         this._selectedPartition = DEFAULT_PARTITION; // Default partition (empty string)
         this._isGlobalConfigInEditMode = false;
         this._isLoading = false;
         this._loadingMessage = '';
+        this._autoRefreshInterval = CONFIG.TIMEOUTS.AUTO_REFRESH; // Live data polling interval in ms, 0 = off
     }
 
     // --- Getters ---
@@ -20,6 +22,9 @@ class AppStateModel extends EventEmitter {
     getCurrentSearchTerm() {
         return this._currentSearchTerm;
     }
+    getCurrentSearchMode() {
+        return this._currentSearchMode;
+    }
     getCurrentSortCriteria() {
         return this._currentSortCriteria;
     }
@@ -43,6 +48,9 @@ class AppStateModel extends EventEmitter {
     getLoadingMessage() {
         return this._loadingMessage;
     }
+    getAutoRefreshInterval() {
+        return this._autoRefreshInterval;
+    }
 
     // --- Setters ---
     /**
@@ -68,6 +76,18 @@ class AppStateModel extends EventEmitter {
         }
     }
 
+    /**
+     * Sets what the search term is matched against.
+     * @param {string} mode - One of SEARCH_MODES (queue name, user or group access).
+     */
+    setCurrentSearchMode(mode) {
+        const newMode = Object.values(SEARCH_MODES).includes(mode) ? mode : SEARCH_MODES.NAME;
+        if (this._currentSearchMode !== newMode) {
+            this._currentSearchMode = newMode;
+            this._emit('searchModeChanged', newMode);
+        }
+    }
+
     /**
      * Sets the current sorting criteria.
      * @param {string} criteria - The sort criteria (e.g., 'name', 'capacity').
@@ -102,6 +122,18 @@ class AppStateModel extends EventEmitter {
         }
     }
 
+    /**
+     * Sets how often the live scheduler data is polled.
+     * @param {number} intervalMs - Milliseconds between polls; 0 turns polling off.
+     */
+    setAutoRefreshInterval(intervalMs) {
+        const newInterval = Math.max(0, Number(intervalMs) || 0);
+        if (this._autoRefreshInterval !== newInterval) {
+            this._autoRefreshInterval = newInterval;
+            this._emit('autoRefreshIntervalChanged', newInterval);
+        }
+    }
+
     /**
      * Sets the loading state of the application.
      * @param {boolean} isLoading - True if the application is loading, false otherwise.
@@ -6,6 +6,8 @@ class NodesInfoModel extends EventEmitter {
         super();
         this._nodesInfo = null;
         this._nodeLabels = [];
+        this._labelDefinitions = new Map(); // label name -> { name, exclusivity }
+        this._nodeToLabels = null; // node id -> label names, from get-node-to-labels
     }
 
     /**
@@ -25,6 +27,150 @@ class NodesInfoModel extends EventEmitter {
         }
     }
 
+    /**
+     * Replaces the cluster nodes information while polling, without emitting nodesInfoLoaded, so
+     * views pick up the new data on their next render instead of re-rendering now
+     * @param {Object} nodesData - Cluster nodes data from API
+     */
+    updateNodesInfo(nodesData) {
+        this._nodesInfo = nodesData;
+        this._extractNodeLabels();
+    }
+
+    /**
+     * Loads the cluster node label definitions from the get-node-labels API response
+     * @param {Object|null} nodeLabelsData - Node labels data from API ({ nodeLabelInfo: [...] })
+     */
+    loadNodeLabelsInfo(nodeLabelsData) {
+        this._labelDefinitions = new Map();
+        if (!nodeLabelsData || !nodeLabelsData.nodeLabelInfo) {
+            return;
+        }
+
+        const labelInfos = Array.isArray(nodeLabelsData.nodeLabelInfo)
+            ? nodeLabelsData.nodeLabelInfo
+            : [nodeLabelsData.nodeLabelInfo];
+
+        for (const labelInfo of labelInfos) {
+            if (labelInfo && labelInfo.name) {
+                this._labelDefinitions.set(labelInfo.name, {
+                    name: labelInfo.name,
+                    // The RM returns exclusivity as a boolean in JSON and as a string in XML
+                    exclusivity: String(labelInfo.exclusivity).toLowerCase() !== 'false',
+                });
+            }
+        }
+    }
+
+    /**
+     * Loads the node to labels mapping from the get-node-to-labels API response
+     * @param {Object|null} nodeToLabelsData - Node to labels data from API ({ nodeToLabels: { entry: [...] } })
+     */
+    loadNodeToLabelsInfo(nodeToLabelsData) {
+        const entries = nodeToLabelsData?.nodeToLabels?.entry;
+        if (!entries) {
+            this._nodeToLabels = nodeToLabelsData ? new Map() : null;
+            return;
+        }
+
+        this._nodeToLabels = new Map();
+        for (const entry of Array.isArray(entries) ? entries : [entries]) {
+            const labelInfos = entry.value?.nodeLabelInfo || [];
+            const labels = (Array.isArray(labelInfos) ? labelInfos : [labelInfos]).map((labelInfo) => labelInfo.name);
+            this._nodeToLabels.set(entry.key, labels);
+        }
+    }
+
+    /**
+     * Gets the labels assigned to a node. Prefers the get-node-to-labels mapping, which may be
+     * keyed by node id (host:port) or by host (host:0), and falls back to the nodes API.
+     * @param {Object} node - Node object from getNodes()
+     * @returns {string[]} Assigned label names
+     */
+    getAssignedLabels(node) {
+        if (this._nodeToLabels) {
+            for (const key of [node.id, `${node.nodeHostName}:0`, node.nodeHostName]) {
+                if (this._nodeToLabels.has(key)) {
+                    return [...this._nodeToLabels.get(key)];
+                }
+            }
+            return [];
+        }
+        return Array.isArray(node.nodeLabels) ? node.nodeLabels.filter(Boolean) : [];
+    }
+
+    /**
+     * Gets the node labels defined in the cluster with their exclusivity
+     * @returns {Array<{name: string, exclusivity: boolean}>} Label definitions sorted by name
+     */
+    getLabelDefinitions() {
+        return [...this._labelDefinitions.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Gets the exclusivity of a node label
+     * @param {string} label - Node label name
+     * @returns {boolean|null} Exclusivity, or null if the label definition is unknown
+     */
+    getLabelExclusivity(label) {
+        const definition = this._labelDefinitions.get(label);
+        return definition ? definition.exclusivity : null;
+    }
+
+    /**
+     * Sums the resources of the nodes in a partition
+     * @param {string} label - Node label, or DEFAULT_PARTITION for nodes without a label
+     * @returns {{nodeCount: number, memoryMB: number, vCores: number}} Totals (used + available)
+     */
+    getLabelResourceTotals(label) {
+        const nodes = this._getPartitionNodes(label);
+
+        const totals = { nodeCount: nodes.length, memoryMB: 0, vCores: 0 };
+        for (const node of nodes) {
+            totals.memoryMB += (node.usedMemoryMB || 0) + (node.availMemoryMB || 0);
+            totals.vCores += (node.usedVirtualCores || 0) + (node.availableVirtualCores || 0);
+        }
+        return totals;
+    }
+
+    /**
+     * Sums the resources of the nodes in a partition per resource type, including custom resource
+     * types such as yarn.io/gpu
+     * @param {string} label - Node label, or DEFAULT_PARTITION for nodes without a label
+     * @returns {Object<string, number>} Totals (used + available) by resource name, memory as 'memory-mb' in MB
+     */
+    getPartitionResources(label) {
+        const totals = {};
+        const add = (name, value) => {
+            totals[name] = (totals[name] || 0) + (Number(value) || 0);
+        };
+
+        for (const node of this._getPartitionNodes(label)) {
+            const resourceInformations = [node.usedResource, node.availableResource].flatMap(
+                (resource) => resource?.resourceInformations?.resourceInformation || []
+            );
+            if (resourceInformations.length > 0) {
+                for (const info of resourceInformations) {
+                    add(info.name, info.value);
+                }
+            } else {
+                add('memory-mb', (node.usedMemoryMB || 0) + (node.availMemoryMB || 0));
+                add('vcores', (node.usedVirtualCores || 0) + (node.availableVirtualCores || 0));
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Gets the nodes of a partition
+     * @private
+     */
+    _getPartitionNodes(label) {
+        return label === DEFAULT_PARTITION
+            ? this.getNodes().filter((node) => !node.nodeLabels || node.nodeLabels.length === 0)
+            : this.getNodesByLabels(label);
+    }
+
     /**
      * Extracts unique node labels from cluster nodes data
      * @private
@@ -21,6 +21,7 @@ class QueueNode {
         this.oldProperties = new Map(); // Original values for rollback
         this.changeId = null; // Unique ID for this change
         this.timestamp = null; // When change was staged
+        this.move = null; // { from, to } if the change removes or re-adds a queue for a staged move
 
         // Tree structure
         this.children = new Map(); // Map<string, QueueNode>
@@ -74,6 +75,7 @@ class QueueNode {
         this.oldProperties.clear();
         this.changeId = null;
         this.timestamp = null;
+        this.move = null;
     }
 }
 
@@ -89,6 +91,11 @@ class QueueConfigurationManager {
         this.globalChangeId = null;
 
         this._changeIdCounter = 0;
+        this._undoStack = []; // Staged states before each step, oldest first
+        this._redoStack = [];
+        this._batchDepth = 0;
+        this._batchRecorded = false;
+        this._MAX_HISTORY_STEPS = 100;
         this._YARN_SCHEDULER_CAPACITY_PREFIX = 'yarn.scheduler.capacity.';
         this._QUEUES_SUFFIX = '.queues';
     }
@@ -101,7 +108,9 @@ class QueueConfigurationManager {
         this.rootNode.isQueue = true;
         this.rootNode.fullPath = 'root';
         this.globalProperties.clear();
-        this.clearAllPendingChanges();
+        this._clearStagedState();
+        this._undoStack = [];
+        this._redoStack = [];
 
         if (!schedulerConfigProperties || !Array.isArray(schedulerConfigProperties)) {
             console.warn('QueueConfigurationManager: No properties provided for initialization.');
@@ -301,6 +310,7 @@ class QueueConfigurationManager {
      * Stages a queue addition
      */
     stageAddQueue(queuePath, properties) {
+        this._recordHistoryStep();
         const changeId = this._generateChangeId();
         const node = this._getOrCreateQueueNode(queuePath);
         node.pendingOperation = 'add';
@@ -320,6 +330,7 @@ class QueueConfigurationManager {
         if (!node) {
             throw new Error(`Cannot update non-existent queue: ${queuePath}`);
         }
+        this._recordHistoryStep();
         const changeId = this._generateChangeId();
 
         if (node.pendingOperation === 'add') {
@@ -353,6 +364,7 @@ class QueueConfigurationManager {
         if (!node) {
             throw new Error(`Cannot delete non-existent queue: ${queuePath}`);
         }
+        this._recordHistoryStep();
         const changeId = this._generateChangeId();
         node.pendingOperation = 'delete';
         node.pendingProperties.clear();
@@ -362,10 +374,216 @@ class QueueConfigurationManager {
         return changeId;
     }
 
+    /**
+     * Checks whether a queue can be moved under another parent
+     * @param {string} sourcePath - Queue to move
+     * @param {string} targetParentPath - New parent queue
+     * @param {SchedulerInfoModel} [schedulerInfoModel] - Live queue states, to reject running leaf targets
+     * @returns {string|null} Why the queue cannot be moved there, or null if it can
+     */
+    getMoveError(sourcePath, targetParentPath, schedulerInfoModel = null) {
+        const source = this.getQueueNode(sourcePath);
+        const targetParent = this.getQueueNode(targetParentPath);
+        if (!source || !source.isQueue || source.isDeleted()) {
+            return `Queue "${sourcePath}" does not exist.`;
+        }
+        if (source === this.rootNode) {
+            return 'The root queue cannot be moved.';
+        }
+        if (!targetParent || !targetParent.isQueue || targetParent.isDeleted()) {
+            return `Queue "${targetParentPath}" does not exist.`;
+        }
+        if (targetParentPath === sourcePath || targetParentPath.startsWith(`${sourcePath}.`)) {
+            return `Queue "${sourcePath}" cannot be moved below itself.`;
+        }
+        if (source.parent === targetParent) {
+            return `Queue "${sourcePath}" is already a child of "${targetParentPath}".`;
+        }
+        const hasChildQueues = [...targetParent.children.values()].some((child) => child.isQueue && !child.isDeleted());
+        if (schedulerInfoModel && !targetParent.isNew() && !hasChildQueues) {
+            // YARN only turns a stopped leaf queue without applications into a parent queue
+            const runtimeInfo = schedulerInfoModel.getQueueRuntimeInfo(targetParentPath);
+            if (runtimeInfo && (runtimeInfo.state !== 'STOPPED' || runtimeInfo.numApplications > 0)) {
+                return `"${targetParentPath}" is a leaf queue that is still running. Stop it and apply that before moving queues below it.`;
+            }
+        }
+        const existingChild = targetParent.children.get(source.segment);
+        if (existingChild && existingChild.isQueue) {
+            return `"${targetParentPath}" already has a queue named "${source.segment}".`;
+        }
+        return null;
+    }
+
+    /**
+     * Stages moving a queue and its children under another parent. The scheduler has no move
+     * operation, so the queue is removed and re-added at the new path with the effective
+     * properties of every queue below it. The removal and the additions are linked as one move
+     * that shares the removal's change ID. A staged addition is simply re-added at the new path.
+     * @param {string} sourcePath - Queue to move
+     * @param {string} targetParentPath - New parent queue
+     * @param {SchedulerInfoModel} [schedulerInfoModel] - Live queue states, see getMoveError()
+     * @returns {string} Change ID of the move
+     */
+    stageMoveQueue(sourcePath, targetParentPath, schedulerInfoModel = null) {
+        const error = this.getMoveError(sourcePath, targetParentPath, schedulerInfoModel);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const source = this.getQueueNode(sourcePath);
+        const isStagedAddition = source.isNew();
+        const targetPath = `${targetParentPath}.${source.segment}`;
+        const additions = [];
+        const earlierMoves = [];
+        this._collectQueueCopies(source, sourcePath, targetPath, true, additions, earlierMoves);
+
+        return this.runAsSingleStep(() => {
+            this._recordHistoryStep();
+            if (isStagedAddition) {
+                this._discardStagedAddition(source);
+            } else {
+                // Changes staged below the queue are carried over by the additions
+                this._clearNodePendingChanges(source);
+                this.stageDeleteQueue(sourcePath);
+            }
+            for (const { path, properties } of additions) {
+                this.stageAddQueue(path, properties);
+            }
+
+            let changeId = isStagedAddition
+                ? this.getQueueNode(targetPath).changeId
+                : this._linkMove(sourcePath, targetPath);
+            // Queues moved before keep their own move, now pointing at the new path
+            for (const { from, to } of earlierMoves) {
+                const earlierChangeId = this._linkMove(from, to);
+                if (to === targetPath) changeId = earlierChangeId;
+            }
+            return changeId;
+        });
+    }
+
+    /**
+     * Returns why a queue cannot be duplicated under a parent with a name
+     * @param {string} sourcePath - Queue to copy
+     * @param {string} targetParentPath - Parent of the copy
+     * @param {string} queueName - Name of the copy
+     * @returns {string|null} Error message, or null if the queue can be duplicated
+     */
+    getDuplicateError(sourcePath, targetParentPath, queueName) {
+        const source = this.getQueueNode(sourcePath);
+        const targetParent = this.getQueueNode(targetParentPath);
+        if (!source || !source.isQueue || source.isDeleted()) {
+            return `Queue "${sourcePath}" does not exist.`;
+        }
+        if (source === this.rootNode) {
+            return 'The root queue cannot be duplicated.';
+        }
+        if (!targetParent || !targetParent.isQueue || targetParent.isDeleted()) {
+            return `Queue "${targetParentPath}" does not exist.`;
+        }
+        const existingChild = targetParent.children.get(queueName);
+        if (existingChild && existingChild.isQueue) {
+            return `"${targetParentPath}" already has a queue named "${queueName}".`;
+        }
+        return null;
+    }
+
+    /**
+     * Stages a copy of a queue, and optionally of every queue below it, as queue additions with
+     * the effective properties of the originals, including node label capacities, ACLs and
+     * auto-creation templates
+     * @param {string} sourcePath - Queue to copy
+     * @param {string} targetParentPath - Parent of the copy
+     * @param {string} queueName - Name of the copy
+     * @param {boolean} [includeChildren=true] - Whether to copy the queues below the source too
+     * @returns {Array<string>} Paths of the staged queues, parents before children
+     */
+    stageDuplicateQueue(sourcePath, targetParentPath, queueName, includeChildren = true) {
+        const error = this.getDuplicateError(sourcePath, targetParentPath, queueName);
+        if (error) {
+            throw new Error(error);
+        }
+
+        // Collected before staging, so a subtree can also be copied into itself
+        const additions = [];
+        const targetPath = `${targetParentPath}.${queueName}`;
+        this._collectQueueCopies(this.getQueueNode(sourcePath), sourcePath, targetPath, includeChildren, additions);
+
+        this.runAsSingleStep(() => {
+            for (const { path, properties } of additions) {
+                this.stageAddQueue(path, properties);
+            }
+        });
+        return additions.map(({ path }) => path);
+    }
+
+    /**
+     * Collects the effective properties of a queue and optionally its children for adding them at
+     * a new path, parents before children. The .queues lists are left out, as the additions rebuild
+     * them. If earlierMoves is given, also collects the targets of earlier moves in the subtree.
+     * @private
+     */
+    _collectQueueCopies(node, sourcePath, targetPath, includeChildren, additions, earlierMoves = null) {
+        if (!node.isQueue || node.isDeleted()) {
+            return;
+        }
+
+        const newPath = targetPath + node.fullPath.slice(sourcePath.length);
+        const oldPrefix = `${this._YARN_SCHEDULER_CAPACITY_PREFIX}${node.fullPath}.`;
+        const newPrefix = `${this._YARN_SCHEDULER_CAPACITY_PREFIX}${newPath}.`;
+        const properties = new Map();
+        for (const [key, value] of node.getEffectiveProperties()) {
+            if (!key.startsWith(oldPrefix) || key === `${oldPrefix}queues` || value === '') continue;
+            properties.set(newPrefix + key.slice(oldPrefix.length), value);
+        }
+        additions.push({ path: newPath, properties });
+
+        // A move from inside the subtree is covered by the removal of the subtree
+        if (
+            earlierMoves &&
+            node.isNew() &&
+            node.move &&
+            node.move.to === node.fullPath &&
+            !node.move.from.startsWith(`${sourcePath}.`)
+        ) {
+            earlierMoves.push({ from: node.move.from, to: newPath });
+        }
+        if (!includeChildren) {
+            return;
+        }
+        for (const child of node.children.values()) {
+            this._collectQueueCopies(child, sourcePath, targetPath, includeChildren, additions, earlierMoves);
+        }
+    }
+
+    /**
+     * Links the staged removal of a queue and the staged additions at and below its new path
+     * into one move with the removal's change ID
+     * @private
+     * @returns {string} Change ID of the move
+     */
+    _linkMove(from, to) {
+        const source = this.getQueueNode(from);
+        const move = { from, to };
+        source.move = move;
+
+        const linkAddition = (node) => {
+            if (!node.isNew()) return;
+            node.move = move;
+            node.changeId = source.changeId;
+            for (const child of node.children.values()) {
+                linkAddition(child);
+            }
+        };
+        linkAddition(this.getQueueNode(to));
+        return source.changeId;
+    }
+
     /**
      * Stages global configuration updates
      */
     stageGlobalUpdate(properties) {
+        this._recordHistoryStep();
         this.globalChangeId = this._generateChangeId();
 
         for (const [key, value] of Object.entries(properties)) {
@@ -390,10 +608,109 @@ class QueueConfigurationManager {
         return effective;
     }
 
+    /**
+     * Flattens the configuration back into the scheduler-conf property list. Global properties
+     * come first, then each queue depth-first with children ordered by name, so the output
+     * is stable across exports.
+     * @param {boolean} [includePendingChanges=true] - Apply staged changes, or return the server configuration
+     * @returns {Array<{name: string, value: string}>}
+     */
+    toPropertyList(includePendingChanges = true) {
+        const globalProperties = includePendingChanges ? this.getEffectiveGlobalProperties() : this.globalProperties;
+        const properties = [...globalProperties]
+            .filter(([name, value]) => !includePendingChanges || value !== '' || !this.pendingGlobalChanges.has(name))
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, value]) => ({ name, value }));
+
+        if (this.rootNode) {
+            this._collectQueueProperties(this.rootNode, includePendingChanges, properties);
+        }
+        return properties;
+    }
+
+    /**
+     * Appends a queue's properties, starting with its .queues list, then its children's
+     * @private
+     */
+    _collectQueueProperties(node, includePendingChanges, properties) {
+        const children = [...node.children.values()].filter((child) =>
+            includePendingChanges ? child.isQueue && !child.isDeleted() : child.isQueue && !child.isNew()
+        );
+        if (children.length > 0) {
+            properties.push({
+                name: `${this._YARN_SCHEDULER_CAPACITY_PREFIX}${node.fullPath}${this._QUEUES_SUFFIX}`,
+                value: children.map((child) => child.segment).join(','),
+            });
+        }
+
+        const nodeProperties = includePendingChanges ? node.getEffectiveProperties() : node.baseProperties;
+        const queuePrefix = `${this._YARN_SCHEDULER_CAPACITY_PREFIX}${node.fullPath}.`;
+        const queueProperties = [];
+        for (const [name, value] of nodeProperties) {
+            if (!name.startsWith(queuePrefix) || name.endsWith('._ui_capacityMode')) continue;
+            if (includePendingChanges && node.pendingProperties.has(name)) {
+                // Staged values are written as they would be sent to the API; empty values unset the property
+                if (value === '') continue;
+                queueProperties.push({ name, value: this._cleanValueForApi(value, name.slice(queuePrefix.length)) });
+            } else {
+                queueProperties.push({ name, value });
+            }
+        }
+        properties.push(...queueProperties.sort((a, b) => a.name.localeCompare(b.name)));
+
+        for (const child of children.sort((a, b) => a.segment.localeCompare(b.segment))) {
+            this._collectQueueProperties(child, includePendingChanges, properties);
+        }
+    }
+
+    /**
+     * Compares the loaded configuration (baseline), the configuration with the staged changes
+     * (mine) and a newer server configuration (theirs). A property conflicts if both sides
+     * changed it to different values.
+     * @param {Array<{name: string, value: string}>} serverProperties - Current server configuration
+     * @returns {{baselineChanged: boolean, conflicts: Array<{name: string, baseline: string|undefined,
+     *          theirs: string|undefined, mine: string|undefined}>}} Undefined values are unset properties
+     */
+    findConflicts(serverProperties) {
+        const server = new QueueConfigurationManager();
+        server.initializeFromConfig(serverProperties);
+
+        const toMap = (properties) => new Map(properties.map(({ name, value }) => [name, value]));
+        const baseline = toMap(this.toPropertyList(false));
+        const mine = toMap(this.toPropertyList(true));
+        const theirs = toMap(server.toPropertyList(false));
+
+        let baselineChanged = false;
+        const conflicts = [];
+        const names = [...new Set([...baseline.keys(), ...mine.keys(), ...theirs.keys()])].sort();
+        for (const name of names) {
+            const baselineValue = baseline.get(name);
+            const theirValue = theirs.get(name);
+            const myValue = mine.get(name);
+            if (theirValue === baselineValue) continue;
+
+            baselineChanged = true;
+            if (myValue !== baselineValue && myValue !== theirValue) {
+                conflicts.push({ name, baseline: baselineValue, theirs: theirValue, mine: myValue });
+            }
+        }
+        return { baselineChanged, conflicts };
+    }
+
     /**
      * Clears all pending changes
      */
     clearAllPendingChanges() {
+        if (this.hasPendingChanges()) {
+            this._recordHistoryStep();
+        }
+        this._clearStagedState();
+    }
+
+    /**
+     * Clears all pending changes without recording an undo step
+     */
+    _clearStagedState() {
         this.pendingGlobalChanges.clear();
         this.oldGlobalProperties.clear();
         this.globalChangeId = null;
@@ -407,12 +724,29 @@ class QueueConfigurationManager {
      * Recursively clears pending changes from nodes
      */
     _clearNodePendingChanges(node) {
+        if (this._discardStagedAddition(node)) {
+            return;
+        }
         node.clearPendingChanges();
         for (const child of node.children.values()) {
             this._clearNodePendingChanges(child);
         }
     }
 
+    /**
+     * Removes a node that only exists as a staged addition from the trie, together with
+     * its children, so discarding the addition does not leave an empty queue behind
+     * @returns {boolean} True if the node was removed
+     */
+    _discardStagedAddition(node) {
+        if (!node.isNew() || !node.parent) {
+            return false;
+        }
+        node.parent.children.delete(node.segment);
+        node.parent = null;
+        return true;
+    }
+
     /**
      * Checks if there are any pending changes
      */
@@ -447,7 +781,7 @@ class QueueConfigurationManager {
      * Gets a summary of pending changes
      */
     getChangesSummary() {
-        const summary = { added: 0, modified: 0, deleted: 0, global: 0 };
+        const summary = { added: 0, modified: 0, deleted: 0, moved: 0, global: 0 };
 
         if (this.pendingGlobalChanges.size > 0) {
             summary.global = 1;
@@ -464,7 +798,12 @@ class QueueConfigurationManager {
      * Recursively collects change counts from nodes
      */
     _collectNodeChanges(node, summary) {
-        switch (node.pendingOperation) {
+        let operation = node.pendingOperation;
+        if (node.move) {
+            // A move counts once, for its removal, rather than as a removal and additions
+            operation = operation === 'delete' ? 'move' : null;
+        }
+        switch (operation) {
         case 'add': {
             summary.added++;
         
@@ -478,6 +817,11 @@ class QueueConfigurationManager {
         case 'delete': {
             summary.deleted++;
         
+        break;
+        }
+        case 'move': {
+            summary.moved++;
+        
         break;
         }
         // No default
@@ -520,7 +864,7 @@ class QueueConfigurationManager {
         case 'add': {
             const params = {};
             for (const [fullKey, value] of node.pendingProperties) {
-                const simpleKey = PropertyKeyMapper.toSimpleKey(fullKey);
+                const simpleKey = this._toQueueRelativeKey(node.fullPath, fullKey);
                 if (simpleKey !== '_ui_capacityMode') {
                     params[simpleKey] = this._cleanValueForApi(value, simpleKey);
                 }
@@ -535,7 +879,7 @@ class QueueConfigurationManager {
         case 'update': {
             const params = {};
             for (const [fullKey, value] of node.pendingProperties) {
-                const simpleKey = PropertyKeyMapper.toSimpleKey(fullKey);
+                const simpleKey = this._toQueueRelativeKey(node.fullPath, fullKey);
                 if (simpleKey !== '_ui_capacityMode') {
                     params[simpleKey] = this._cleanValueForApi(value, simpleKey);
                 }
@@ -560,6 +904,17 @@ class QueueConfigurationManager {
         }
     }
 
+    /**
+     * Gets a property key relative to its queue, as the mutation API expects it
+     * (e.g. "accessible-node-labels.gpu.capacity" rather than just "capacity")
+     */
+    _toQueueRelativeKey(queuePath, fullKey) {
+        const queuePrefix = `${this._YARN_SCHEDULER_CAPACITY_PREFIX}${queuePath}.`;
+        return fullKey.startsWith(queuePrefix)
+            ? fullKey.slice(queuePrefix.length)
+            : PropertyKeyMapper.toSimpleKey(fullKey);
+    }
+
     /**
      * Cleans values for API submission
      * @param {string} value - The value to clean
@@ -632,7 +987,7 @@ class QueueConfigurationManager {
 
         // Collect additions
         const additions = this.getQueueAdditions();
-        for (const addition of additions) {
+        for (const addition of additions.filter((change) => !change.move)) {
             for (const [fullKey, value] of addition.properties || new Map()) {
                 allChanges.push({
                     id: addition.id,
@@ -663,7 +1018,7 @@ class QueueConfigurationManager {
 
         // Collect deletions
         const deletions = this.getQueueDeletions();
-        for (const deletion of deletions) {
+        for (const deletion of deletions.filter((change) => !change.move)) {
             allChanges.push({
                 id: deletion.id,
                 operation: 'DELETE',
@@ -674,6 +1029,18 @@ class QueueConfigurationManager {
             });
         }
 
+        // Collect moves, each as one change instead of its removal and additions
+        for (const deletion of deletions.filter((change) => change.move)) {
+            allChanges.push({
+                id: deletion.id,
+                operation: 'MOVE',
+                queuePath: deletion.move.from,
+                propertyKey: null,
+                oldValue: deletion.move.from,
+                newValue: deletion.move.to,
+            });
+        }
+
         // Collect global changes
         if (this.pendingGlobalChanges.size > 0) {
             for (const [fullKey, newValue] of this.pendingGlobalChanges) {
@@ -698,6 +1065,7 @@ class QueueConfigurationManager {
      * Removes a change by ID (compatibility with ChangeLog interface)
      */
     removeChange(changeId) {
+        this._recordHistoryStep();
         if (this.rootNode) {
             this._removeChangeFromNode(this.rootNode, changeId);
         }
@@ -713,6 +1081,9 @@ class QueueConfigurationManager {
      */
     _removeChangeFromNode(node, changeId) {
         if (node.changeId === changeId) {
+            if (this._discardStagedAddition(node)) {
+                return;
+            }
             node.clearPendingChanges();
         }
         for (const child of node.children.values()) {
@@ -720,6 +1091,186 @@ class QueueConfigurationManager {
         }
     }
 
+    /**
+     * Replaces the pending changes with a set of operations, as one undo step
+     * @param {{removeQueues: Array<string>, addQueues: Array<{path: string, properties: Map<string, string>}>,
+     *          updateQueues: Array<{path: string, properties: Map<string, string>}>, globalUpdates: Object,
+     *          moves?: Array<{from: string, to: string}>}} operations - Operations with full property names,
+     *          applicable to the loaded configuration. Moves link removals and additions staged here.
+     */
+    replaceStagedChanges(operations) {
+        this.runAsSingleStep(() => {
+            this.clearAllPendingChanges();
+            for (const queuePath of operations.removeQueues) {
+                this.stageDeleteQueue(queuePath);
+            }
+            for (const { path, properties } of operations.addQueues) {
+                this.stageAddQueue(path, properties);
+            }
+            for (const { path, properties } of operations.updateQueues) {
+                this.stageUpdateQueue(path, properties);
+            }
+            if (Object.keys(operations.globalUpdates).length > 0) {
+                this.stageGlobalUpdate(operations.globalUpdates);
+            }
+            for (const { from, to } of operations.moves || []) {
+                this._linkMove(from, to);
+            }
+        });
+    }
+
+    /**
+     * Runs a callback that stages several changes, so they are undone and redone as one step
+     * @param {Function} callback - Stages the changes synchronously
+     * @returns {*} The callback's return value
+     */
+    runAsSingleStep(callback) {
+        if (this._batchDepth === 0) {
+            this._batchRecorded = false;
+        }
+        this._batchDepth++;
+        try {
+            return callback();
+        } finally {
+            this._batchDepth--;
+        }
+    }
+
+    /**
+     * Returns whether there is a staging step to undo
+     */
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    /**
+     * Returns whether there is an undone step to redo
+     */
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Restores the staged changes from before the most recent step
+     * @returns {boolean} False if there was nothing to undo
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+        this._redoStack.push(this._captureStagedState());
+        this._restoreStagedState(this._undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Re-stages the most recently undone step
+     * @returns {boolean} False if there was nothing to redo
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+        this._undoStack.push(this._captureStagedState());
+        this._restoreStagedState(this._redoStack.pop());
+        return true;
+    }
+
+    /**
+     * Returns the staged changes as plain objects that can be stored as JSON. The removal and the
+     * additions of a staged move carry it as move: {from, to}.
+     * @returns {{queues: Array<Object>, globalChanges: Object, oldGlobalProperties: Object}}
+     */
+    exportStagedState() {
+        const state = this._captureStagedState();
+        return {
+            queues: state.queues.map(({ path, operation, properties, oldProperties, move }) => ({
+                path,
+                operation,
+                properties: Object.fromEntries(properties),
+                oldProperties: Object.fromEntries(oldProperties),
+                move: move ? { ...move } : null,
+            })),
+            globalChanges: Object.fromEntries(state.globalChanges),
+            oldGlobalProperties: Object.fromEntries(state.oldGlobalProperties),
+        };
+    }
+
+    /**
+     * Saves the current staged state on the undo stack before a change. Inside runAsSingleStep()
+     * only the first change is recorded. A new step makes the undone steps unreachable.
+     */
+    _recordHistoryStep() {
+        if (this._batchDepth > 0) {
+            if (this._batchRecorded) {
+                return;
+            }
+            this._batchRecorded = true;
+        }
+        this._undoStack.push(this._captureStagedState());
+        if (this._undoStack.length > this._MAX_HISTORY_STEPS) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+    }
+
+    /**
+     * Copies the pending changes of all nodes, parents before children, and the global changes
+     */
+    _captureStagedState() {
+        const queues = [];
+        const collect = (node) => {
+            if (node.hasPendingChanges()) {
+                queues.push({
+                    path: node.fullPath,
+                    operation: node.pendingOperation,
+                    properties: new Map(node.pendingProperties),
+                    oldProperties: new Map(node.oldProperties),
+                    changeId: node.changeId,
+                    timestamp: node.timestamp,
+                    move: node.move,
+                });
+            }
+            for (const child of node.children.values()) {
+                collect(child);
+            }
+        };
+        if (this.rootNode) {
+            collect(this.rootNode);
+        }
+
+        return {
+            queues,
+            globalChanges: new Map(this.pendingGlobalChanges),
+            oldGlobalProperties: new Map(this.oldGlobalProperties),
+            globalChangeId: this.globalChangeId,
+        };
+    }
+
+    /**
+     * Replaces the pending changes with a state from _captureStagedState()
+     */
+    _restoreStagedState(state) {
+        this._clearStagedState();
+
+        for (const { path, operation, properties, oldProperties, changeId, timestamp, move } of state.queues) {
+            const node = this._getOrCreateQueueNode(path);
+            node.pendingOperation = operation;
+            node.pendingProperties = new Map(properties);
+            node.oldProperties = new Map(oldProperties);
+            node.changeId = changeId;
+            node.timestamp = timestamp;
+            node.move = move || null;
+            if (operation === 'add') {
+                node.isQueue = true;
+            }
+        }
+
+        this.pendingGlobalChanges = new Map(state.globalChanges);
+        this.oldGlobalProperties = new Map(state.oldGlobalProperties);
+        this.globalChangeId = state.globalChangeId;
+    }
+
     /**
      * Recursively collects additions
      */
@@ -730,6 +1281,7 @@ class QueueConfigurationManager {
                 type: 'add',
                 path: node.fullPath,
                 properties: new Map(node.pendingProperties),
+                move: node.move,
             });
         }
         for (const child of node.children.values()) {
@@ -764,6 +1316,7 @@ class QueueConfigurationManager {
                 id: node.changeId,
                 type: 'delete',
                 path: node.fullPath,
+                move: node.move,
             });
         }
         for (const child of node.children.values()) {
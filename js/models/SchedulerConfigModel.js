@@ -5,6 +5,7 @@ class SchedulerConfigModel extends EventEmitter {
     constructor() {
         super();
         this._queueConfigManager = new QueueConfigurationManager();
+        this._configVersion = null;
     }
 
     /**
@@ -23,6 +24,20 @@ class SchedulerConfigModel extends EventEmitter {
         }
     }
 
+    /**
+     * Sets the version of the mutable configuration store the configuration was loaded from.
+     * @param {number|null} version - Null if the ResourceManager does not report a version.
+     */
+    setConfigVersion(version) {
+        this._configVersion = version;
+        this._emit('configVersionChanged', version);
+    }
+
+    /** Returns the configuration version, or null if unknown. @returns {number|null} */
+    getConfigVersion() {
+        return this._configVersion;
+    }
+
     /**
      * Retrieves the effective properties of a queue node.
      * @param {string} path - The full path of the queue (e.g., "root.default").
@@ -41,6 +56,14 @@ class SchedulerConfigModel extends EventEmitter {
         return this._queueConfigManager.getEffectiveGlobalProperties();
     }
 
+    /**
+     * Returns the staged global property changes.
+     * @returns {Map<string, string>} Full property name to staged value
+     */
+    getPendingGlobalChanges() {
+        return this._queueConfigManager.pendingGlobalChanges;
+    }
+
     /**
      * Stages a new queue for addition.
      * @param {string} queuePath - The full path of the new queue.
@@ -83,6 +106,40 @@ class SchedulerConfigModel extends EventEmitter {
         this._emit('pendingChangesUpdated', this._queueConfigManager);
     }
 
+    /**
+     * Stages moving a queue and its children under another parent.
+     * @param {string} queuePath - The full path of the queue to move.
+     * @param {string} targetParentPath - The full path of the new parent queue.
+     * @param {SchedulerInfoModel} [schedulerInfoModel] - Live queue states, to reject running leaf targets.
+     * @throws {Error} If the move is not possible, see QueueConfigurationManager.getMoveError().
+     */
+    stageMoveQueue(queuePath, targetParentPath, schedulerInfoModel = null) {
+        this._queueConfigManager.stageMoveQueue(queuePath, targetParentPath, schedulerInfoModel);
+
+        this._emit('pendingChangesUpdated', this._queueConfigManager);
+    }
+
+    /**
+     * Stages a copy of a queue, optionally with the queues below it, under a parent.
+     * @param {string} queuePath - The full path of the queue to copy.
+     * @param {string} targetParentPath - The full path of the parent of the copy.
+     * @param {string} queueName - The name of the copy.
+     * @param {boolean} includeChildren - Whether to copy the queues below the queue too.
+     * @returns {Array<string>} The full paths of the staged queues.
+     * @throws {Error} If the copy is not possible, see QueueConfigurationManager.getDuplicateError().
+     */
+    stageDuplicateQueue(queuePath, targetParentPath, queueName, includeChildren) {
+        const stagedPaths = this._queueConfigManager.stageDuplicateQueue(
+            queuePath,
+            targetParentPath,
+            queueName,
+            includeChildren
+        );
+
+        this._emit('pendingChangesUpdated', this._queueConfigManager);
+        return stagedPaths;
+    }
+
     /**
      * Stages updates for global scheduler configurations.
      * @param {Object} params - A map of full YARN property names and their new values.
@@ -104,6 +161,42 @@ class SchedulerConfigModel extends EventEmitter {
         this._emit('pendingChangesUpdated', this._queueConfigManager);
     }
 
+    /**
+     * Replaces all staged changes with a set of operations, as one undo step.
+     * @param {Object} operations - See QueueConfigurationManager.replaceStagedChanges().
+     */
+    replaceStagedChanges(operations) {
+        this._queueConfigManager.replaceStagedChanges(operations);
+        this._emit('pendingChangesUpdated', this._queueConfigManager);
+    }
+
+    /**
+     * Stages several changes as one undo step.
+     * @param {Function} callback - Stages the changes synchronously.
+     * @returns {*} The callback's return value.
+     */
+    runAsSingleStep(callback) {
+        return this._queueConfigManager.runAsSingleStep(callback);
+    }
+
+    /** Reverts the most recent staging step. @returns {boolean} False if there was nothing to undo. */
+    undo() {
+        const undone = this._queueConfigManager.undo();
+        if (undone) {
+            this._emit('pendingChangesUpdated', this._queueConfigManager);
+        }
+        return undone;
+    }
+
+    /** Re-stages the most recently undone step. @returns {boolean} False if there was nothing to redo. */
+    redo() {
+        const redone = this._queueConfigManager.redo();
+        if (redone) {
+            this._emit('pendingChangesUpdated', this._queueConfigManager);
+        }
+        return redone;
+    }
+
     /** Checks if there are any pending changes. @returns {boolean} */
     hasPendingChanges() {
         return this._queueConfigManager.hasPendingChanges();
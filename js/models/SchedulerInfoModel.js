@@ -49,6 +49,33 @@ class SchedulerInfoModel extends EventEmitter {
         this._emit('infoLoaded', { success: true, processingTime });
     }
 
+    /**
+     * Replaces the runtime data with a newer Scheduler Info API response while polling. Emits
+     * runtimeInfoUpdated instead of infoLoaded, so views update in place rather than re-render.
+     * Invalid data is ignored and the previous data kept.
+     * @param {Object} schedulerInfoData - The raw JSON object from the API.
+     * @returns {boolean} True if the data was replaced
+     */
+    updateRuntimeInfo(schedulerInfoData) {
+        if (!schedulerInfoData || !schedulerInfoData.scheduler || !schedulerInfoData.scheduler.schedulerInfo) {
+            console.warn('SchedulerInfoModel: Invalid schedulerInfoData received while polling.');
+            return false;
+        }
+
+        if (this._useCache) {
+            // Queues removed since the last response must not stay in the path cache
+            this._dataCache.clearCache();
+            this._schedulerInfo = this._dataCache.normalizeSchedulerInfo(schedulerInfoData);
+        } else {
+            this._schedulerInfo = schedulerInfoData.scheduler.schedulerInfo;
+        }
+
+        this._extractPartitions();
+        this._extractNodeLabels();
+        this._emit('runtimeInfoUpdated');
+        return true;
+    }
+
     /**
      * Extracts unique partition names from the loaded scheduler info.
      * Partitions are derived from node labels accessible by queues.
@@ -8,6 +8,9 @@ class ApiService {
         this.useMocks = useMocks;
         this.mockDataBasePath = mockDataBasePath;
         this.errorHandler = new ErrorHandler();
+        this._mockNodeLabelState = null; // In-memory label state so label mutations are visible in mock mode
+        this._mockConfigVersion = 1; // Incremented by mock applies, like the mutable config store does
+        this._mockStoppedQueues = new Set(); // Queues stopped by mock applies, reported as STOPPED in scheduler info
 
         this.defaultHeaders = {
             'Content-Type': 'application/json', // Default for GET
@@ -42,30 +45,12 @@ class ApiService {
             const responseText = await response.text();
 
             if (!response.ok) {
-                // Handle API errors using new error system
-                if (requestOptions.method === 'PUT' && responseText && responseText.includes('<RemoteException>')) {
-                    const apiError = ApiError.fromXmlResponse(responseText, endpoint, requestOptions.method);
-                    return {
-                        status: response.status,
-                        data: null,
-                        error: apiError.getUserMessage(),
-                        originalError: apiError,
-                    };
-                }
-
-                const apiError = new ApiError(responseText || response.statusText || 'Request failed', 'API_ERROR', {
-                    statusCode: response.status,
+                return this._buildErrorResponse(
+                    response.status,
+                    responseText || response.statusText,
                     endpoint,
-                    method: requestOptions.method,
-                    responseData: responseText,
-                });
-
-                return {
-                    status: response.status,
-                    data: null,
-                    error: apiError.getUserMessage(),
-                    originalError: apiError,
-                };
+                    requestOptions.method
+                );
             }
 
             let data;
@@ -103,6 +88,38 @@ class ApiService {
         }
     }
 
+    /**
+     * Builds the result of a failed request. Only a body that is a RemoteException document is parsed
+     * as XML; other bodies, such as the plain-text messages of scheduler-conf/validate, become the
+     * error message as they are.
+     * @param {number} status - HTTP status
+     * @param {string} responseText - Response body, or the status text if the body is empty
+     * @param {string} endpoint - The API endpoint
+     * @param {string} method - HTTP method
+     * @returns {{status: number, data: null, error: string, originalError: ApiError}}
+     * @private
+     */
+    _buildErrorResponse(status, responseText, endpoint, method) {
+        // Handle API errors using new error system
+        const isRemoteException =
+            method !== 'GET' && /^\s*(?:<\?xml[^>]*\?>\s*)?<RemoteException>/.test(responseText || '');
+        const apiError = isRemoteException
+            ? ApiError.fromXmlResponse(responseText, endpoint, method)
+            : new ApiError(responseText || 'Request failed', 'API_ERROR', {
+                  statusCode: status,
+                  endpoint,
+                  method,
+                  responseData: responseText,
+              });
+
+        return {
+            status,
+            data: null,
+            error: apiError.getUserMessage(),
+            originalError: apiError,
+        };
+    }
+
     async _getMock(endpoint, expectJson = true) {
         const largeSuffix = CONFIG.USE_LARGE_MOCKS ? '-large' : '';
         const extension = expectJson ? '.json' : '.xml';
@@ -135,6 +152,68 @@ class ApiService {
         ); // True, because our mock is JSON, and old code tried to parse response as JSON
     }
 
+    /**
+     * Fetches the version of the mutable scheduler configuration. The ResourceManager increments
+     * it on every applied change.
+     * @returns {Promise<{status: number, data: Object|null, error?: string}>}
+     *          On success, data is like `{ versionID: 3 }`.
+     */
+    async fetchSchedulerConfVersion() {
+        if (this.useMocks) {
+            return { status: 200, data: { versionID: this._mockConfigVersion } };
+        }
+        return this._makeRequest(
+            CONFIG.API_ENDPOINTS.SCHEDULER_CONF_VERSION,
+            {
+                headers: { Accept: 'application/json' },
+            },
+            true
+        );
+    }
+
+    /**
+     * Fetches one property of the ResourceManager's own configuration from its /conf servlet,
+     * which answers 404 if the property is not set.
+     * @param {string} name - Full property name, e.g. "yarn.resourcemanager.cluster-id"
+     * @returns {Promise<{status: number, data: Object|null, error?: string}>}
+     *          On success, data is like `{ property: { key: '...', value: '...', resource: 'yarn-site.xml' } }`.
+     */
+    async fetchResourceManagerProperty(name) {
+        if (this.useMocks) {
+            return {
+                status: 200,
+                data: { property: { key: name, value: 'yarn-cluster', isFinal: false, resource: 'yarn-site.xml' } },
+            };
+        }
+        return this._makeRequest(
+            `${CONFIG.API_ENDPOINTS.RM_CONF}?name=${encodeURIComponent(name)}`,
+            {
+                headers: { Accept: 'application/json' },
+            },
+            true
+        );
+    }
+
+    /**
+     * Formats the mutable scheduler configuration store, discarding every change made through the
+     * mutation API. The store is re-initialized from the configuration file on the ResourceManager.
+     * @returns {Promise<{status: number, data: string|null, error?: string}>}
+     */
+    async formatSchedulerConf() {
+        if (this.useMocks) {
+            await new Promise((resolve) => setTimeout(resolve, 300)); // Simulate delay
+            this._mockConfigVersion = 1;
+            return { status: 200, data: 'Configuration under store successfully formatted. (Mock Response)' };
+        }
+        return this._makeRequest(
+            CONFIG.API_ENDPOINTS.SCHEDULER_CONF_FORMAT,
+            {
+                headers: { Accept: 'text/plain' },
+            },
+            false
+        );
+    }
+
     /**
      * Fetches the live scheduler information.
      * @returns {Promise<{status: number, data: Object|null, error?: string}>}
@@ -142,7 +221,11 @@ class ApiService {
      */
     async fetchSchedulerInfo() {
         if (this.useMocks) {
-            return this._getMock(CONFIG.API_ENDPOINTS.SCHEDULER_INFO, true);
+            const result = await this._getMock(CONFIG.API_ENDPOINTS.SCHEDULER_INFO, true);
+            if (result.data && this._mockStoppedQueues.size > 0) {
+                this._applyMockQueueStates(result.data.scheduler.schedulerInfo);
+            }
+            return result;
         }
         return this._makeRequest(
             CONFIG.API_ENDPOINTS.SCHEDULER_INFO,
@@ -153,6 +236,21 @@ class ApiService {
         );
     }
 
+    /**
+     * Marks the queues stopped by mock applies as STOPPED. Mock queues have no running
+     * applications, so they drain at once.
+     * @private
+     */
+    _applyMockQueueStates(queueInfo) {
+        if (this._mockStoppedQueues.has(queueInfo.queuePath)) {
+            queueInfo.state = 'STOPPED';
+        }
+        const children = queueInfo.queues?.queue || [];
+        for (const child of Array.isArray(children) ? children : [children]) {
+            this._applyMockQueueStates(child);
+        }
+    }
+
     /**
      * Fetches cluster nodes information including node labels.
      * @returns {Promise<{status: number, data: Object|null, error?: string}>}
@@ -160,7 +258,11 @@ class ApiService {
      */
     async fetchClusterNodes() {
         if (this.useMocks) {
-            return this._getMock(CONFIG.API_ENDPOINTS.CLUSTER_NODES, true);
+            const result = await this._getMock(CONFIG.API_ENDPOINTS.CLUSTER_NODES, true);
+            if (result.data && this._mockNodeLabelState) {
+                this._applyMockNodeToLabels(result.data);
+            }
+            return result;
         }
         return this._makeRequest(
             CONFIG.API_ENDPOINTS.CLUSTER_NODES,
@@ -171,6 +273,219 @@ class ApiService {
         );
     }
 
+    /**
+     * Fetches the node labels defined in the cluster, including their exclusivity.
+     * @returns {Promise<{status: number, data: Object|null, error?: string}>}
+     *          On success, data is an object like `get-node-labels.json` ({ nodeLabelInfo: [...] }).
+     */
+    async fetchNodeLabels() {
+        if (this.useMocks) {
+            if (this._mockNodeLabelState) {
+                return { status: 200, data: { nodeLabelInfo: [...this._mockNodeLabelState.labels.values()] } };
+            }
+            return this._getMock(CONFIG.API_ENDPOINTS.NODE_LABELS, true);
+        }
+        return this._makeRequest(
+            CONFIG.API_ENDPOINTS.NODE_LABELS,
+            {
+                headers: { Accept: 'application/json' },
+            },
+            true
+        );
+    }
+
+    /**
+     * Fetches the node to labels mapping known by the ResourceManager.
+     * @returns {Promise<{status: number, data: Object|null, error?: string}>}
+     *          On success, data is an object like `get-node-to-labels.json` ({ nodeToLabels: { entry: [...] } }).
+     */
+    async fetchNodeToLabels() {
+        if (this.useMocks) {
+            if (this._mockNodeLabelState) {
+                return { status: 200, data: this._buildMockNodeToLabelsResponse() };
+            }
+            return this._getMock(CONFIG.API_ENDPOINTS.NODE_TO_LABELS, true);
+        }
+        return this._makeRequest(
+            CONFIG.API_ENDPOINTS.NODE_TO_LABELS,
+            {
+                headers: { Accept: 'application/json' },
+            },
+            true
+        );
+    }
+
+    /**
+     * Adds node labels to the cluster. Applied immediately, not part of the scheduler configuration batch.
+     * @param {Array<{name: string, exclusivity: boolean}>} labels - Labels to add
+     * @returns {Promise<{status: number, data: any, error?: string}>}
+     */
+    async addNodeLabels(labels) {
+        if (this.useMocks) {
+            const state = await this._getMockNodeLabelState();
+            const existing = labels.find((label) => state.labels.has(label.name));
+            if (existing) {
+                return { status: 400, data: null, error: `Mock: Node label "${existing.name}" already exists.` };
+            }
+            for (const label of labels) {
+                state.labels.set(label.name, { name: label.name, exclusivity: label.exclusivity });
+            }
+            return { status: 200, data: '' };
+        }
+
+        const labelsXML = labels
+            .map(
+                (label) =>
+                    `  <nodeLabelInfo><name>${DomUtils.escapeXml(label.name)}</name><exclusivity>${label.exclusivity}</exclusivity></nodeLabelInfo>`
+            )
+            .join('\n');
+        return this._makeRequest(
+            CONFIG.API_ENDPOINTS.ADD_NODE_LABELS,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/xml', Accept: 'application/xml' },
+                body: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<nodeLabelsInfo>\n${labelsXML}\n</nodeLabelsInfo>`,
+            },
+            false
+        );
+    }
+
+    /**
+     * Removes node labels from the cluster. Applied immediately, not part of the scheduler configuration batch.
+     * @param {Array<string>} labelNames - Names of the labels to remove
+     * @returns {Promise<{status: number, data: any, error?: string}>}
+     */
+    async removeNodeLabels(labelNames) {
+        if (this.useMocks) {
+            const state = await this._getMockNodeLabelState();
+            const unknown = labelNames.find((name) => !state.labels.has(name));
+            if (unknown) {
+                return { status: 400, data: null, error: `Mock: Node label "${unknown}" does not exist.` };
+            }
+            for (const name of labelNames) {
+                state.labels.delete(name);
+                for (const [nodeId, nodeLabels] of state.nodeToLabels) {
+                    state.nodeToLabels.set(
+                        nodeId,
+                        nodeLabels.filter((label) => label !== name)
+                    );
+                }
+            }
+            return { status: 200, data: '' };
+        }
+
+        const query = labelNames.map((name) => `labels=${encodeURIComponent(name)}`).join('&');
+        return this._makeRequest(
+            `${CONFIG.API_ENDPOINTS.REMOVE_NODE_LABELS}?${query}`,
+            {
+                method: 'POST',
+                headers: { Accept: 'application/xml' },
+            },
+            false
+        );
+    }
+
+    /**
+     * Replaces the labels of the given nodes. An empty label list removes the node's labels.
+     * Applied immediately, not part of the scheduler configuration batch.
+     * @param {Object<string, Array<string>>} nodeToLabels - Node id (host:port) -> labels
+     * @returns {Promise<{status: number, data: any, error?: string}>}
+     */
+    async replaceNodeToLabels(nodeToLabels) {
+        if (this.useMocks) {
+            const state = await this._getMockNodeLabelState();
+            for (const labels of Object.values(nodeToLabels)) {
+                const unknown = labels.find((label) => !state.labels.has(label));
+                if (unknown) {
+                    return { status: 400, data: null, error: `Mock: Node label "${unknown}" does not exist.` };
+                }
+            }
+            for (const [nodeId, labels] of Object.entries(nodeToLabels)) {
+                state.nodeToLabels.set(nodeId, [...labels]);
+            }
+            return { status: 200, data: '' };
+        }
+
+        const entriesXML = Object.entries(nodeToLabels)
+            .map(([nodeId, labels]) => {
+                const labelsXML = labels
+                    .map((label) => `<nodeLabels>${DomUtils.escapeXml(label)}</nodeLabels>`)
+                    .join('');
+                return `  <nodeToLabels><nodeId>${DomUtils.escapeXml(nodeId)}</nodeId>${labelsXML}</nodeToLabels>`;
+            })
+            .join('\n');
+        return this._makeRequest(
+            CONFIG.API_ENDPOINTS.REPLACE_NODE_TO_LABELS,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/xml', Accept: 'application/xml' },
+                body: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<nodeToLabelsEntryList>\n${entriesXML}\n</nodeToLabelsEntryList>`,
+            },
+            false
+        );
+    }
+
+    /**
+     * Loads the mock label state from the mock files on first use.
+     * @returns {Promise<{labels: Map<string, Object>, nodeToLabels: Map<string, Array<string>>}>}
+     * @private
+     */
+    async _getMockNodeLabelState() {
+        if (this._mockNodeLabelState) {
+            return this._mockNodeLabelState;
+        }
+
+        const [labelsResult, nodeToLabelsResult] = await Promise.all([
+            this._getMock(CONFIG.API_ENDPOINTS.NODE_LABELS, true),
+            this._getMock(CONFIG.API_ENDPOINTS.NODE_TO_LABELS, true),
+        ]);
+
+        const labels = new Map();
+        for (const labelInfo of labelsResult.data?.nodeLabelInfo || []) {
+            labels.set(labelInfo.name, { name: labelInfo.name, exclusivity: labelInfo.exclusivity });
+        }
+
+        const nodeToLabels = new Map();
+        for (const entry of nodeToLabelsResult.data?.nodeToLabels?.entry || []) {
+            nodeToLabels.set(
+                entry.key,
+                (entry.value?.nodeLabelInfo || []).map((labelInfo) => labelInfo.name)
+            );
+        }
+
+        this._mockNodeLabelState = { labels, nodeToLabels };
+        return this._mockNodeLabelState;
+    }
+
+    /**
+     * Builds a get-node-to-labels response from the mock label state.
+     * @private
+     */
+    _buildMockNodeToLabelsResponse() {
+        const { labels, nodeToLabels } = this._mockNodeLabelState;
+        const entry = [...nodeToLabels.entries()]
+            .filter(([, nodeLabels]) => nodeLabels.length > 0)
+            .map(([nodeId, nodeLabels]) => ({
+                key: nodeId,
+                value: { nodeLabelInfo: nodeLabels.map((name) => labels.get(name) || { name, exclusivity: true }) },
+            }));
+        return { nodeToLabels: { entry } };
+    }
+
+    /**
+     * Applies the mock node to labels mapping to a mock nodes response.
+     * @private
+     */
+    _applyMockNodeToLabels(nodesData) {
+        const nodes = nodesData.nodes?.node || [];
+        for (const node of Array.isArray(nodes) ? nodes : [nodes]) {
+            const labels = this._mockNodeLabelState.nodeToLabels.get(node.id);
+            if (labels) {
+                node.nodeLabels = [...labels];
+            }
+        }
+    }
+
     /**
      * Builds the XML payload for scheduler configuration mutation.
      * @param {Object} batchChanges - The changes to apply.
@@ -225,8 +540,106 @@ class ApiService {
         return xmlParts.join('\n');
     }
 
-    async putSchedulerChanges(batchMutationPayload) {
+    /**
+     * Describes the request putSchedulerChanges() sends for a batch of changes, so it can be
+     * reviewed or replayed outside the UI.
+     * @param {Object} batchMutationPayload - The changes to apply, as for putSchedulerChanges()
+     * @returns {{method: string, baseUrl: string, path: string, url: string, headers: Object, body: string}}
+     *          path is relative to baseUrl, url is both combined
+     */
+    getSchedulerMutationRequest(batchMutationPayload) {
+        const path = this._addUserParam(CONFIG.API_ENDPOINTS.SCHEDULER_CONF);
+        return {
+            method: 'PUT',
+            baseUrl: this.baseUrl,
+            path,
+            url: `${this.baseUrl}${path}`,
+            headers: {
+                'Content-Type': 'application/xml',
+                Accept: 'application/xml',
+            },
+            body: this._buildBatchMutationXML(batchMutationPayload),
+        };
+    }
+
+    /**
+     * Builds a shell script that replays a request with curl. The body is read from a file
+     * next to the script rather than inlined, so it is sent byte for byte. The ResourceManager
+     * address is the RM_URL variable, which defaults to the address the UI talks to.
+     * @param {{method: string, baseUrl: string, path: string, headers: Object}} request - From getSchedulerMutationRequest()
+     * @param {string} bodyFileName - Name of the file holding the request body
+     * @returns {string} Shell script
+     */
+    buildCurlScript(request, bodyFileName) {
+        const quote = (value) => `'${String(value).replaceAll("'", String.raw`'\''`)}'`;
+        const headerArguments = Object.entries(request.headers).map(
+            ([name, value]) => `  -H ${quote(`${name}: ${value}`)} \\`
+        );
+        return [
+            '#!/bin/sh',
+            `# Replays the scheduler configuration mutation in ${bodyFileName} against the ResourceManager.`,
+            '# Run it from the directory that contains the payload. On Kerberos-secured clusters add --negotiate -u :',
+            '# Set RM_URL to send it to another ResourceManager, e.g. RM_URL=http://rm.example.com:8088',
+            `RM_URL="\${RM_URL:-${request.baseUrl}}"`,
+            '',
+            `curl -X ${request.method} \\`,
+            ...headerArguments,
+            `  --data-binary @${quote(bodyFileName)} \\`,
+            `  "\${RM_URL}"${quote(request.path)}`,
+            '',
+        ].join('\n');
+    }
+
+    /**
+     * Asks the ResourceManager whether the configuration would load with a batch of changes applied,
+     * without applying them. Only newer ResourceManagers have this endpoint.
+     * @param {Object} batchMutationPayload - The changes to check, as for putSchedulerChanges()
+     * @returns {Promise<{status: number, data: any, error?: string, originalError?: ApiError}>}
+     *          An invalid configuration is answered with 400 and the exception message as plain text
+     */
+    async validateSchedulerChanges(batchMutationPayload) {
         const xmlBody = this._buildBatchMutationXML(batchMutationPayload);
+
+        if (this.useMocks) {
+            await new Promise((resolve) => setTimeout(resolve, 300)); // Simulate delay
+            return this._getMockValidationResult(xmlBody);
+        }
+
+        return this._makeRequest(
+            CONFIG.API_ENDPOINTS.SCHEDULER_CONF_VALIDATE,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/xml', Accept: 'application/json' },
+                body: xmlBody,
+            },
+            true
+        );
+    }
+
+    /**
+     * Mock for scheduler-conf/validate: rejects percentage capacities above 100 with the plain-text
+     * message a ResourceManager sends.
+     * @private
+     */
+    _getMockValidationResult(xmlBody) {
+        const invalidCapacity = [...xmlBody.matchAll(/<key>(?:maximum-)?capacity<\/key><value>([^<]*)<\/value>/g)]
+            .map((match) => match[1])
+            .find((value) => Number.parseFloat(value) > 100 && !/[a-z[]/i.test(value));
+        if (invalidCapacity === undefined) {
+            return { status: 200, data: null };
+        }
+
+        return this._buildErrorResponse(
+            400,
+            `java.io.IOException: Failed to re-init queues : Illegal capacity of ${invalidCapacity} (Mock)`,
+            CONFIG.API_ENDPOINTS.SCHEDULER_CONF_VALIDATE,
+            'POST'
+        );
+    }
+
+    async putSchedulerChanges(batchMutationPayload) {
+        const request = this.getSchedulerMutationRequest(batchMutationPayload);
+        const xmlBody = request.body;
         console.debug('ApiService: PUT XML Payload:', xmlBody);
 
         if (this.useMocks) {
@@ -241,6 +654,11 @@ class ApiService {
                     error: 'Mock validation: Capacity > 100%.',
                 };
             }
+            for (const { queueName, params } of batchMutationPayload.updateQueues || []) {
+                if (params.state === 'STOPPED') this._mockStoppedQueues.add(queueName);
+                if (params.state === 'RUNNING') this._mockStoppedQueues.delete(queueName);
+            }
+            this._mockConfigVersion++;
             return { status: 200, data: 'Configuration successfully applied (Mock Response).' };
         }
 
@@ -251,11 +669,8 @@ class ApiService {
                     const result = await this._makeRequest(
                         CONFIG.API_ENDPOINTS.SCHEDULER_CONF,
                         {
-                            method: 'PUT',
-                            headers: {
-                                'Content-Type': 'application/xml',
-                                Accept: 'application/xml',
-                            },
+                            method: request.method,
+                            headers: request.headers,
                             body: xmlBody,
                         },
                         false
@@ -36,13 +36,15 @@ class ChangeManager {
 
         const mappedParams = PropertyKeyMapper.convertToFullKeys(params, queuePath, selectedPartition);
 
-        this.schedulerConfigModel.getTrieInstance().stageUpdateQueue(queuePath, mappedParams);
+        this.schedulerConfigModel.runAsSingleStep(() => {
+            this.schedulerConfigModel.getTrieInstance().stageUpdateQueue(queuePath, mappedParams);
 
-        this.schedulerConfigModel._emit('pendingChangesUpdated', this.schedulerConfigModel.getTrieInstance());
+            this.schedulerConfigModel._emit('pendingChangesUpdated', this.schedulerConfigModel.getTrieInstance());
 
-        if (customProperties && Object.keys(customProperties).length > 0) {
-            this.schedulerConfigModel.stageGlobalUpdate(customProperties);
-        }
+            if (customProperties && Object.keys(customProperties).length > 0) {
+                this.schedulerConfigModel.stageGlobalUpdate(customProperties);
+            }
+        });
 
         getEventBus().emit('notification:success', `Changes for queue "${queuePath.split('.').pop()}" staged.`);
         return Result.success(true);
@@ -68,7 +70,125 @@ class ChangeManager {
     }
 
     /**
-     * Undoes a queue deletion
+     * Stages moving a queue and its children under another parent
+     * @param {string} queuePath - Path of queue to move
+     * @param {string} targetParentPath - Path of the new parent queue
+     * @param {SchedulerInfoModel} [schedulerInfoModel] - Live queue states, to reject running leaf targets
+     * @returns {Result<string>} Result containing the new queue path or error
+     */
+    stageMoveQueue(queuePath, targetParentPath, schedulerInfoModel = null) {
+        try {
+            this.schedulerConfigModel.stageMoveQueue(queuePath, targetParentPath, schedulerInfoModel);
+        } catch (error) {
+            getEventBus().emit('notification:error', `Cannot move queue: ${error.message}`);
+            return Result.failure(error.message);
+        }
+
+        const newPath = `${targetParentPath}.${queuePath.split('.').pop()}`;
+        getEventBus().emit('notification:success', `Queue "${queuePath}" staged to move to "${newPath}".`);
+        return Result.success(newPath);
+    }
+
+    /**
+     * Stages a copy of a queue, optionally with its children (validation of the name must be done
+     * before calling this)
+     * @param {Object} formData - Form data from the duplicate queue modal
+     * @returns {Result<string>} Result containing the path of the copy or error
+     */
+    stageDuplicateQueue(formData) {
+        const { sourcePath, parentPath, queueName, includeChildren } = formData;
+        let stagedPaths;
+        try {
+            stagedPaths = this.schedulerConfigModel.stageDuplicateQueue(
+                sourcePath,
+                parentPath,
+                queueName,
+                includeChildren
+            );
+        } catch (error) {
+            getEventBus().emit('notification:error', `Cannot duplicate queue: ${error.message}`);
+            return Result.failure(error.message);
+        }
+
+        const childCount = stagedPaths.length - 1;
+        getEventBus().emit(
+            'notification:success',
+            `Queue "${sourcePath}" staged as "${stagedPaths[0]}"${childCount > 0 ? ` with ${childCount} child queue(s)` : ''}. Review the capacities under "${parentPath}" before applying.`
+        );
+        return Result.success(stagedPaths[0]);
+    }
+
+    /**
+     * Stages the properties of a saved preset for an existing queue
+     * @param {string} queuePath - Path of queue to update
+     * @param {Object} preset - Preset from PropertyPresetService
+     * @returns {Result<number>} Result containing the number of staged properties or error
+     */
+    stageApplyPreset(queuePath, preset) {
+        const properties = this.schedulerConfigModel.getQueueNodeProperties(queuePath);
+        if (!properties) {
+            const errorMessage = `Queue "${queuePath}" not found.`;
+            getEventBus().emit('notification:error', errorMessage);
+            return Result.failure(errorMessage);
+        }
+
+        const { params, skipped } = PropertyPresetService.toQueueUpdate(preset, queuePath, properties);
+        const keyCount = Object.keys(params).length;
+        if (keyCount === 0) {
+            getEventBus().emit('notification:info', `Queue "${queuePath}" already matches preset "${preset.name}".`);
+            return Result.success(0);
+        }
+
+        this.schedulerConfigModel.stageUpdateQueue(queuePath, params);
+        const skippedNote =
+            skipped.length > 0 ? ` The preset's ${skipped.join(', ')} uses another capacity mode and was skipped.` : '';
+        getEventBus().emit(
+            skipped.length > 0 ? 'notification:warning' : 'notification:success',
+            `Preset "${preset.name}" staged ${keyCount} propert${keyCount === 1 ? 'y' : 'ies'} for "${queuePath}".${skippedNote}`
+        );
+        return Result.success(keyCount);
+    }
+
+    /**
+     * Stages new percentage capacities for the children of a parent queue in one undo step
+     * @param {string} parentPath - Parent queue whose children were rebalanced
+     * @param {Object<string, number>} capacities - New capacity per child queue path, from CapacityRebalancer
+     * @returns {Result<number>} Result containing the number of queues whose capacity changed
+     */
+    stageRebalanceCapacities(parentPath, capacities) {
+        const changes = Object.entries(capacities).filter(([queuePath, capacity]) => {
+            const properties = this.schedulerConfigModel.getQueueNodeProperties(queuePath);
+            const parsed = CapacityValueParser.parse(
+                properties && properties.get(PropertyKeyMapper.createFullKey(queuePath, 'capacity'))
+            );
+            return !parsed.isValid || Number(parsed.value) !== capacity;
+        });
+        if (changes.length === 0) {
+            getEventBus().emit('notification:info', `The capacities under "${parentPath}" are unchanged.`);
+            return Result.success(0);
+        }
+
+        this.schedulerConfigModel.runAsSingleStep(() => {
+            const trie = this.schedulerConfigModel.getTrieInstance();
+            for (const [queuePath, capacity] of changes) {
+                trie.stageUpdateQueue(
+                    queuePath,
+                    PropertyKeyMapper.convertToFullKeys({ capacity: String(capacity) }, queuePath)
+                );
+            }
+
+            this.schedulerConfigModel._emit('pendingChangesUpdated', trie);
+        });
+
+        getEventBus().emit(
+            'notification:success',
+            `Capacities of ${changes.length} queue(s) under "${parentPath}" staged to add up to 100%.`
+        );
+        return Result.success(changes.length);
+    }
+
+    /**
+     * Undoes a queue deletion, or the move that removed the queue
      * @param {string} queuePath - Path of queue to undelete
      * @returns {Result<boolean>} Result containing success status or error
      */
@@ -80,7 +200,12 @@ class ChangeManager {
         if (deleteChange) {
             changeLog.removeChange(deleteChange.id);
             this.schedulerConfigModel._emit('pendingChangesUpdated', changeLog);
-            getEventBus().emit('notification:info', `Deletion mark for "${queuePath}" undone.`);
+            getEventBus().emit(
+                'notification:info',
+                deleteChange.move
+                    ? `Move of "${queuePath}" to "${deleteChange.move.to}" undone.`
+                    : `Deletion mark for "${queuePath}" undone.`
+            );
             return Result.success(true);
         } else {
             const errorMsg = `Queue "${queuePath}" was not marked for deletion.`;
@@ -89,6 +214,38 @@ class ChangeManager {
         }
     }
 
+    /**
+     * Replaces the staged changes with the operations of an imported configuration, a mutation
+     * payload or a rollback
+     * @param {Object} operations - Operations from ConfigImportService.diff() or MutationReplayService
+     * @param {string} sourceName - Name of the file or change set, for notifications
+     * @returns {Result<number>} Result containing the number of staged operations
+     */
+    stageImportedConfiguration(operations, sourceName) {
+        const operationCount = ConfigImportService.countOperations(operations);
+        if (operationCount === 0) {
+            getEventBus().emit('notification:info', `"${sourceName}" matches the current configuration.`);
+            return Result.success(0);
+        }
+
+        if (
+            this.schedulerConfigModel.hasPendingChanges() &&
+            !globalThis.confirm(
+                `Staging "${sourceName}" replaces all currently staged changes. Do you want to continue?`
+            )
+        ) {
+            return Result.failure('User cancelled import');
+        }
+
+        this.schedulerConfigModel.replaceStagedChanges(operations);
+
+        getEventBus().emit(
+            'notification:success',
+            `Staged "${sourceName}": ${operations.addQueues.length} queue(s) to add, ${operations.updateQueues.length} to update, ${operations.removeQueues.length} to remove, ${Object.keys(operations.globalUpdates).length} global change(s). Review them before applying.`
+        );
+        return Result.success(operationCount);
+    }
+
     /**
      * Handles accessible labels list changes in edit modal
      * @param {Object} eventData - Event data from edit modal
@@ -0,0 +1,236 @@
+/**
+ * @file ConfigHistoryService - Keeps a browser-local history of applied configuration changes.
+ * Each snapshot stores the scheduler-conf properties before and after an apply, together with
+ * the applied change list, in IndexedDB. Snapshots are recorded with the ResourceManager base URL
+ * and only the ones of the current ResourceManager are read back.
+ */
+class ConfigHistoryService {
+    constructor(databaseName = 'yarn-scheduler-ui', baseUrl = CONFIG.API_BASE_URL) {
+        this._databaseName = databaseName;
+        this._baseUrl = baseUrl;
+        this._storeName = 'configSnapshots';
+        this._databasePromise = null;
+    }
+
+    /**
+     * Stores a snapshot of an applied change set.
+     * @param {Object} snapshot
+     * @param {Array<{name: string, value: string}>} snapshot.before - Server properties before the apply
+     * @param {Array<{name: string, value: string}>} snapshot.after - Server properties after the apply
+     * @param {Array<Object>} snapshot.changes - Applied changes, as from ChangePreview.fromChangeLog()
+     * @returns {Promise<Result<Object>>} The stored snapshot, including its id
+     */
+    async recordSnapshot({ before, after, changes }) {
+        const record = {
+            baseUrl: this._baseUrl,
+            timestamp: Date.now(),
+            user: CONFIG.USER_NAME,
+            before,
+            after,
+            changes,
+            summary: this.summarize(changes),
+        };
+        try {
+            const id = await this._request('readwrite', (store) => store.add(record));
+            return Result.success({ ...record, id });
+        } catch (error) {
+            return Result.failure(`Could not store the configuration snapshot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lists the snapshots of the current ResourceManager, newest first.
+     * @returns {Promise<Result<Array<Object>>>}
+     */
+    async listSnapshots() {
+        try {
+            const snapshots = await this._request('readonly', (store) => store.getAll());
+            return Result.success(
+                snapshots.filter((snapshot) => snapshot.baseUrl === this._baseUrl).sort((a, b) => b.id - a.id)
+            );
+        } catch (error) {
+            return Result.failure(`Could not read the configuration history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets a snapshot of the current ResourceManager by id.
+     * @param {number} id - Snapshot id
+     * @returns {Promise<Result<Object>>}
+     */
+    async getSnapshot(id) {
+        try {
+            const snapshot = await this._request('readonly', (store) => store.get(id));
+            return snapshot && snapshot.baseUrl === this._baseUrl
+                ? Result.success(snapshot)
+                : Result.failure(`Snapshot #${id} does not exist for this ResourceManager.`);
+        } catch (error) {
+            return Result.failure(`Could not read snapshot #${id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Counts the operations of a change list and collects the affected queues.
+     * @param {Array<Object>} changes - Changes in ChangePreview format
+     * @returns {{added: number, modified: number, deleted: number, queues: Array<string>}}
+     */
+    summarize(changes) {
+        const summary = { added: 0, modified: 0, deleted: 0, queues: [] };
+        const queues = new Set();
+        for (const change of changes) {
+            if (change.operation === OPERATION_TYPES.ADD) summary.added++;
+            if (change.operation === OPERATION_TYPES.UPDATE) summary.modified++;
+            if (change.operation === OPERATION_TYPES.DELETE) summary.deleted++;
+            if (change.queuePath) queues.add(change.queuePath);
+        }
+        summary.queues = [...queues].sort();
+        return summary;
+    }
+
+    /**
+     * Builds the operations that undo the apply recorded in a snapshot: queues it added are
+     * removed, queues it removed are re-added with their old properties, and changed properties
+     * get their old values back. Properties it added are unset.
+     * @param {Object} snapshot - Snapshot from listSnapshots() or getSnapshot()
+     * @returns {Object} Operations in the shape ConfigImportService.diffConfigurations() returns
+     */
+    getRollbackOperations(snapshot) {
+        const after = new QueueConfigurationManager();
+        after.initializeFromConfig(snapshot.after);
+        const before = new QueueConfigurationManager();
+        before.initializeFromConfig(snapshot.before);
+        return ConfigImportService.diffConfigurations(after, before);
+    }
+
+    /**
+     * Compares two property lists and describes the differences as ChangePreview changes.
+     * Added and removed queues are listed as queue operations; the properties of an added queue
+     * are listed as additions.
+     * @param {Array<{name: string, value: string}>} fromProperties - Older configuration
+     * @param {Array<{name: string, value: string}>} toProperties - Newer configuration
+     * @returns {Array<Object>} Changes in ChangePreview format
+     */
+    diffProperties(fromProperties, toProperties) {
+        const from = new QueueConfigurationManager();
+        from.initializeFromConfig(fromProperties);
+        const to = new QueueConfigurationManager();
+        to.initializeFromConfig(toProperties);
+
+        const changes = this._diffPropertyMaps(from.globalProperties, to.globalProperties, null);
+        this._diffQueueNodes(from.rootNode, to.rootNode, changes);
+        return changes;
+    }
+
+    /**
+     * @private
+     */
+    _diffQueueNodes(fromNode, toNode, changes) {
+        changes.push(...this._diffPropertyMaps(fromNode.baseProperties, toNode.baseProperties, toNode.fullPath));
+
+        const childNames = new Set([...fromNode.children.keys(), ...toNode.children.keys()]);
+        for (const childName of childNames) {
+            const fromChild = fromNode.children.get(childName);
+            const toChild = toNode.children.get(childName);
+            if (fromChild && toChild) {
+                this._diffQueueNodes(fromChild, toChild, changes);
+            } else if (toChild) {
+                this._collectAddedQueue(toChild, changes);
+            } else {
+                // Removing a parent removes its whole subtree
+                changes.push({
+                    id: `delete-${fromChild.fullPath}`,
+                    operation: OPERATION_TYPES.DELETE,
+                    queuePath: fromChild.fullPath,
+                });
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _collectAddedQueue(node, changes) {
+        changes.push(
+            {
+                id: `add-${node.fullPath}`,
+                operation: OPERATION_TYPES.ADD,
+                queuePath: node.fullPath,
+                newValue: 'New Queue',
+            },
+            ...this._diffPropertyMaps(new Map(), node.baseProperties, node.fullPath)
+        );
+        for (const child of node.children.values()) {
+            this._collectAddedQueue(child, changes);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _diffPropertyMaps(fromProperties, toProperties, queuePath) {
+        const changes = [];
+        const keys = [...new Set([...fromProperties.keys(), ...toProperties.keys()])].sort();
+        for (const key of keys) {
+            const oldValue = fromProperties.get(key);
+            const newValue = toProperties.get(key);
+            if (oldValue === newValue) continue;
+
+            let operation = OPERATION_TYPES.UPDATE;
+            if (oldValue === undefined) operation = OPERATION_TYPES.ADD;
+            if (newValue === undefined) operation = OPERATION_TYPES.DELETE;
+            changes.push({
+                id: `${operation.toLowerCase()}-${key}`,
+                operation,
+                queuePath,
+                property: queuePath ? PropertyKeyMapper.toSimpleKey(key) : null,
+                fullKey: key,
+                oldValue,
+                newValue,
+            });
+        }
+        return changes;
+    }
+
+    /**
+     * Runs a single request against the snapshot store.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {function(IDBObjectStore): IDBRequest} createRequest - Creates the request
+     * @returns {Promise<any>} The request result
+     * @private
+     */
+    async _request(mode, createRequest) {
+        const database = await this._openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = createRequest(database.transaction(this._storeName, mode).objectStore(this._storeName));
+            request.addEventListener('success', () => resolve(request.result));
+            request.addEventListener('error', () => reject(request.error));
+        });
+    }
+
+    /**
+     * Opens the database once and reuses the connection.
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _openDatabase() {
+        if (!this._databasePromise) {
+            this._databasePromise = new Promise((resolve, reject) => {
+                if (!globalThis.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser.'));
+                    return;
+                }
+                const request = globalThis.indexedDB.open(this._databaseName, 1);
+                request.addEventListener('upgradeneeded', () => {
+                    request.result.createObjectStore(this._storeName, { keyPath: 'id', autoIncrement: true });
+                });
+                request.addEventListener('success', () => resolve(request.result));
+                request.addEventListener('error', () => reject(request.error));
+            });
+            // Allow a later call to retry, e.g. after the user unblocked storage
+            this._databasePromise.catch(() => {
+                this._databasePromise = null;
+            });
+        }
+        return this._databasePromise;
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Compares an imported scheduler configuration with the configuration loaded from the
+ * server and works out the queue and global operations that turn one into the other.
+ */
+const ConfigImportService = {
+    /**
+     * Diffs imported properties against the server configuration (staged changes are ignored).
+     * Queues missing from the import are removed, and properties missing from the import are
+     * unset by staging an empty value, which the mutation API treats as a removal.
+     * @param {Array<{name: string, value: string}>} importedProperties - Properties from SchedulerConfigFile.parse()
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model with the server configuration
+     * @returns {Result<{addQueues: Array<{path: string, properties: Map<string, string>}>,
+     *                   updateQueues: Array<{path: string, properties: Map<string, string>}>,
+     *                   removeQueues: Array<string>, globalUpdates: Object}>} Operations in hierarchy order
+     */
+    diff(importedProperties, schedulerConfigModel) {
+        const rootQueuesKey = 'yarn.scheduler.capacity.root.queues';
+        if (!importedProperties.some((property) => property.name === rootQueuesKey)) {
+            return Result.failure(
+                `The file does not define "${rootQueuesKey}", so it is not a capacity scheduler configuration.`
+            );
+        }
+
+        const current = schedulerConfigModel.getTrieInstance();
+        if (!current || !current.rootNode) {
+            return Result.failure('No scheduler configuration is loaded to compare against.');
+        }
+
+        const imported = new QueueConfigurationManager();
+        imported.initializeFromConfig(importedProperties);
+
+        return Result.success(this.diffConfigurations(current, imported));
+    },
+
+    /**
+     * Works out the operations that turn one configuration into another. Only the server
+     * configuration of both is compared; staged changes are ignored.
+     * @param {QueueConfigurationManager} from - Configuration to start from
+     * @param {QueueConfigurationManager} to - Configuration to end up with
+     * @returns {{addQueues: Array<{path: string, properties: Map<string, string>}>,
+     *            updateQueues: Array<{path: string, properties: Map<string, string>}>,
+     *            removeQueues: Array<string>, globalUpdates: Object}} Operations in hierarchy order
+     */
+    diffConfigurations(from, to) {
+        const operations = { addQueues: [], updateQueues: [], removeQueues: [], globalUpdates: {} };
+        this._diffQueue(from.rootNode, to.rootNode, operations);
+
+        const changedGlobals = this._diffProperties(from.globalProperties, to.globalProperties);
+        operations.globalUpdates = Object.fromEntries(changedGlobals);
+        return operations;
+    },
+
+    /**
+     * Counts the operations of a diff
+     * @param {Object} operations - Operations from diff()
+     * @returns {number} Number of queue operations plus changed global properties
+     */
+    countOperations(operations) {
+        return (
+            operations.addQueues.length +
+            operations.updateQueues.length +
+            operations.removeQueues.length +
+            Object.keys(operations.globalUpdates).length
+        );
+    },
+
+    /**
+     * Diffs a queue that exists on both sides, then its children
+     * @private
+     */
+    _diffQueue(currentNode, importedNode, operations) {
+        const changedProperties = this._diffProperties(currentNode.baseProperties, importedNode.baseProperties);
+        if (changedProperties.size > 0) {
+            operations.updateQueues.push({ path: currentNode.fullPath, properties: changedProperties });
+        }
+
+        const childNames = new Set([...currentNode.children.keys(), ...importedNode.children.keys()]);
+        for (const childName of childNames) {
+            const currentChild = currentNode.children.get(childName);
+            const importedChild = importedNode.children.get(childName);
+            const existsOnServer = currentChild && currentChild.isQueue && !currentChild.isNew();
+
+            if (existsOnServer && importedChild) {
+                this._diffQueue(currentChild, importedChild, operations);
+            } else if (importedChild) {
+                this._collectAdditions(importedChild, operations);
+            } else if (existsOnServer) {
+                // Removing a parent removes its whole subtree
+                operations.removeQueues.push(currentChild.fullPath);
+            }
+        }
+    },
+
+    /**
+     * Adds a queue and all of its descendants, parents first
+     * @private
+     */
+    _collectAdditions(importedNode, operations) {
+        operations.addQueues.push({ path: importedNode.fullPath, properties: new Map(importedNode.baseProperties) });
+        for (const child of importedNode.children.values()) {
+            this._collectAdditions(child, operations);
+        }
+    },
+
+    /**
+     * Returns the properties that differ; properties missing from the import get an empty value
+     * @private
+     */
+    _diffProperties(currentProperties, importedProperties) {
+        const changed = new Map();
+        for (const [key, value] of importedProperties) {
+            if (currentProperties.get(key) !== value) {
+                changed.set(key, value);
+            }
+        }
+        for (const [key, value] of currentProperties) {
+            if (!importedProperties.has(key) && value !== '') {
+                changed.set(key, '');
+            }
+        }
+        return changed;
+    },
+};
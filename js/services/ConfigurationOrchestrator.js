@@ -2,10 +2,12 @@
  * @file ConfigurationOrchestrator - Coordinates config loading, validation, and mutation workflows
  */
 class ConfigurationOrchestrator {
-    constructor(schedulerConfigModel, schedulerInfoModel, apiService) {
+    constructor(schedulerConfigModel, schedulerInfoModel, apiService, configHistoryService = null) {
         this.schedulerConfigModel = schedulerConfigModel;
         this.schedulerInfoModel = schedulerInfoModel;
         this.apiService = apiService;
+        this.configHistoryService = configHistoryService;
+        this._drainCancelled = false;
     }
 
     /**
@@ -17,6 +19,7 @@ class ConfigurationOrchestrator {
             const [configResult, infoResult] = await Promise.all([
                 this.apiService.fetchSchedulerConfig(),
                 this.apiService.fetchSchedulerInfo(),
+                this.refreshConfigVersion(),
             ]);
 
             const configSuccess = this._handleConfigResult(configResult);
@@ -32,6 +35,25 @@ class ConfigurationOrchestrator {
         }
     }
 
+    /**
+     * Fetches the version of the mutable configuration store. Older ResourceManagers and
+     * file-based configuration stores do not report one, so a failure only clears the version.
+     * @returns {Promise<number|null>} The version, or null if unknown
+     */
+    async refreshConfigVersion() {
+        const versionResult = await this.apiService.fetchSchedulerConfVersion();
+        const version =
+            versionResult.status === 200 && versionResult.data ? (versionResult.data.versionID ?? null) : null;
+        if (version === null) {
+            console.warn(
+                'Scheduler configuration version is not available:',
+                versionResult.error || versionResult.status
+            );
+        }
+        this.schedulerConfigModel.setConfigVersion(version);
+        return version;
+    }
+
     /**
      * Refreshes configuration data from the server
      * @param {boolean} hasPendingChanges - Whether there are pending changes to warn about
@@ -57,17 +79,45 @@ class ConfigurationOrchestrator {
     }
 
     /**
-     * Validates and applies all pending changes
+     * Validates and applies the pending changes, or a selection of them. Before sending them, the
+     * configuration is fetched again; if another user changed a property that is also staged,
+     * nothing is sent. Unselected changes are staged again on top of the reloaded configuration.
      * @param {ViewDataFormatterService} viewDataFormatterService - For validation
      * @param {AppStateModel} appStateModel - Current app state
+     * @param {Object} [options]
+     * @param {function({conflicts: Array<Object>, serverProperties: Array<Object>}): void} [options.onConflicts] -
+     *        Called with the conflicting properties instead of applying; without it they are reported as an error
+     * @param {function(Array<Object>): void} [options.onPhaseProgress] - Called with the steps of a phased
+     *        apply whenever one of them changes; see applyInPhases()
+     * @param {Set<string>|null} [options.selection] - Selection keys of the changes to apply, from
+     *        ChangePreview.getSelection(); null applies all
      * @returns {Promise<boolean>} Success status
      */
-    async applyPendingChanges(viewDataFormatterService, appStateModel) {
+    async applyPendingChanges(viewDataFormatterService, appStateModel, options = {}) {
+        const { onConflicts = null, onPhaseProgress = null, selection = null } = options;
+
+        let targetModel = this.schedulerConfigModel;
+        let remainingState = null;
+        if (selection) {
+            const prepareResult = PartialApplyService.prepare(this.schedulerConfigModel, selection);
+            if (!prepareResult.isSuccess()) {
+                getEventBus().emit('notification:error', `Cannot apply: ${prepareResult.getError()}`);
+                return false;
+            }
+            const { subsetModel, skipped } = prepareResult.getValue();
+            if (skipped.length > 0) {
+                getEventBus().emit(
+                    'notification:error',
+                    `Cannot apply: some selected changes depend on changes that are not selected. ${skipped.join(' ')}`
+                );
+                return false;
+            }
+            targetModel = subsetModel;
+            ({ remainingState } = prepareResult.getValue());
+        }
+
         // Validate changes first
-        const validationErrors = this.schedulerConfigModel.performStatefulValidation(
-            viewDataFormatterService,
-            appStateModel
-        );
+        const validationErrors = targetModel.performStatefulValidation(viewDataFormatterService, appStateModel);
 
         if (validationErrors.length > 0) {
             getEventBus().emit(
@@ -77,32 +127,368 @@ class ConfigurationOrchestrator {
             return false;
         }
 
-        if (!this.schedulerConfigModel.hasPendingChanges()) {
+        if (!targetModel.hasPendingChanges()) {
             getEventBus().emit('notification:info', 'No changes to apply.');
             return true;
         }
 
+        const changeLog = targetModel.getChangeLog();
+        const concurrencyResult = await this.checkForConcurrentChanges(changeLog);
+        if (!concurrencyResult.isSuccess()) {
+            getEventBus().emit('notification:error', concurrencyResult.getError());
+            return false;
+        }
+        const { baselineChanged, conflicts, serverProperties } = concurrencyResult.getValue();
+        if (conflicts.length > 0) {
+            if (onConflicts) {
+                onConflicts({ conflicts, serverProperties });
+            } else {
+                getEventBus().emit(
+                    'notification:error',
+                    `Cannot apply: the configuration was changed on the server. Conflicting properties: ${conflicts.map((conflict) => conflict.name).join(', ')}`
+                );
+            }
+            return false;
+        }
+        if (baselineChanged) {
+            getEventBus().emit(
+                'notification:info',
+                'The configuration was changed on the server since it was loaded. None of those changes touch the staged properties, so the staged changes are applied on top of them.'
+            );
+        }
+
         // Apply changes via API
-        const changeLog = this.schedulerConfigModel.getChangeLog();
         const apiPayload = changeLog.getApiPayload();
-        const result = await this.apiService.putSchedulerChanges(apiPayload);
+        const appliedChanges = ChangePreview.fromChangeLog(changeLog);
+        const queuesToStop = await this.planApplyPhases(apiPayload);
+        const result =
+            queuesToStop.length > 0
+                ? await this.applyInPhases(queuesToStop, apiPayload, onPhaseProgress)
+                : await this.apiService.putSchedulerChanges(apiPayload);
 
         if (this._isSuccessfulResponse(result)) {
-            getEventBus().emit('notification:success', 'Configuration changes applied successfully!');
-            this.schedulerConfigModel.clearPendingChanges();
+            if (!remainingState) {
+                this.schedulerConfigModel.clearPendingChanges();
+            }
 
             // Reload configuration from server
-            await this.initializeConfiguration();
+            const reloadResult = await this.initializeConfiguration();
+            getEventBus().emit(
+                'notification:success',
+                `Configuration changes applied successfully!${this._describeConfigVersion(' Now at configuration version ', '.')}`
+            );
+            if (remainingState) {
+                this._restageChanges(remainingState, reloadResult.configSuccess, 'changes that were not selected');
+            }
+            if (reloadResult.configSuccess) {
+                await this._recordSnapshot(serverProperties, appliedChanges);
+            }
             return true;
         } else {
             const errorDetail =
                 result.error ||
                 (typeof result.data === 'string' ? result.data : 'Unknown YARN error or non-string response.');
-            getEventBus().emit('notification:error', `Failed to apply changes: ${errorDetail}`);
+            getEventBus().emit(
+                'notification:error',
+                `Failed to apply changes${this._describeConfigVersion(' to configuration version ')}: ${errorDetail}`
+            );
+            if (result.queuesStopped) {
+                // The server configuration changed with the stopped queues, so the staged changes
+                // are staged again on top of it instead of against the old baseline
+                const stagedState = this.schedulerConfigModel.getChangeLog().exportStagedState();
+                const reloadResult = await this.initializeConfiguration();
+                this._restageChanges(stagedState, reloadResult.configSuccess, 'staged changes');
+            }
             return false;
         }
     }
 
+    /**
+     * Validates the configuration that would result from applying only the selected changes.
+     * @param {Set<string>} selection - Selection keys, from ChangePreview.getSelection()
+     * @param {ViewDataFormatterService} viewDataFormatterService - For validation
+     * @param {AppStateModel} appStateModel - Current app state
+     * @returns {Result<{validationErrors: Array<Object>, dependencyWarnings: Array<string>}>}
+     */
+    validateSelectedChanges(selection, viewDataFormatterService, appStateModel) {
+        const prepareResult = PartialApplyService.prepare(this.schedulerConfigModel, selection);
+        if (!prepareResult.isSuccess()) {
+            return prepareResult;
+        }
+        const { subsetModel, dependencyWarnings } = prepareResult.getValue();
+        return Result.success({
+            validationErrors: subsetModel.performStatefulValidation(viewDataFormatterService, appStateModel),
+            dependencyWarnings,
+        });
+    }
+
+    /**
+     * Stages changes again on top of the configuration reloaded after an apply, such as the changes
+     * left out of a partial apply.
+     * @param {Object} stagedState - From PartialApplyService.prepare() or QueueConfigurationManager.exportStagedState()
+     * @param {boolean} configLoaded - Whether the configuration was reloaded after the apply
+     * @param {string} label - Describes the changes in notifications, e.g. 'changes that were not selected'
+     * @private
+     */
+    _restageChanges(stagedState, configLoaded, label) {
+        const planResult = configLoaded
+            ? MutationReplayService.planStagedState(stagedState, this.schedulerConfigModel)
+            : Result.failure('The configuration could not be reloaded.');
+        if (!planResult.isSuccess()) {
+            getEventBus().emit(
+                'notification:warning',
+                `The ${label} could not be staged again: ${planResult.getError()}`
+            );
+            return;
+        }
+
+        const { operations, skipped } = planResult.getValue();
+        this.schedulerConfigModel.replaceStagedChanges(operations);
+        if (skipped.length > 0) {
+            getEventBus().emit(
+                'notification:warning',
+                `Some ${label} no longer apply and were dropped: ${skipped.join(' ')}`
+            );
+        }
+    }
+
+    /**
+     * Works out whether the changes can be sent in one mutation. YARN only removes queues that are
+     * STOPPED, so queues staged for removal that are still running, and running queues below them,
+     * have to be stopped and drained first.
+     * @param {Object} apiPayload - From QueueConfigurationManager.getApiPayload()
+     * @returns {Promise<Array<string>>} Paths of the queues to stop first; empty if one mutation is enough
+     */
+    async planApplyPhases(apiPayload) {
+        if (apiPayload.removeQueues.length === 0) return [];
+
+        const infoResult = await this.apiService.fetchSchedulerInfo();
+        if (infoResult.status !== 200 || !infoResult.data) {
+            // Without queue states, send a single mutation and let the ResourceManager report running queues
+            console.warn('ConfigurationOrchestrator: Queue states unavailable, applying in one mutation.');
+            return [];
+        }
+        this.schedulerInfoModel.loadSchedulerInfo(infoResult.data, true);
+
+        const trie = this.schedulerConfigModel.getTrieInstance();
+        const queuesToStop = [];
+        const collectRunning = (node) => {
+            const runtimeInfo = this.schedulerInfoModel.getQueueRuntimeInfo(node.fullPath);
+            if (runtimeInfo && runtimeInfo.state !== 'STOPPED') {
+                queuesToStop.push(node.fullPath);
+            }
+            for (const child of node.children.values()) {
+                collectRunning(child);
+            }
+        };
+        for (const queuePath of apiPayload.removeQueues) {
+            const node = trie.getQueueNode(queuePath);
+            if (node) collectRunning(node);
+        }
+        return queuesToStop;
+    }
+
+    /**
+     * Applies changes in three steps: sets state=STOPPED on the given queues, polls the scheduler
+     * info until all of them are STOPPED (a stopping queue stays DRAINING while it has applications),
+     * then sends the full payload. If a step fails, the later steps are skipped and the queues
+     * that were stopped stay stopped; queuesStopped is set on the result then.
+     * @param {Array<string>} queuesToStop - From planApplyPhases()
+     * @param {Object} apiPayload - From QueueConfigurationManager.getApiPayload()
+     * @param {function(Array<{title: string, status: string, detail: string}>): void} [onProgress] -
+     *        Called with a copy of the steps whenever one changes; status is 'pending', 'active',
+     *        'done', 'failed' or 'skipped'
+     * @returns {Promise<{status: number, data: any, error?: string, queuesStopped?: boolean}>} Result in the
+     *          shape of ApiService.putSchedulerChanges(), from the step that ended the apply
+     */
+    async applyInPhases(queuesToStop, apiPayload, onProgress = null) {
+        const steps = [
+            { title: 'Stop the queues to be removed', status: 'pending', detail: queuesToStop.join(', ') },
+            { title: 'Wait for running applications to finish', status: 'pending', detail: '' },
+            { title: 'Remove the queues and apply the remaining changes', status: 'pending', detail: '' },
+        ];
+        const updateStep = (index, status, detail = steps[index].detail) => {
+            steps[index] = { ...steps[index], status, detail };
+            if (onProgress) onProgress(steps.map((step) => ({ ...step })));
+        };
+        const failStep = (index, error) => {
+            updateStep(index, 'failed', error);
+            for (let next = index + 1; next < steps.length; next++) updateStep(next, 'skipped');
+        };
+
+        updateStep(0, 'active');
+        const stopResult = await this.apiService.putSchedulerChanges({
+            updateQueues: queuesToStop.map((queueName) => ({ queueName, params: { state: 'STOPPED' } })),
+        });
+        if (!this._isSuccessfulResponse(stopResult)) {
+            const error = stopResult.error || 'The ResourceManager rejected the state change.';
+            failStep(0, error);
+            return { ...stopResult, error: `Could not stop ${queuesToStop.join(', ')}: ${error}` };
+        }
+        updateStep(0, 'done');
+
+        updateStep(1, 'active', 'Checking queue states...');
+        const drainResult = await this._waitForQueuesToDrain(queuesToStop, (detail) => updateStep(1, 'active', detail));
+        if (!drainResult.isSuccess()) {
+            failStep(1, drainResult.getError());
+            return {
+                status: 0,
+                data: null,
+                error: `${drainResult.getError()} Nothing was removed and the stopped queues stay stopped.`,
+                queuesStopped: true,
+            };
+        }
+        updateStep(1, 'done', 'All stopped queues are empty.');
+
+        updateStep(2, 'active');
+        const result = await this.apiService.putSchedulerChanges(apiPayload);
+        if (this._isSuccessfulResponse(result)) {
+            updateStep(2, 'done');
+            return result;
+        }
+        failStep(2, result.error || 'The ResourceManager rejected the changes.');
+        return { ...result, queuesStopped: true };
+    }
+
+    /**
+     * Stops waiting for queues to drain. The running phased apply fails at its next poll.
+     */
+    cancelPhasedApply() {
+        this._drainCancelled = true;
+    }
+
+    /**
+     * Polls the scheduler info until all queues are STOPPED, the wait times out or it is cancelled.
+     * @param {Array<string>} queuePaths - Queues that were set to STOPPED
+     * @param {function(string): void} onUpdate - Called with a description of the queues still draining
+     * @returns {Promise<Result<boolean>>}
+     * @private
+     */
+    async _waitForQueuesToDrain(queuePaths, onUpdate) {
+        this._drainCancelled = false;
+        const deadline = Date.now() + CONFIG.TIMEOUTS.QUEUE_DRAIN_MAX;
+
+        while (!this._drainCancelled) {
+            const infoResult = await this.apiService.fetchSchedulerInfo();
+            if (infoResult.status === 200 && infoResult.data) {
+                this.schedulerInfoModel.loadSchedulerInfo(infoResult.data, true);
+                const draining = queuePaths
+                    .map((queuePath) => ({ queuePath, info: this.schedulerInfoModel.getQueueRuntimeInfo(queuePath) }))
+                    .filter(({ info }) => info && info.state !== 'STOPPED');
+                if (draining.length === 0) {
+                    return Result.success(true);
+                }
+                const queueList = draining
+                    .map(({ queuePath, info }) => `${queuePath} (${info.numApplications || 0} applications)`)
+                    .join(', ');
+                onUpdate(`Still draining: ${queueList}`);
+            } else {
+                onUpdate(
+                    `Could not read queue states (${infoResult.error || `status ${infoResult.status}`}), retrying...`
+                );
+            }
+
+            if (Date.now() >= deadline) {
+                return Result.failure(
+                    `The queues did not drain within ${Math.round(CONFIG.TIMEOUTS.QUEUE_DRAIN_MAX / 60_000)} minutes.`
+                );
+            }
+            await new Promise((resolve) => setTimeout(resolve, CONFIG.TIMEOUTS.QUEUE_DRAIN_POLL));
+        }
+        return Result.failure('Stopped waiting for the queues to drain.');
+    }
+
+    /**
+     * Sends the pending changes, or a selection of them, to the ResourceManager's validate endpoint
+     * as a dry run.
+     * @param {Set<string>|null} [selection] - Selection keys, from ChangePreview.getSelection()
+     * @returns {Promise<Result<{valid: boolean, message?: string, exception?: string}>>} A failure
+     *          means the dry run could not be done, not that the changes are invalid
+     */
+    async validatePendingChangesOnServer(selection = null) {
+        let targetModel = this.schedulerConfigModel;
+        if (selection) {
+            const prepareResult = PartialApplyService.prepare(this.schedulerConfigModel, selection);
+            if (!prepareResult.isSuccess()) {
+                return prepareResult;
+            }
+            targetModel = prepareResult.getValue().subsetModel;
+        }
+        if (!targetModel.hasPendingChanges()) {
+            return Result.failure('No changes to validate.');
+        }
+
+        const result = await this.apiService.validateSchedulerChanges(targetModel.getChangeLog().getApiPayload());
+        if (this._isSuccessfulResponse(result)) {
+            return Result.success({ valid: true });
+        }
+        if (result.status === 404 || result.status === 405) {
+            return Result.failure(
+                'This ResourceManager does not support server-side validation (scheduler-conf/validate).'
+            );
+        }
+        if (result.status === 400 && result.originalError) {
+            const { javaClassName } = result.originalError.details;
+            if (javaClassName) {
+                return Result.success({
+                    valid: false,
+                    message: result.originalError.message,
+                    exception: javaClassName,
+                });
+            }
+            // The ResourceManager answers with the exception message as plain text, e.g.
+            // "java.io.IOException: Failed to re-init queues : ..."
+            const message = String(result.originalError.message).trim();
+            const exceptionMatch = /^([\w$.]+(?:Exception|Error)):\s*/.exec(message);
+            return Result.success({
+                valid: false,
+                message: exceptionMatch ? message.slice(exceptionMatch[0].length) : message,
+                exception: exceptionMatch ? exceptionMatch[1] : null,
+            });
+        }
+        return Result.failure(`Server-side validation failed: ${result.error || `status ${result.status}`}`);
+    }
+
+    /**
+     * Fetches the configuration from the server and compares it with the configuration the
+     * pending changes were staged against.
+     * @param {QueueConfigurationManager} [changeLog] - Changes to check; defaults to all staged changes
+     * @returns {Promise<Result<{baselineChanged: boolean, conflicts: Array<Object>, serverProperties: Array<Object>}>>}
+     *          See QueueConfigurationManager.findConflicts()
+     */
+    async checkForConcurrentChanges(changeLog = this.schedulerConfigModel.getChangeLog()) {
+        const configResult = await this.apiService.fetchSchedulerConfig();
+        if (configResult.status !== 200 || !configResult.data) {
+            return Result.failure(
+                `Cannot apply: the current configuration could not be fetched to check for concurrent changes (${configResult.error || `status: ${configResult.status}`}).`
+            );
+        }
+        const serverProperties = configResult.data.property || [];
+        const { baselineChanged, conflicts } = changeLog.findConflicts(serverProperties);
+        return Result.success({ baselineChanged, conflicts, serverProperties });
+    }
+
+    /**
+     * Stores the configuration before and after an apply in the history. A failure to store the
+     * snapshot is reported but does not affect the apply, which has already succeeded.
+     * @param {Array<{name: string, value: string}>} propertiesBefore - Server properties before the apply
+     * @param {Array<Object>} appliedChanges - Applied changes in ChangePreview format
+     * @private
+     */
+    async _recordSnapshot(propertiesBefore, appliedChanges) {
+        if (!this.configHistoryService) return;
+
+        const propertiesAfter = this.schedulerConfigModel.getTrieInstance().toPropertyList(false);
+        const result = await this.configHistoryService.recordSnapshot({
+            before: propertiesBefore,
+            after: propertiesAfter,
+            changes: appliedChanges,
+        });
+        if (!result.isSuccess()) {
+            getEventBus().emit('notification:warning', result.getError());
+        }
+    }
+
     /**
      * Discards all pending changes with confirmation
      * @returns {boolean} Whether changes were discarded
@@ -115,7 +501,7 @@ class ConfigurationOrchestrator {
 
         if (
             globalThis.confirm(
-                'Are you sure you want to discard all pending local changes? This action cannot be undone.'
+                'Are you sure you want to discard all pending local changes? You can restore them with Undo.'
             )
         ) {
             this.schedulerConfigModel.clearPendingChanges();
@@ -335,6 +721,61 @@ class ConfigurationOrchestrator {
         }
     }
 
+    /**
+     * Gets the name that has to be typed to confirm destructive admin actions: CONFIG.CLUSTER_NAME
+     * if set, otherwise the ResourceManager's yarn.resourcemanager.cluster-id. The cluster info API
+     * reports no cluster name, and the cluster ID is usually only set for HA ResourceManagers.
+     * @returns {Promise<Result<string>>} The cluster name, or an error if it is unknown
+     */
+    async getClusterName() {
+        if (CONFIG.CLUSTER_NAME) {
+            return Result.success(CONFIG.CLUSTER_NAME);
+        }
+
+        const result = await this.apiService.fetchResourceManagerProperty('yarn.resourcemanager.cluster-id');
+        const clusterId = result.status === 200 ? result.data?.property?.value : null;
+        if (!clusterId) {
+            return Result.failure(
+                'The ResourceManager has no yarn.resourcemanager.cluster-id to confirm this action with. Set CONFIG.CLUSTER_NAME to enable it.'
+            );
+        }
+        return Result.success(String(clusterId));
+    }
+
+    /**
+     * Formats the mutable configuration store and reloads the configuration the ResourceManager
+     * falls back to. Staged changes are dropped with the reload.
+     * @returns {Promise<boolean>} Success status
+     */
+    async resetConfigStore() {
+        const result = await this.apiService.formatSchedulerConf();
+        if (result.status !== 200) {
+            getEventBus().emit(
+                'notification:error',
+                `Failed to reset the configuration store: ${result.error || `status ${result.status}`}`
+            );
+            return false;
+        }
+
+        this.schedulerConfigModel.clearPendingChanges();
+        const reloadResult = await this.initializeConfiguration();
+        getEventBus().emit(
+            'notification:success',
+            `Configuration store reset.${this._describeConfigVersion(' Now at configuration version ', '.')}`
+        );
+        return reloadResult.configSuccess;
+    }
+
+    /**
+     * Describes the loaded configuration version for notifications
+     * @returns {string} prefix + version + suffix, or an empty string if the version is unknown
+     * @private
+     */
+    _describeConfigVersion(prefix, suffix = '') {
+        const version = this.schedulerConfigModel.getConfigVersion();
+        return version === null ? '' : `${prefix}${version}${suffix}`;
+    }
+
     /**
      * Checks if API response indicates success
      * @private
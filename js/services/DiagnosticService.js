@@ -6,7 +6,8 @@ class DiagnosticService {
     }
 
     run() {
-        const dataStr = 'data:text/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(this, null, 2));
+        const diagnostics = { schedulerConfVersion: this.schedulerConfigModel.getConfigVersion(), ...this };
+        const dataStr = 'data:text/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(diagnostics, null, 2));
         const downloadAnchorNode = document.createElement('a');
         downloadAnchorNode.setAttribute('href', dataStr);
         downloadAnchorNode.setAttribute('download', 'diagnostic-' + Date.now() + '.json');
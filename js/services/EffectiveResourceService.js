@@ -0,0 +1,186 @@
+/**
+ * Service for translating configured queue capacities into absolute resources. Works on the
+ * effective (staged) configuration and the resources of the nodes in a partition, so staged
+ * changes can be judged in gigabytes and vcores before applying them.
+ *
+ * Follows the Capacity Scheduler order for each resource type: absolute values are taken as is,
+ * percentages are shares of the parent, and weighted siblings split what is left of the parent.
+ */
+const EffectiveResourceService = {
+    MEMORY: 'memory-mb',
+    VCORES: 'vcores',
+
+    // Multipliers from YARN resource units to MB, for memory in absolute capacity vectors
+    MEMORY_UNITS: { '': 1, k: 1 / 1024, Ki: 1 / 1024, M: 1, Mi: 1, G: 1024, Gi: 1024, T: 1024 ** 2, Ti: 1024 ** 2 },
+
+    /**
+     * Computes the guaranteed and maximum resources of every queue in a partition.
+     * @param {SchedulerConfigModel} schedulerConfigModel - Model providing the staged queue hierarchy
+     * @param {Object<string, number>} clusterResources - From NodesInfoModel.getPartitionResources()
+     * @param {string} [partition=DEFAULT_PARTITION] - Partition the capacities are read for
+     * @returns {Map<string, {guaranteed: Object<string, number>, maximum: Object<string, number>}>} Resources by
+     *          queue path, with the same resource names as clusterResources; empty if the partition has no resources
+     */
+    calculate(schedulerConfigModel, clusterResources, partition = DEFAULT_PARTITION) {
+        const results = new Map();
+        const rootNode = schedulerConfigModel.getTrieInstance().getQueueNode('root');
+        if (!rootNode || Object.keys(clusterResources).length === 0) {
+            return results;
+        }
+
+        results.set('root', { guaranteed: { ...clusterResources }, maximum: { ...clusterResources } });
+        this._calculateChildren(rootNode, results, partition, schedulerConfigModel);
+        return results;
+    },
+
+    /**
+     * Formats resources for display, memory and vcores first.
+     * @param {Object<string, number>} resources - Amounts by resource name
+     * @returns {string} e.g. "48 GB, 12 vcores, 2 yarn.io/gpu"
+     */
+    formatResources(resources) {
+        const names = Object.keys(resources).sort((a, b) => this._getSortKey(a).localeCompare(this._getSortKey(b)));
+        return names
+            .map((name) => {
+                const amount = resources[name];
+                if (name === this.MEMORY) {
+                    return amount >= 1024 ? `${Number((amount / 1024).toFixed(1))} GB` : `${Math.round(amount)} MB`;
+                }
+                return `${Number(amount.toFixed(1))} ${name}`;
+            })
+            .join(', ');
+    },
+
+    /**
+     * @private
+     */
+    _calculateChildren(parentNode, results, partition, schedulerConfigModel) {
+        const children = [...parentNode.children.values()].filter((child) => child.isQueue && !child.isDeleted());
+        if (children.length === 0) return;
+
+        const parent = results.get(parentNode.fullPath);
+        const specs = children.map((child) => this._getCapacitySpec(child, partition, schedulerConfigModel));
+        for (const child of children) {
+            results.set(child.fullPath, { guaranteed: {}, maximum: {} });
+        }
+
+        for (const resourceName of Object.keys(parent.guaranteed)) {
+            const parentAmount = parent.guaranteed[resourceName];
+            const parentMaximum = parent.maximum[resourceName];
+            const entries = specs.map((spec) => this._getResourceEntry(spec.capacity, resourceName));
+
+            // Absolute and percentage children are served first, weighted children share the rest
+            let remaining = parentAmount;
+            let totalWeight = 0;
+            for (const entry of entries) {
+                if (entry.type === CAPACITY_MODES.ABSOLUTE) remaining -= entry.amount;
+                else if (entry.type === CAPACITY_MODES.PERCENTAGE) remaining -= (parentAmount * entry.amount) / 100;
+                else totalWeight += entry.amount;
+            }
+            remaining = Math.max(0, remaining);
+
+            for (const [index, child] of children.entries()) {
+                const entry = entries[index];
+                let guaranteed = entry.amount;
+                if (entry.type === CAPACITY_MODES.PERCENTAGE) {
+                    guaranteed = (parentAmount * entry.amount) / 100;
+                } else if (entry.type === CAPACITY_MODES.WEIGHT) {
+                    guaranteed = totalWeight > 0 ? (remaining * entry.amount) / totalWeight : 0;
+                }
+
+                const maximumEntry = this._getResourceEntry(specs[index].maximum, resourceName, true);
+                const maximum =
+                    maximumEntry.type === CAPACITY_MODES.ABSOLUTE
+                        ? maximumEntry.amount
+                        : (parentMaximum * maximumEntry.amount) / 100;
+
+                const result = results.get(child.fullPath);
+                result.guaranteed[resourceName] = guaranteed;
+                result.maximum[resourceName] = Math.min(maximum, parentMaximum);
+            }
+        }
+
+        for (const child of children) {
+            this._calculateChildren(child, results, partition, schedulerConfigModel);
+        }
+    },
+
+    /**
+     * Reads the parsed capacity and maximum capacity of a queue for a partition. A queue without
+     * access to a node label gets nothing of it.
+     * @private
+     */
+    _getCapacitySpec(node, partition, schedulerConfigModel) {
+        const path = node.fullPath;
+        const properties = node.getEffectiveProperties();
+        let capacityKey = PropertyKeyMapper.createFullKey(path, 'capacity');
+        let maximumKey = PropertyKeyMapper.createFullKey(path, 'maximum-capacity');
+
+        if (partition !== DEFAULT_PARTITION) {
+            const access = NodeLabelService.getEffectiveAccessibleLabels(path, schedulerConfigModel);
+            if (!access.all && !access.labels.includes(partition)) {
+                return { capacity: CapacityValueParser.parse('0'), maximum: CapacityValueParser.parse('0') };
+            }
+            capacityKey = NodeLabelService.getLabelCapacityKey(path, partition);
+            maximumKey = NodeLabelService.getLabelMaxCapacityKey(path, partition);
+        }
+
+        return {
+            capacity: CapacityValueParser.parse(properties.get(capacityKey)),
+            maximum: CapacityValueParser.parse(properties.get(maximumKey)),
+        };
+    },
+
+    /**
+     * Gets how a capacity applies to one resource type. A missing or invalid capacity counts as
+     * nothing, a missing maximum capacity as 100%.
+     * @private
+     * @returns {{type: string, amount: number}} type is one of the percentage, weight or absolute modes
+     */
+    _getResourceEntry(parsed, resourceName, isMaximum = false) {
+        const fallback = isMaximum
+            ? { type: CAPACITY_MODES.PERCENTAGE, amount: 100 }
+            : { type: CAPACITY_MODES.ABSOLUTE, amount: 0 };
+        if (!parsed.isValid) return fallback;
+
+        if (parsed.type === CAPACITY_MODES.PERCENTAGE || parsed.type === CAPACITY_MODES.WEIGHT) {
+            return { type: parsed.type, amount: Number(parsed.value) };
+        }
+
+        const vectorKey = Object.keys(parsed.value).find((key) => this._normalizeResourceName(key) === resourceName);
+        if (vectorKey === undefined) return fallback;
+
+        const value = parsed.value[vectorKey];
+        if (value.endsWith('%')) {
+            return { type: CAPACITY_MODES.PERCENTAGE, amount: Number.parseFloat(value) };
+        }
+        if (value.endsWith('w')) {
+            return { type: CAPACITY_MODES.WEIGHT, amount: Number.parseFloat(value) };
+        }
+
+        const match = value.match(/^([\d.]+)\s*([A-Za-z]*)$/);
+        if (!match) return fallback;
+        const multiplier = resourceName === this.MEMORY ? this.MEMORY_UNITS[match[2]] : 1;
+        return { type: CAPACITY_MODES.ABSOLUTE, amount: Number(match[1]) * (multiplier ?? 1) };
+    },
+
+    /**
+     * Maps the resource names of capacity vectors to the names the nodes API reports
+     * @private
+     */
+    _normalizeResourceName(name) {
+        const trimmed = name.trim();
+        if (trimmed === 'memory' || trimmed === 'memory-mb') return this.MEMORY;
+        if (trimmed === 'vcores' || trimmed === 'vCores') return this.VCORES;
+        return trimmed;
+    },
+
+    /**
+     * @private
+     */
+    _getSortKey(name) {
+        if (name === this.MEMORY) return '0';
+        if (name === this.VCORES) return '1';
+        return `2${name}`;
+    },
+};
@@ -0,0 +1,113 @@
+/**
+ * @file LiveDataPollingService - Periodically re-fetches the scheduler info and cluster nodes, so
+ * live usage, state and application counts stay current. Only the runtime models are updated;
+ * the scheduler configuration and staged changes are not touched. Polling pauses while the
+ * browser tab is hidden and catches up as soon as it is visible again.
+ */
+class LiveDataPollingService extends EventEmitter {
+    constructor(apiService, schedulerInfoModel, nodesInfoModel) {
+        super();
+        this.apiService = apiService;
+        this.schedulerInfoModel = schedulerInfoModel;
+        this.nodesInfoModel = nodesInfoModel;
+        this._intervalMs = 0;
+        this._timeoutId = null;
+        this._isPolling = false;
+        this._lastUpdated = null;
+        this._lastError = null;
+
+        document.addEventListener('visibilitychange', () => this._handleVisibilityChange());
+    }
+
+    /**
+     * Starts, changes or stops polling. The first poll runs after one interval.
+     * @param {number} intervalMs - Milliseconds between polls; 0 stops polling
+     */
+    setPollingInterval(intervalMs) {
+        this._intervalMs = Math.max(0, Number(intervalMs) || 0);
+        this._schedule();
+        this._emitStatus();
+    }
+
+    /**
+     * @returns {{state: string, intervalMs: number, lastUpdated: Date|null, error: string|null}} state
+     *          is 'off', 'active' or 'paused' (tab hidden)
+     */
+    getStatus() {
+        let state = 'active';
+        if (this._intervalMs === 0) state = 'off';
+        else if (document.hidden) state = 'paused';
+        return { state, intervalMs: this._intervalMs, lastUpdated: this._lastUpdated, error: this._lastError };
+    }
+
+    /**
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this._timeoutId);
+        this._timeoutId = null;
+        if (this._intervalMs > 0 && !document.hidden) {
+            this._timeoutId = setTimeout(() => this._poll(), this._intervalMs);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleVisibilityChange() {
+        if (this._intervalMs === 0) return;
+        if (document.hidden) {
+            clearTimeout(this._timeoutId);
+            this._timeoutId = null;
+            this._emitStatus();
+        } else {
+            // The data is stale after a pause, so refresh right away
+            this._poll();
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _poll() {
+        clearTimeout(this._timeoutId);
+        this._timeoutId = null;
+        if (this._isPolling) return;
+        this._isPolling = true;
+
+        try {
+            const [infoResult, nodesResult] = await Promise.all([
+                this.apiService.fetchSchedulerInfo(),
+                this.apiService.fetchClusterNodes(),
+            ]);
+
+            // Nodes first, so views updating on runtimeInfoUpdated see the new nodes as well
+            if (nodesResult.status === 200 && nodesResult.data) {
+                this.nodesInfoModel.updateNodesInfo(nodesResult.data);
+            }
+            if (
+                infoResult.status === 200 &&
+                infoResult.data &&
+                this.schedulerInfoModel.updateRuntimeInfo(infoResult.data)
+            ) {
+                this._lastUpdated = new Date();
+                this._lastError = null;
+            } else {
+                this._lastError = infoResult.error || `Failed to fetch scheduler info (status: ${infoResult.status})`;
+            }
+        } catch (error) {
+            this._lastError = error.message;
+        } finally {
+            this._isPolling = false;
+            this._schedule();
+            this._emitStatus();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emitStatus() {
+        this._emit('pollingStatusChanged', this.getStatus());
+    }
+}
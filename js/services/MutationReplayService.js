@@ -0,0 +1,181 @@
+/**
+ * Replays a saved scheduler-conf mutation payload, or a saved set of staged changes, against the
+ * configuration loaded from the server. Works out which operations still apply and converts them
+ * to staged changes.
+ */
+const MutationReplayService = {
+    /**
+     * Converts a mutation payload to staged-change operations and keeps those that still apply.
+     * @param {{removeQueues: Array<string>, addQueues: Array<{queueName: string, params: Object}>,
+     *          updateQueues: Array<{queueName: string, params: Object}>, globalUpdates: Object}} payload -
+     *          Operations from SchedulerConfigFile.parseMutationXml()
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model with the server configuration
+     * @returns {Result<{operations: Object, skipped: Array<string>}>} See filterApplicable()
+     */
+    plan(payload, schedulerConfigModel) {
+        const toOperation = ({ queueName, params }) => ({
+            path: queueName,
+            properties: this._toFullKeys(queueName, params),
+        });
+        return this.filterApplicable(
+            {
+                removeQueues: payload.removeQueues,
+                addQueues: payload.addQueues.map((entry) => toOperation(entry)),
+                updateQueues: payload.updateQueues.map((entry) => toOperation(entry)),
+                globalUpdates: payload.globalUpdates,
+            },
+            schedulerConfigModel
+        );
+    },
+
+    /**
+     * Converts staged changes saved with QueueConfigurationManager.exportStagedState() to operations
+     * and keeps those that still apply. Also reports the updated properties whose server value is no
+     * longer the value they had when the changes were staged. A staged move is kept as a move
+     * (operations.moves) when both its removal and its addition still apply.
+     * @param {Object} changes - Saved state from QueueConfigurationManager.exportStagedState()
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model with the server configuration
+     * @returns {Result<{operations: Object, skipped: Array<string>, conflicts: Array<string>}>} See
+     *          filterApplicable(); conflicts describes the changed server values
+     */
+    planStagedState(changes, schedulerConfigModel) {
+        const candidates = { removeQueues: [], addQueues: [], updateQueues: [], globalUpdates: changes.globalChanges };
+        for (const { path, operation, properties } of changes.queues) {
+            if (operation === 'delete') {
+                candidates.removeQueues.push(path);
+            } else {
+                const list = operation === 'add' ? candidates.addQueues : candidates.updateQueues;
+                list.push({ path, properties: new Map(Object.entries(properties)) });
+            }
+        }
+
+        const planResult = this.filterApplicable(candidates, schedulerConfigModel);
+        if (!planResult.isSuccess()) {
+            return planResult;
+        }
+
+        const { operations } = planResult.getValue();
+        operations.moves = changes.queues
+            .filter(({ operation, move }) => operation === 'delete' && move)
+            .map(({ move }) => ({ ...move }))
+            .filter(
+                ({ from, to }) =>
+                    operations.removeQueues.includes(from) && operations.addQueues.some(({ path }) => path === to)
+            );
+
+        const trie = schedulerConfigModel.getTrieInstance();
+        const conflicts = [];
+        for (const { path, operation, oldProperties } of changes.queues) {
+            const node = trie.getQueueNode(path);
+            if (operation !== 'update' || !node) continue;
+            for (const [key, oldValue] of Object.entries(oldProperties)) {
+                const serverValue = node.baseProperties.get(key) || '';
+                if (serverValue !== oldValue) {
+                    conflicts.push(
+                        this._describeConflict(`${path}: ${PropertyKeyMapper.toSimpleKey(key)}`, oldValue, serverValue)
+                    );
+                }
+            }
+        }
+        for (const key of Object.keys(changes.globalChanges)) {
+            const oldValue = changes.oldGlobalProperties[key] ?? '';
+            const serverValue = trie.globalProperties.get(key) ?? '';
+            if (serverValue !== oldValue) {
+                conflicts.push(this._describeConflict(key, oldValue, serverValue));
+            }
+        }
+
+        return Result.success({ ...planResult.getValue(), conflicts });
+    },
+
+    /**
+     * Checks each operation against the server configuration (staged changes are ignored), in the
+     * order the ResourceManager applies them: removals, additions, updates, then global updates.
+     * @param {{removeQueues: Array<string>, addQueues: Array<{path: string, properties: Map<string, string>}>,
+     *          updateQueues: Array<{path: string, properties: Map<string, string>}>, globalUpdates: Object}} candidates -
+     *          Operations with full property names
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model with the server configuration
+     * @returns {Result<{operations: Object, skipped: Array<string>}>} Operations in the shape
+     *          ChangeManager.stageImportedConfiguration() expects, and the operations that no longer apply
+     */
+    filterApplicable(candidates, schedulerConfigModel) {
+        const trie = schedulerConfigModel.getTrieInstance();
+        if (!trie || !trie.rootNode) {
+            return Result.failure('No scheduler configuration is loaded to replay against.');
+        }
+
+        const operations = { addQueues: [], updateQueues: [], removeQueues: [], globalUpdates: {} };
+        const skipped = [];
+        const removed = new Set();
+        const added = new Map();
+
+        const existsOnServer = (queuePath) => {
+            const node = trie.getQueueNode(queuePath);
+            return Boolean(node && node.isQueue && !node.isNew());
+        };
+        const isRemoved = (queuePath) =>
+            [...removed].some((removedPath) => queuePath === removedPath || queuePath.startsWith(`${removedPath}.`));
+        const exists = (queuePath) => added.has(queuePath) || (existsOnServer(queuePath) && !isRemoved(queuePath));
+
+        for (const queuePath of candidates.removeQueues) {
+            if (queuePath === 'root') {
+                skipped.push('Remove root: the root queue cannot be removed.');
+            } else if (exists(queuePath)) {
+                removed.add(queuePath);
+                operations.removeQueues.push(queuePath);
+            } else {
+                skipped.push(`Remove ${queuePath}: the queue does not exist.`);
+            }
+        }
+
+        for (const { path, properties } of candidates.addQueues) {
+            const parentPath = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+            if (exists(path)) {
+                skipped.push(`Add ${path}: the queue already exists.`);
+            } else if (existsOnServer(path)) {
+                skipped.push(`Add ${path}: re-creating a queue removed in the same payload is not supported.`);
+            } else if (!parentPath) {
+                skipped.push(`Add ${path}: queue names must be full paths starting at root.`);
+            } else if (exists(parentPath)) {
+                const addition = { path, properties: new Map(properties) };
+                added.set(path, addition);
+                operations.addQueues.push(addition);
+            } else {
+                skipped.push(`Add ${path}: the parent queue ${parentPath} does not exist.`);
+            }
+        }
+
+        for (const { path, properties } of candidates.updateQueues) {
+            if (!exists(path)) {
+                skipped.push(`Update ${path}: the queue does not exist.`);
+            } else if (properties.size === 0) {
+                skipped.push(`Update ${path}: no parameters to change.`);
+            } else if (added.has(path)) {
+                // Updates to a queue added by the same payload are folded into the addition
+                for (const [key, value] of properties) added.get(path).properties.set(key, value);
+            } else {
+                operations.updateQueues.push({ path, properties });
+            }
+        }
+
+        operations.globalUpdates = { ...candidates.globalUpdates };
+        return Result.success({ operations, skipped });
+    },
+
+    /**
+     * @private
+     */
+    _describeConflict(name, oldValue, serverValue) {
+        return `${name} was "${oldValue}" when staged and is now "${serverValue}" on the server.`;
+    },
+
+    /**
+     * Converts queue-relative parameter keys to full property names
+     * @private
+     */
+    _toFullKeys(queuePath, params) {
+        return new Map(
+            Object.entries(params).map(([key, value]) => [`yarn.scheduler.capacity.${queuePath}.${key}`, value])
+        );
+    },
+};
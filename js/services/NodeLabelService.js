@@ -209,6 +209,144 @@ const NodeLabelService = {
         }
     },
 
+    /**
+     * Resolves the accessible node labels of a queue, inheriting from the closest
+     * ancestor that configures them. Uses effective (staged) properties. Root can access every label.
+     * @param {string} queuePath - Queue path
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model
+     * @returns {{labels: Array<string>, all: boolean, inheritedFrom: string|null}}
+     *          `all` is true for "*"; `inheritedFrom` is the ancestor path when not configured on the queue itself.
+     */
+    getEffectiveAccessibleLabels(queuePath, schedulerConfigModel) {
+        if (this.isRootQueue(queuePath)) {
+            return { labels: [], all: true, inheritedFrom: null };
+        }
+
+        const segments = queuePath.split('.');
+        for (let depth = segments.length; depth > 0; depth--) {
+            const path = segments.slice(0, depth).join('.');
+            const properties = schedulerConfigModel.getQueueNodeProperties(path);
+            const value = properties ? properties.get(this.getAccessibleNodeLabelsKey(path)) : undefined;
+            if (value !== undefined) {
+                const trimmed = String(value).trim();
+                return {
+                    labels: trimmed === '*' ? [] : this.formatLabelsForChips(trimmed).map((chip) => chip.name),
+                    all: trimmed === '*',
+                    inheritedFrom: path === queuePath ? null : path,
+                };
+            }
+        }
+        return {
+            labels: [],
+            all: this.getAccessibleNodeLabelsDefault() === '*',
+            inheritedFrom: queuePath === 'root' ? null : 'root',
+        };
+    },
+
+    /**
+     * Builds a cluster-wide overview of node labels for the Node Labels tab.
+     * @param {Object} dataModels - Contains schedulerConfigModel, schedulerInfoModel, nodesInfoModel
+     * @returns {Array<{name: string, exclusivity: boolean|null, nodeCount: number, memoryMB: number, vCores: number, queues: Array<string>}>}
+     *          One entry per label, starting with the default partition (name '').
+     */
+    getLabelOverview(dataModels) {
+        const { schedulerConfigModel, schedulerInfoModel, nodesInfoModel } = dataModels;
+        const labelNames = new Set(this.getAvailableNodeLabels(schedulerInfoModel, nodesInfoModel));
+        for (const definition of nodesInfoModel.getLabelDefinitions()) {
+            labelNames.add(definition.name);
+        }
+
+        const queuePaths = schedulerConfigModel.getAllQueuePaths();
+        const accessByQueue = new Map(
+            queuePaths.map((path) => [path, this.getEffectiveAccessibleLabels(path, schedulerConfigModel)])
+        );
+
+        return [DEFAULT_PARTITION, ...[...labelNames].sort()].map((name) => ({
+            name,
+            exclusivity: name === DEFAULT_PARTITION ? true : nodesInfoModel.getLabelExclusivity(name),
+            ...nodesInfoModel.getLabelResourceTotals(name),
+            queues:
+                name === DEFAULT_PARTITION
+                    ? queuePaths
+                    : queuePaths.filter((path) => {
+                          const access = accessByQueue.get(path);
+                          return access.all || access.labels.includes(name);
+                      }),
+        }));
+    },
+
+    /**
+     * Lists the cluster nodes with their assigned labels for the node assignment editor.
+     * @param {NodesInfoModel} nodesInfoModel - Cluster nodes model
+     * @returns {Array<{id: string, host: string, state: string, labels: Array<string>}>} Nodes sorted by host
+     */
+    getNodeAssignments(nodesInfoModel) {
+        return nodesInfoModel
+            .getNodes()
+            .map((node) => ({
+                id: node.id,
+                host: node.nodeHostName || node.id,
+                state: node.state,
+                labels: nodesInfoModel.getAssignedLabels(node),
+            }))
+            .sort((a, b) => a.host.localeCompare(b.host));
+    },
+
+    /**
+     * Builds the replace-node-to-labels request that assigns exactly the given nodes to a label.
+     * Nodes that carry the label but are not selected lose it; a node holds a single label in YARN,
+     * so selected nodes move away from any other label.
+     * @param {Array<Object>} nodeAssignments - From getNodeAssignments()
+     * @param {string} label - Label to assign
+     * @param {Array<string>} selectedNodeIds - Node ids that should carry the label
+     * @returns {Object<string, Array<string>>} Node id -> new labels, only for nodes that change
+     */
+    buildNodeToLabelsReplacement(nodeAssignments, label, selectedNodeIds) {
+        const selected = new Set(selectedNodeIds);
+        const replacement = {};
+        for (const node of nodeAssignments) {
+            const hasLabel = node.labels.includes(label);
+            if (selected.has(node.id) && !(hasLabel && node.labels.length === 1)) {
+                replacement[node.id] = [label];
+            } else if (!selected.has(node.id) && hasLabel) {
+                replacement[node.id] = node.labels.filter((nodeLabel) => nodeLabel !== label);
+            }
+        }
+        return replacement;
+    },
+
+    /**
+     * Builds the queue x label matrix of configured label capacities.
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model
+     * @param {Array<string>} labels - Node labels (columns)
+     * @returns {Array<{path: string, name: string, depth: number, cells: Object<string, Object>}>}
+     *          Each cell has `accessible`, `capacity`, `maxCapacity`, `capacityStaged` and `maxCapacityStaged`.
+     */
+    getQueueLabelMatrix(schedulerConfigModel, labels) {
+        const trie = schedulerConfigModel.getTrieInstance();
+        return schedulerConfigModel.getAllQueuePaths().map((path) => {
+            const properties = schedulerConfigModel.getQueueNodeProperties(path) || new Map();
+            const node = trie.getQueueNode(path);
+            const pendingProperties = node ? node.pendingProperties : new Map();
+            const access = this.getEffectiveAccessibleLabels(path, schedulerConfigModel);
+
+            const cells = {};
+            for (const label of labels) {
+                const capacityKey = this.getLabelCapacityKey(path, label);
+                const maxCapacityKey = this.getLabelMaxCapacityKey(path, label);
+                cells[label] = {
+                    accessible: access.all || access.labels.includes(label),
+                    capacity: properties.get(capacityKey),
+                    maxCapacity: properties.get(maxCapacityKey),
+                    capacityStaged: pendingProperties.has(capacityKey),
+                    maxCapacityStaged: pendingProperties.has(maxCapacityKey),
+                };
+            }
+
+            return { path, name: path.split('.').pop(), depth: path.split('.').length - 1, cells };
+        });
+    },
+
     /**
      * Populates node label info for info modal display
      * @param {Object} infoData - Info modal data object
@@ -220,7 +358,7 @@ const NodeLabelService = {
             value: targetNode['accessible-node-labels'],
         });
 
-        const baseKey = NodeLabelService.getAccessibleNodeLabelsKey(targetNode.path);
+        const baseKey = this.getAccessibleNodeLabelsKey(targetNode.path);
         const labelPrefix = `${baseKey}.`;
         for (const [key, value] of targetNode.effectiveProperties.entries()) {
             if (key.startsWith(labelPrefix) && key !== baseKey) {
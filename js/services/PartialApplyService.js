@@ -0,0 +1,157 @@
+/**
+ * Splits the staged changes into the ones chosen in the Change Preview and the rest, so a subset
+ * can be validated and applied while the other changes stay staged. Selections are sets of
+ * ChangePreview.getSelectionKey() values.
+ */
+const PartialApplyService = {
+    /**
+     * Builds a configuration model with only the selected changes staged on top of the server
+     * configuration, and collects the unselected changes.
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model with all staged changes
+     * @param {Set<string>} selection - Selection keys of the changes to keep
+     * @returns {Result<{subsetModel: SchedulerConfigModel, remainingState: Object, dependencyWarnings: Array<string>,
+     *          skipped: Array<string>}>} remainingState is in the QueueConfigurationManager.exportStagedState()
+     *          format; skipped lists the selected changes that cannot be applied without unselected ones
+     */
+    prepare(schedulerConfigModel, selection) {
+        if (selection.size === 0) {
+            return Result.failure('No changes are selected.');
+        }
+
+        const changeLog = schedulerConfigModel.getChangeLog();
+        const stagedState = changeLog.exportStagedState();
+        const { selected, remaining } = this.split(stagedState, selection);
+
+        const subsetModel = new SchedulerConfigModel();
+        subsetModel.loadSchedulerConfig(changeLog.toPropertyList(false));
+        const planResult = MutationReplayService.planStagedState(selected, subsetModel);
+        if (!planResult.isSuccess()) {
+            return planResult;
+        }
+        const { operations, skipped } = planResult.getValue();
+        subsetModel.replaceStagedChanges(operations);
+
+        return Result.success({
+            subsetModel,
+            remainingState: remaining,
+            dependencyWarnings: this.findDependencies(stagedState, selection),
+            skipped,
+        });
+    },
+
+    /**
+     * Splits a staged state by selection. Property updates of one queue can end up on both sides.
+     * @param {Object} stagedState - From QueueConfigurationManager.exportStagedState()
+     * @param {Set<string>} selection - Selection keys of the changes to keep
+     * @returns {{selected: Object, remaining: Object}} Both in the exportStagedState() format
+     */
+    split(stagedState, selection) {
+        const createState = () => ({
+            queues: [],
+            globalChanges: {},
+            oldGlobalProperties: stagedState.oldGlobalProperties,
+        });
+        const selected = createState();
+        const remaining = createState();
+
+        for (const entry of stagedState.queues) {
+            if (entry.operation !== 'update') {
+                (selection.has(this._getEntryKey(entry)) ? selected : remaining).queues.push(entry);
+                continue;
+            }
+
+            const parts = new Map([
+                [selected, { ...entry, properties: {}, oldProperties: {} }],
+                [remaining, { ...entry, properties: {}, oldProperties: {} }],
+            ]);
+            for (const [fullKey, value] of Object.entries(entry.properties)) {
+                const part = parts.get(
+                    selection.has(this._getKey(entry.path, entry.operation, fullKey)) ? selected : remaining
+                );
+                part.properties[fullKey] = value;
+                if (fullKey in entry.oldProperties) part.oldProperties[fullKey] = entry.oldProperties[fullKey];
+            }
+            for (const [state, part] of parts) {
+                if (Object.keys(part.properties).length > 0) state.queues.push(part);
+            }
+        }
+
+        for (const [fullKey, value] of Object.entries(stagedState.globalChanges)) {
+            (selection.has(this._getKey(null, 'update', fullKey)) ? selected : remaining).globalChanges[fullKey] =
+                value;
+        }
+
+        return { selected, remaining };
+    },
+
+    /**
+     * Finds selected changes that depend on unselected ones: changes to a queue whose addition,
+     * or the addition of one of its parents, is not selected. Also lists unselected changes below
+     * a selected removal, which are lost with the queue.
+     * @param {Object} stagedState - From QueueConfigurationManager.exportStagedState()
+     * @param {Set<string>} selection - Selection keys of the changes to keep
+     * @returns {Array<string>} One message per affected queue
+     */
+    findDependencies(stagedState, selection) {
+        const isSelected = (entry) => {
+            if (entry.operation !== 'update') return selection.has(this._getEntryKey(entry));
+            return Object.keys(entry.properties).some((fullKey) =>
+                selection.has(this._getKey(entry.path, entry.operation, fullKey))
+            );
+        };
+        const isPartlySelected = (entry) =>
+            entry.operation === 'update' &&
+            Object.keys(entry.properties).some(
+                (fullKey) => !selection.has(this._getKey(entry.path, entry.operation, fullKey))
+            );
+        const isBelow = (path, ancestorPath) => path === ancestorPath || path.startsWith(`${ancestorPath}.`);
+
+        const unselectedAdditions = stagedState.queues.filter(
+            (entry) => entry.operation === 'add' && !isSelected(entry)
+        );
+        const selectedRemovals = stagedState.queues.filter(
+            (entry) => entry.operation === 'delete' && isSelected(entry)
+        );
+
+        const warnings = [];
+        for (const entry of stagedState.queues) {
+            if (isSelected(entry)) {
+                const missingAddition = unselectedAdditions.find(
+                    (addition) => addition.path !== entry.path && isBelow(entry.path, addition.path)
+                );
+                if (missingAddition) {
+                    warnings.push(`${entry.path} depends on adding ${missingAddition.path}, which is not selected.`);
+                }
+            }
+            if (!isSelected(entry) || isPartlySelected(entry)) {
+                const removal = selectedRemovals.find(
+                    (selectedRemoval) =>
+                        selectedRemoval.path !== entry.path && isBelow(entry.path, selectedRemoval.path)
+                );
+                if (removal) {
+                    warnings.push(`Unselected changes to ${entry.path} are lost when ${removal.path} is removed.`);
+                }
+            }
+        }
+        return warnings;
+    },
+
+    /**
+     * Returns the selection key of a queue addition or removal. The removal and the additions of
+     * a move are selected together.
+     * @private
+     */
+    _getEntryKey(entry) {
+        if (entry.move) {
+            return ChangePreview.getSelectionKey({ queuePath: entry.move.from, operation: OPERATION_TYPES.MOVE });
+        }
+        return this._getKey(entry.path, entry.operation);
+    },
+
+    /**
+     * @private
+     */
+    _getKey(queuePath, operation, propertyKey = null) {
+        return ChangePreview.getSelectionKey({ queuePath, operation: operation.toUpperCase(), propertyKey });
+    },
+};
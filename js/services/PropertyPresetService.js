@@ -0,0 +1,235 @@
+/**
+ * @file PropertyPresetService - Keeps a library of named queue property sets, such as "batch-leaf"
+ * or "gpu-team-parent", in localStorage. Properties are stored with queue-relative keys, so a
+ * preset applies to any queue. Capacities are stored with the capacity mode CapacityValueParser
+ * detects, and a capacity is only applied to a queue that uses the same mode. The library can be
+ * exported and imported as JSON to share it with the team.
+ */
+const PROPERTY_PRESETS_FILE_FORMAT = 'yarn-scheduler-ui-property-presets';
+
+class PropertyPresetService extends EventEmitter {
+    constructor(storageKey = 'yarn-scheduler-ui.property-presets') {
+        super();
+        this._storageKey = storageKey;
+    }
+
+    /**
+     * Lists the saved presets by name.
+     * @returns {Array<Object>} Presets, see createFromQueue()
+     */
+    getPresets() {
+        return this._read().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} name - Preset name
+     * @returns {Object|null} The preset, or null if there is none with this name
+     */
+    getPreset(name) {
+        return this._read().find((preset) => preset.name === name) || null;
+    }
+
+    /**
+     * Saves a preset, replacing a preset with the same name.
+     * @param {Object} preset - From createFromQueue()
+     * @returns {Result<boolean>}
+     */
+    savePreset(preset) {
+        const presets = this._read().filter((existing) => existing.name !== preset.name);
+        presets.push(preset);
+        return this._write(presets);
+    }
+
+    /**
+     * Removes a preset.
+     * @param {string} name - Preset name
+     * @returns {Result<boolean>}
+     */
+    deletePreset(name) {
+        return this._write(this._read().filter((preset) => preset.name !== name));
+    }
+
+    /**
+     * Serializes the library for sharing.
+     * @returns {string} JSON document with all presets
+     */
+    exportPresets() {
+        return JSON.stringify({ format: PROPERTY_PRESETS_FILE_FORMAT, presets: this.getPresets() }, null, 2);
+    }
+
+    /**
+     * Adds the presets of an exported library. Presets with the same name are replaced.
+     * @param {string} json - Content of a file from exportPresets()
+     * @returns {Result<{imported: Array<string>, skipped: Array<string>}>} Names of the imported presets,
+     *          and descriptions of the entries that are not valid presets
+     */
+    importPresets(json) {
+        let document_;
+        try {
+            document_ = JSON.parse(json);
+        } catch (error) {
+            return Result.failure(`The file is not valid JSON: ${error.message}`);
+        }
+        if (!document_ || document_.format !== PROPERTY_PRESETS_FILE_FORMAT || !Array.isArray(document_.presets)) {
+            return Result.failure('The file is not a property preset library.');
+        }
+
+        const imported = [];
+        const skipped = [];
+        for (const [index, entry] of document_.presets.entries()) {
+            const error = PropertyPresetService.getPresetError(entry);
+            if (error) {
+                skipped.push(`Preset ${index + 1}: ${error}`);
+            } else {
+                imported.push({
+                    name: entry.name.trim(),
+                    description: typeof entry.description === 'string' ? entry.description : '',
+                    savedAt: Number(entry.savedAt) || Date.now(),
+                    capacityMode: entry.capacities.capacity ? entry.capacities.capacity.mode : null,
+                    capacities: entry.capacities,
+                    properties: entry.properties,
+                });
+            }
+        }
+
+        const importedNames = new Set(imported.map((preset) => preset.name));
+        const writeResult = this._write([
+            ...this._read().filter((preset) => !importedNames.has(preset.name)),
+            ...imported,
+        ]);
+        if (!writeResult.isSuccess()) {
+            return writeResult;
+        }
+        return Result.success({ imported: [...importedNames], skipped });
+    }
+
+    /**
+     * Builds a preset from the effective properties of a queue. Child queue lists and UI hints are
+     * left out.
+     * @param {string} name - Preset name
+     * @param {string} queuePath - Queue the properties belong to
+     * @param {Map<string, string>} properties - Full property names and values of the queue
+     * @param {string} [description=''] - What the preset is for
+     * @returns {{name: string, description: string, savedAt: number, capacityMode: string|null,
+     *          capacities: Object<string, {mode: string, value: string}>, properties: Object<string, string>}}
+     */
+    static createFromQueue(name, queuePath, properties, description = '') {
+        const prefix = `yarn.scheduler.capacity.${queuePath}.`;
+        const preset = { name, description, savedAt: Date.now(), capacityMode: null, capacities: {}, properties: {} };
+
+        for (const [fullKey, value] of properties) {
+            if (!fullKey.startsWith(prefix) || value === undefined || value === null || value === '') continue;
+            const key = fullKey.slice(prefix.length);
+            if (key === 'queues' || key === '_ui_capacityMode') continue;
+
+            const parsed = PropertyPresetService._isCapacityKey(key) ? CapacityValueParser.parse(String(value)) : null;
+            if (parsed && parsed.isValid) {
+                preset.capacities[key] = { mode: parsed.type, value: CapacityValueParser.format(parsed) };
+            } else {
+                preset.properties[key] = String(value);
+            }
+        }
+        preset.capacityMode = preset.capacities.capacity ? preset.capacities.capacity.mode : null;
+        return preset;
+    }
+
+    /**
+     * Converts a preset to queue-relative parameters for staging.
+     * @param {Object} preset - Preset to apply
+     * @param {string|null} capacityMode - Capacity mode of the target queue; the queue capacity of a
+     *        preset with another mode is left out. Null applies it in the preset's mode.
+     * @returns {{params: Object<string, string>, skipped: Array<string>}} Parameters with simple keys,
+     *          and the keys that were left out
+     */
+    static toQueueParameters(preset, capacityMode) {
+        const params = { ...preset.properties };
+        const skipped = [];
+        for (const [key, { mode, value }] of Object.entries(preset.capacities)) {
+            if (key === 'capacity' && capacityMode && mode !== capacityMode) {
+                skipped.push(key);
+            } else {
+                params[key] = value;
+            }
+        }
+        return { params, skipped };
+    }
+
+    /**
+     * Converts a preset to the parameters that change an existing queue. The capacity mode of the
+     * queue decides whether the preset capacity applies, and values the queue already has are left out.
+     * @param {Object} preset - Preset to apply
+     * @param {string} queuePath - Queue to apply the preset to
+     * @param {Map<string, string>} properties - Effective full property names and values of the queue
+     * @returns {{params: Object<string, string>, skipped: Array<string>}} See toQueueParameters()
+     */
+    static toQueueUpdate(preset, queuePath, properties) {
+        const capacityMode = CapacityValueParser.determineMode(queuePath, properties);
+        const { params, skipped } = PropertyPresetService.toQueueParameters(preset, capacityMode);
+        for (const [key, value] of Object.entries(params)) {
+            if (properties.get(PropertyKeyMapper.createFullKey(queuePath, key)) === value) {
+                delete params[key];
+            }
+        }
+        return { params, skipped };
+    }
+
+    /**
+     * Checks the shape of a preset, for example one read from an imported file.
+     * @param {Object} preset - Preset to check
+     * @returns {string|null} Error message, or null if the preset is valid
+     */
+    static getPresetError(preset) {
+        if (!preset || typeof preset.name !== 'string' || preset.name.trim() === '') {
+            return 'the preset has no name.';
+        }
+        const isStringMap = (value) =>
+            value && typeof value === 'object' && Object.values(value).every((entry) => typeof entry === 'string');
+        if (!isStringMap(preset.properties)) {
+            return `"${preset.name}" has invalid properties.`;
+        }
+        if (!preset.capacities || typeof preset.capacities !== 'object') {
+            return `"${preset.name}" has invalid capacities.`;
+        }
+        for (const [key, capacity] of Object.entries(preset.capacities)) {
+            const parsed = CapacityValueParser.parse(capacity && capacity.value);
+            if (!parsed.isValid || parsed.type !== capacity.mode) {
+                return `"${preset.name}" has an invalid ${key} for the ${capacity && capacity.mode} mode.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether a queue-relative key holds a capacity, including node label and template capacities
+     * @private
+     */
+    static _isCapacityKey(key) {
+        return /(^|\.)(maximum-)?capacity$/.test(key);
+    }
+
+    /**
+     * @private
+     */
+    _read() {
+        try {
+            const json = globalThis.localStorage.getItem(this._storageKey);
+            return json ? JSON.parse(json) : [];
+        } catch (error) {
+            console.warn('PropertyPresetService: Could not read the property presets:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    _write(presets) {
+        try {
+            globalThis.localStorage.setItem(this._storageKey, JSON.stringify(presets));
+        } catch (error) {
+            return Result.failure(`Could not save the property presets in the browser: ${error.message}`);
+        }
+        this._emit('presetsChanged', this.getPresets());
+        return Result.success(true);
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * Service for parsing, validating and resolving queue ACLs.
+ * ACL strings use the YARN "users groups" format, e.g. "alice,bob analysts,ops".
+ */
+const QueueAclService = {
+    ALLOW_ALL: '*',
+    ALLOW_NONE: ' ',
+    SUBMIT_APPLICATIONS: 'acl_submit_applications',
+    ADMINISTER_QUEUE: 'acl_administer_queue',
+
+    /**
+     * Gets the ACL metadata entries with their simple keys
+     * @returns {Array<Object>} ACL metadata ({ key, displayName, description, ... })
+     */
+    getAclTypes() {
+        return Object.values(QUEUE_ACL_METADATA);
+    },
+
+    /**
+     * Gets the full property key of an ACL for a queue
+     * @param {string} queuePath - Queue path
+     * @param {string} aclKey - Simple ACL key (e.g. 'acl_submit_applications')
+     * @returns {string} Full property key
+     */
+    getAclPropertyKey(queuePath, aclKey) {
+        return `yarn.scheduler.capacity.${queuePath}.${aclKey}`;
+    },
+
+    /**
+     * Gets the ACL YARN applies when the property is not set: everyone on root, nobody elsewhere
+     * @param {string} queuePath - Queue path
+     * @param {string} aclKey - Simple ACL key
+     * @returns {string} Default ACL string
+     */
+    getDefaultAcl(queuePath, aclKey) {
+        const meta = this.getAclTypes().find((aclMeta) => aclMeta.key === aclKey);
+        if (!meta) {
+            return this.ALLOW_NONE;
+        }
+        return queuePath === 'root' ? meta.rootDefaultValue : meta.defaultValue;
+    },
+
+    /**
+     * Parses an ACL string into user and group lists
+     * @param {string} aclString - ACL string in "users groups" format
+     * @returns {{allowAll: boolean, users: Array<string>, groups: Array<string>}} Parsed ACL
+     */
+    parse(aclString) {
+        const value = aclString === undefined || aclString === null ? '' : String(aclString);
+        const separatorIndex = value.indexOf(' ');
+        const usersPart = separatorIndex === -1 ? value : value.slice(0, separatorIndex);
+        const groupsPart = separatorIndex === -1 ? '' : value.slice(separatorIndex + 1);
+
+        const users = this._splitNames(usersPart);
+        const groups = this._splitNames(groupsPart);
+        const allowAll = users.includes(this.ALLOW_ALL) || groups.includes(this.ALLOW_ALL);
+
+        return {
+            allowAll,
+            users: allowAll ? [] : users,
+            groups: allowAll ? [] : groups,
+        };
+    },
+
+    /**
+     * Serializes user and group lists back to an ACL string
+     * @param {{allowAll: boolean, users: Array<string>, groups: Array<string>}} acl - Parsed ACL
+     * @returns {string} ACL string ("*" for everyone, " " for nobody)
+     */
+    serialize(acl) {
+        if (acl.allowAll) {
+            return this.ALLOW_ALL;
+        }
+        const users = acl.users.join(',');
+        const groups = acl.groups.join(',');
+        if (!users && !groups) {
+            return this.ALLOW_NONE;
+        }
+        return groups ? `${users} ${groups}` : users;
+    },
+
+    /**
+     * Validates an ACL string
+     * @param {string} aclString - ACL string in "users groups" format
+     * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>}} Validation result
+     */
+    validate(aclString) {
+        const errors = [];
+        const warnings = [];
+        const value = String(aclString ?? '');
+
+        if (value === '') {
+            errors.push('ACL cannot be empty. Use " " (a single space) to allow nobody.');
+            return { isValid: false, errors, warnings };
+        }
+
+        const separatorIndex = value.indexOf(' ');
+        const groupsPart = separatorIndex === -1 ? '' : value.slice(separatorIndex + 1);
+        if (groupsPart.includes(' ')) {
+            errors.push('Use a single space between users and groups; names cannot contain spaces.');
+        }
+
+        const usersPart = separatorIndex === -1 ? value : value.slice(0, separatorIndex);
+        for (const [part, label] of [
+            [usersPart, 'user'],
+            [groupsPart.trim(), 'group'],
+        ]) {
+            if (!part) continue;
+            const names = part.split(',');
+            if (names.some((name) => name.trim() === '')) {
+                errors.push(`The ${label} list contains an empty entry (check for extra commas).`);
+            }
+            const invalidName = names
+                .map((name) => name.trim())
+                .find((name) => name && !/\s/.test(name) && !this.isValidName(name));
+            if (invalidName) {
+                errors.push(`"${invalidName}" is not a valid ${label} name.`);
+            }
+        }
+
+        const parsed = this.parse(value);
+        if (parsed.allowAll && value.trim() !== this.ALLOW_ALL) {
+            warnings.push('"*" allows everyone; the other entries have no effect.');
+        }
+
+        return { isValid: errors.length === 0, errors, warnings };
+    },
+
+    /**
+     * Checks a single user or group name
+     * @param {string} name - User or group name
+     * @returns {boolean} True if the name can be used in an ACL
+     */
+    isValidName(name) {
+        return name === this.ALLOW_ALL || /^[\w.@$-]+$/.test(name);
+    },
+
+    /**
+     * Collects the ACLs of the ancestors of a queue. Uses effective (staged) properties.
+     * Since YARN grants a permission on any ancestor to all descendants, the inherited
+     * ACL is the union of the ancestor ACLs.
+     * @param {string} queuePath - Queue path
+     * @param {string} aclKey - Simple ACL key
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model
+     * @returns {{allowAll: boolean, users: Array<string>, groups: Array<string>,
+     *            sources: Array<{path: string, value: string, isDefault: boolean}>}}
+     */
+    getInheritedAcl(queuePath, aclKey, schedulerConfigModel) {
+        const segments = queuePath.split('.');
+        const ancestors = segments.slice(0, -1).map((_, index) => segments.slice(0, index + 1).join('.'));
+        return this._mergeAcls(ancestors, [aclKey], schedulerConfigModel);
+    },
+
+    /**
+     * Resolves the ACL that applies to a queue by walking up the queue trie to root.
+     * A permission granted on the queue or any ancestor applies, and for submissions
+     * the administer ACL counts as well, matching how YARN checks access.
+     * @param {string} queuePath - Queue path
+     * @param {string} aclKey - Simple ACL key
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model
+     * @returns {{allowAll: boolean, users: Array<string>, groups: Array<string>,
+     *            sources: Array<{path: string, aclKey: string, value: string, isDefault: boolean}>} | null}
+     *          Effective ACL, or null if the queue does not exist
+     */
+    getEffectiveAcl(queuePath, aclKey, schedulerConfigModel) {
+        const trie = schedulerConfigModel.getTrieInstance();
+        const queueNode = trie ? trie.getQueueNode(queuePath) : null;
+        if (!queueNode || !queueNode.isQueue || queueNode.isDeleted()) {
+            return null;
+        }
+
+        const queuePaths = [];
+        for (let node = queueNode; node; node = node.parent) {
+            queuePaths.unshift(node.fullPath);
+        }
+        const aclKeys = aclKey === this.SUBMIT_APPLICATIONS ? [aclKey, this.ADMINISTER_QUEUE] : [aclKey];
+        return this._mergeAcls(queuePaths, aclKeys, schedulerConfigModel);
+    },
+
+    /**
+     * Checks whether a user, or any of the given groups, is allowed by an ACL
+     * @param {{allowAll: boolean, users: Array<string>, groups: Array<string>}} acl - Parsed or effective ACL
+     * @param {{user?: string, groups?: Array<string>}} principal - User name and/or group names
+     * @returns {boolean} True if access is granted
+     */
+    isAllowed(acl, principal) {
+        if (acl.allowAll) {
+            return true;
+        }
+        if (principal.user && acl.users.includes(principal.user)) {
+            return true;
+        }
+        return (principal.groups || []).some((group) => acl.groups.includes(group));
+    },
+
+    /**
+     * Finds the queues a user or group can access, e.g. every queue "alice" can submit to
+     * @param {{user?: string, groups?: Array<string>}} principal - User name and/or group names
+     * @param {string} aclKey - Simple ACL key
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model
+     * @returns {Array<{path: string, isLeaf: boolean, grantedBy: Array<Object>}>} Accessible queues in
+     *          hierarchy order; grantedBy lists the ACL sources that allow the principal
+     */
+    findAccessibleQueues(principal, aclKey, schedulerConfigModel) {
+        const trie = schedulerConfigModel.getTrieInstance();
+        const results = [];
+
+        for (const path of schedulerConfigModel.getAllQueuePaths()) {
+            const acl = this.getEffectiveAcl(path, aclKey, schedulerConfigModel);
+            if (!acl || !this.isAllowed(acl, principal)) continue;
+
+            const children = [...trie.getQueueNode(path).children.values()];
+            results.push({
+                path,
+                isLeaf: !children.some((child) => child.isQueue && !child.isDeleted()),
+                grantedBy: acl.sources.filter((source) => this.isAllowed(this.parse(source.value), principal)),
+            });
+        }
+        return results;
+    },
+
+    /**
+     * Describes an ACL in words, e.g. "users alice, bob; groups dev"
+     * @param {{allowAll: boolean, users: Array<string>, groups: Array<string>}} acl - Parsed or effective ACL
+     * @returns {string} Description
+     */
+    describe(acl) {
+        if (acl.allowAll) {
+            return 'Everyone';
+        }
+        const parts = [];
+        if (acl.users.length > 0) parts.push(`users ${acl.users.join(', ')}`);
+        if (acl.groups.length > 0) parts.push(`groups ${acl.groups.join(', ')}`);
+        return parts.length > 0 ? parts.join('; ') : 'Nobody';
+    },
+
+    /**
+     * Merges the ACLs configured on the given queues into one ACL
+     * @private
+     */
+    _mergeAcls(queuePaths, aclKeys, schedulerConfigModel) {
+        const users = new Set();
+        const groups = new Set();
+        const sources = [];
+        let allowAll = false;
+
+        for (const path of queuePaths) {
+            const properties = schedulerConfigModel.getQueueNodeProperties(path);
+            for (const aclKey of aclKeys) {
+                const configuredValue = properties ? properties.get(this.getAclPropertyKey(path, aclKey)) : undefined;
+                const isDefault = configuredValue === undefined;
+                const value = isDefault ? this.getDefaultAcl(path, aclKey) : configuredValue;
+                const parsed = this.parse(value);
+
+                sources.push({ path, aclKey, value, isDefault });
+                allowAll = allowAll || parsed.allowAll;
+                for (const user of parsed.users) users.add(user);
+                for (const group of parsed.groups) groups.add(group);
+            }
+        }
+
+        return {
+            allowAll,
+            users: allowAll ? [] : [...users].sort(),
+            groups: allowAll ? [] : [...groups].sort(),
+            sources,
+        };
+    },
+
+    _splitNames(part) {
+        return part
+            .split(',')
+            .map((name) => name.trim())
+            .filter((name) => name.length > 0);
+    },
+};
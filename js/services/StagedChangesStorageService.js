@@ -0,0 +1,52 @@
+/**
+ * @file StagedChangesStorageService - Keeps a copy of the staged changes in localStorage, so they
+ * survive a page reload or a browser crash. Each ResourceManager base URL has its own entry.
+ */
+class StagedChangesStorageService {
+    constructor(baseUrl = CONFIG.API_BASE_URL) {
+        this._storageKey = `yarn-scheduler-ui.staged-changes.${baseUrl}`;
+    }
+
+    /**
+     * Saves the staged changes, or removes the saved copy if nothing is staged.
+     * @param {QueueConfigurationManager} changeLog - Configuration with the staged changes
+     * @returns {Result<boolean>}
+     */
+    save(changeLog) {
+        try {
+            if (changeLog.hasPendingChanges()) {
+                const entry = { savedAt: Date.now(), changes: changeLog.exportStagedState() };
+                globalThis.localStorage.setItem(this._storageKey, JSON.stringify(entry));
+            } else {
+                globalThis.localStorage.removeItem(this._storageKey);
+            }
+            return Result.success(true);
+        } catch (error) {
+            return Result.failure(`Could not save the staged changes in the browser: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads the saved staged changes.
+     * @returns {Result<{savedAt: number, changes: Object}|null>} Null if nothing is saved
+     */
+    load() {
+        try {
+            const json = globalThis.localStorage.getItem(this._storageKey);
+            return Result.success(json ? JSON.parse(json) : null);
+        } catch (error) {
+            return Result.failure(`Could not read the saved staged changes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Removes the saved staged changes.
+     */
+    clear() {
+        try {
+            globalThis.localStorage.removeItem(this._storageKey);
+        } catch (error) {
+            console.warn('StagedChangesStorageService: Could not remove the saved staged changes:', error);
+        }
+    }
+}
@@ -82,6 +82,44 @@ class UIStateManager {
         this._renderGlobalConfigView(schedulerConfigModel);
     }
 
+    /**
+     * Renders the placement rules view
+     * @param {SchedulerConfigModel} schedulerConfigModel - Config model
+     */
+    renderPlacementRulesView(schedulerConfigModel) {
+        this._renderPlacementRulesView(schedulerConfigModel);
+    }
+
+    /**
+     * Renders the node labels view
+     * @param {Object} dataModels - Contains schedulerConfigModel, schedulerInfoModel, nodesInfoModel
+     */
+    renderNodeLabelsView(dataModels) {
+        this._renderNodeLabelsView(dataModels);
+    }
+
+    /**
+     * Renders the history view
+     * @param {Array<Object>} snapshots - Configuration snapshots, newest first
+     * @param {string} [error] - Error to show if the history could not be read
+     */
+    renderHistoryView(snapshots, error) {
+        if (this.views.historyView) {
+            this.views.historyView.render(snapshots, error);
+        }
+    }
+
+    /**
+     * Shows a list of changes in the history view
+     * @param {string} title - Heading of the diff
+     * @param {Array<Object>} changes - Changes in ChangePreview format
+     */
+    showHistoryDiff(title, changes) {
+        if (this.views.historyView) {
+            this.views.historyView.showDiff(title, changes);
+        }
+    }
+
     /**
      * Renders the batch controls view
      * @param {SchedulerConfigModel} schedulerConfigModel - Config model
@@ -115,6 +153,40 @@ class UIStateManager {
         this.views.addQueueModalView.show({ parentQueues, preselectedParentPath: effectiveParentPath });
     }
 
+    /**
+     * Shows the modal for copying a queue, optionally with its children
+     * @param {SchedulerConfigModel} schedulerConfigModel - For the possible parent queues
+     * @param {string} queuePath - Queue to copy
+     */
+    showDuplicateQueueModal(schedulerConfigModel, queuePath) {
+        if (!this.views.duplicateQueueModalView) return;
+
+        const queuePaths = schedulerConfigModel.getAllQueuePaths();
+        const parentQueues = queuePaths.map((p) => ({ path: p, name: p.slice(p.lastIndexOf('.') + 1) }));
+        const descendantCount = queuePaths.filter((p) => p.startsWith(`${queuePath}.`)).length;
+
+        this.views.duplicateQueueModalView.show({ sourcePath: queuePath, parentQueues, descendantCount });
+    }
+
+    /**
+     * Shows the modal for redistributing the capacities of the children of a queue
+     * @param {SchedulerConfigModel} schedulerConfigModel - For the staged child capacities
+     * @param {SchedulerInfoModel} schedulerInfoModel - For the live usage of the children
+     * @param {string} parentPath - Queue whose children are rebalanced
+     * @param {NotificationView} notificationView - For queues that cannot be rebalanced
+     */
+    showRebalanceCapacityModal(schedulerConfigModel, schedulerInfoModel, parentPath, notificationView) {
+        if (!this.views.rebalanceCapacityModalView) return;
+
+        const childrenResult = CapacityRebalancer.collectChildren(schedulerConfigModel, schedulerInfoModel, parentPath);
+        if (!childrenResult.isSuccess()) {
+            notificationView.showWarning(childrenResult.getError());
+            return;
+        }
+
+        this.views.rebalanceCapacityModalView.show({ parentPath, children: childrenResult.getValue() });
+    }
+
     /**
      * Hides a modal but does not destroy it (to allow reuse)
      * @param {string} modalName - Name of the modal in views
@@ -162,7 +234,8 @@ class UIStateManager {
             queuePath,
             dataModels.schedulerConfigModel,
             dataModels.schedulerInfoModel,
-            dataModels.appStateModel
+            dataModels.appStateModel,
+            this._calculateEffectiveResources(dataModels)
         );
         if (infoData) {
             this.views.infoQueueModalView.show(infoData);
@@ -171,6 +244,54 @@ class UIStateManager {
         }
     }
 
+    /**
+     * Shows the access resolver modal
+     * @param {Object} query - Initial query: { queuePath?, user?, groups?, aclKey? }
+     */
+    showAccessResolverModal(query) {
+        if (this.views.accessResolverModalView) {
+            this.views.accessResolverModalView.show(query);
+        }
+    }
+
+    /**
+     * Shows the configuration export modal
+     */
+    showExportConfigModal() {
+        if (this.views.exportConfigModalView) {
+            this.views.exportConfigModalView.show();
+        }
+    }
+
+    /**
+     * Shows the properties that were changed both on the server and in the staged changes
+     * @param {{conflicts: Array<Object>, serverProperties: Array<Object>}} concurrentChanges
+     */
+    showConcurrentChangesModal(concurrentChanges) {
+        if (this.views.concurrentChangesModalView) {
+            this.views.concurrentChangesModalView.show(concurrentChanges);
+        }
+    }
+
+    /**
+     * Shows the progress of a phased apply, or updates it if already shown
+     * @param {Array<Object>} steps - From ConfigurationOrchestrator.applyInPhases()
+     */
+    showPhasedApplyModal(steps) {
+        if (this.views.phasedApplyModalView) {
+            this.views.phasedApplyModalView.show(steps);
+        }
+    }
+
+    /**
+     * Shows the confirmation for resetting the mutable configuration store
+     * @param {string} clusterName - Name that has to be typed to confirm
+     */
+    showResetConfigStoreModal(clusterName) {
+        if (this.views.resetConfigStoreModalView) {
+            this.views.resetConfigStoreModalView.show({ clusterName });
+        }
+    }
     /**
      * Shows the template configuration modal for auto-creation queues
      * @param {string} queuePath - Queue to show template config for
@@ -311,7 +432,8 @@ class UIStateManager {
             let validationErrors = [];
             if (schedulerConfigModel && this.views.queueTreeView) {
                 const summary = changeLog.getSummary();
-                const totalChanges = summary.added + summary.modified + summary.deleted + summary.global;
+                const totalChanges =
+                    summary.added + summary.modified + summary.deleted + summary.moved + summary.global;
 
                 if (totalChanges > 0) {
                     // Find the ViewDataFormatterService and AppStateModel from the controller
@@ -367,6 +489,18 @@ class UIStateManager {
                 // Global config will be rendered separately
                 break;
             }
+            case 'placement-rules-content': {
+                // Placement rules will be rendered separately
+                break;
+            }
+            case 'node-labels-content': {
+                // Node labels will be rendered separately
+                break;
+            }
+            case 'history-content': {
+                // History will be rendered separately
+                break;
+            }
             default: {
                 console.log(`Switched to tab: ${tabId} (Content View TBD)`);
                 break;
@@ -389,7 +523,7 @@ class UIStateManager {
         if (dataModels.schedulerConfigModel && viewDataFormatterService && dataModels.appStateModel) {
             const changeLog = dataModels.schedulerConfigModel.getChangeLog();
             const summary = changeLog.getSummary();
-            const totalChanges = summary.added + summary.modified + summary.deleted + summary.global;
+            const totalChanges = summary.added + summary.modified + summary.deleted + summary.moved + summary.global;
 
             if (totalChanges > 0) {
                 validationErrors = dataModels.schedulerConfigModel.performStatefulValidation(
@@ -406,8 +540,15 @@ class UIStateManager {
             false, // forValidationOnly
             validationErrors
         );
+        viewDataFormatterService.applyEffectiveResources(
+            formattedHierarchy,
+            this._calculateEffectiveResources(dataModels)
+        );
 
         if (this.views.queueTreeView) {
+            this.views.queueTreeView.setAccessSearchResult(
+                this._getAccessSearchResult(dataModels.schedulerConfigModel, dataModels.appStateModel)
+            );
             this.views.queueTreeView.render(formattedHierarchy, true);
 
             // Re-add bulk selection checkboxes if bulk operations is visible
@@ -420,6 +561,50 @@ class UIStateManager {
         }
     }
 
+    /**
+     * Computes the resources of each queue from the staged configuration and the nodes of the
+     * selected partition
+     * @private
+     */
+    _calculateEffectiveResources(dataModels) {
+        if (!dataModels.nodesInfoModel) return new Map();
+        const partition = dataModels.appStateModel.getSelectedPartition() || DEFAULT_PARTITION;
+        return EffectiveResourceService.calculate(
+            dataModels.schedulerConfigModel,
+            dataModels.nodesInfoModel.getPartitionResources(partition),
+            partition
+        );
+    }
+
+    /**
+     * Resolves the queues matched by a user or group access search
+     * @private
+     * @returns {Set<string> | null} Leaf queues the user or groups can submit to, or null when searching by name
+     */
+    _getAccessSearchResult(schedulerConfigModel, appStateModel) {
+        const searchMode = appStateModel.getCurrentSearchMode();
+        const searchTerm = appStateModel.getCurrentSearchTerm();
+        if (searchMode === SEARCH_MODES.NAME || !searchTerm) {
+            return null;
+        }
+
+        const principal =
+            searchMode === SEARCH_MODES.USER
+                ? { user: searchTerm }
+                : {
+                      groups: searchTerm
+                          .split(',')
+                          .map((group) => group.trim())
+                          .filter(Boolean),
+                  };
+        const queues = QueueAclService.findAccessibleQueues(
+            principal,
+            QueueAclService.SUBMIT_APPLICATIONS,
+            schedulerConfigModel
+        );
+        return new Set(queues.filter((queue) => queue.isLeaf).map((queue) => queue.path));
+    }
+
     /**
      * Renders global config view
      * @private
@@ -427,13 +612,42 @@ class UIStateManager {
     _renderGlobalConfigView(schedulerConfigModel) {
         if (this.views.globalConfigView && schedulerConfigModel) {
             const configData = schedulerConfigModel.getGlobalConfig();
-            const pendingChanges = schedulerConfigModel._queueConfigManager
-                ? schedulerConfigModel._queueConfigManager.pendingGlobalChanges
-                : new Map();
+            const pendingChanges = schedulerConfigModel.getPendingGlobalChanges();
             this.views.globalConfigView.render(configData, pendingChanges);
         }
     }
 
+    /**
+     * Renders placement rules view
+     * @private
+     */
+    _renderPlacementRulesView(schedulerConfigModel) {
+        if (this.views.placementRulesView && schedulerConfigModel) {
+            const configData = schedulerConfigModel.getGlobalConfig();
+            const pendingChanges = schedulerConfigModel.getPendingGlobalChanges();
+            this.views.placementRulesView.render(configData, pendingChanges);
+        }
+        if (this.views.placementRuleSimulatorView && schedulerConfigModel) {
+            const ruleSet = PlacementRuleParser.fromGlobalConfig(schedulerConfigModel.getGlobalConfig());
+            const queueIndex = PlacementRuleSimulator.buildQueueIndex(schedulerConfigModel);
+            this.views.placementRuleSimulatorView.render(PlacementRuleSimulator.checkRules(ruleSet, queueIndex));
+        }
+    }
+
+    /**
+     * Renders node labels view
+     * @private
+     */
+    _renderNodeLabelsView(dataModels) {
+        if (this.views.nodeLabelsView && dataModels.schedulerConfigModel.getSchedulerTrieRoot()) {
+            const labelOverview = NodeLabelService.getLabelOverview(dataModels);
+            const labels = labelOverview.filter((entry) => entry.name !== DEFAULT_PARTITION).map((entry) => entry.name);
+            const matrix = NodeLabelService.getQueueLabelMatrix(dataModels.schedulerConfigModel, labels);
+            const nodeAssignments = NodeLabelService.getNodeAssignments(dataModels.nodesInfoModel);
+            this.views.nodeLabelsView.render(labelOverview, matrix, nodeAssignments);
+        }
+    }
+
     /**
      * Renders batch controls
      * @private
@@ -448,9 +662,10 @@ class UIStateManager {
                 added: summary.added,
                 modified: summary.modified + summary.global,
                 deleted: summary.deleted,
+                moved: summary.moved,
             };
 
-            const totalChanges = counts.added + counts.modified + counts.deleted;
+            const totalChanges = counts.added + counts.modified + counts.deleted + counts.moved;
             let validationErrors = [];
             if (totalChanges > 0 && viewDataFormatterService && appStateModel) {
                 validationErrors = schedulerConfigModel.performStatefulValidation(
@@ -458,7 +673,10 @@ class UIStateManager {
                     appStateModel
                 );
             }
-            this.views.batchControlsView.render(counts, validationErrors);
+            this.views.batchControlsView.render(counts, validationErrors, {
+                canUndo: changeLog.canUndo(),
+                canRedo: changeLog.canRedo(),
+            });
         }
     }
 
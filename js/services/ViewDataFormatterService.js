@@ -67,6 +67,57 @@ class ViewDataFormatterService {
         );
     }
 
+    /**
+     * Updates the live metrics and labels of an already formatted hierarchy from newer Scheduler
+     * Info API data, leaving the configured values as they are.
+     * @param {Object} formattedHierarchyRoot - From formatQueueHierarchyForView()
+     * @param {SchedulerInfoModel} schedulerInfoModel - Model with the newer data
+     * @param {string} selectedPartition - Partition the hierarchy was formatted for
+     */
+    refreshLiveData(formattedHierarchyRoot, schedulerInfoModel, selectedPartition) {
+        const refreshRecursive = (formattedNode) => {
+            this._applyLiveQueueData(formattedNode, schedulerInfoModel, selectedPartition);
+            formattedNode.uiLabels = this._generateUILabels(
+                formattedNode,
+                formattedNode.effectiveProperties,
+                formattedNode.path
+            );
+            for (const child of Object.values(formattedNode.children || {})) {
+                refreshRecursive(child);
+            }
+        };
+        if (formattedHierarchyRoot) refreshRecursive(formattedHierarchyRoot);
+    }
+
+    /**
+     * Adds the guaranteed and maximum resources from EffectiveResourceService to an already
+     * formatted hierarchy, as display strings.
+     * @param {Object} formattedHierarchyRoot - From formatQueueHierarchyForView()
+     * @param {Map<string, Object>} effectiveResources - From EffectiveResourceService.calculate()
+     */
+    applyEffectiveResources(formattedHierarchyRoot, effectiveResources) {
+        const applyRecursive = (formattedNode) => {
+            formattedNode.effectiveResourcesDisplay = this._formatEffectiveResources(
+                effectiveResources.get(formattedNode.path)
+            );
+            for (const child of Object.values(formattedNode.children || {})) {
+                applyRecursive(child);
+            }
+        };
+        if (formattedHierarchyRoot) applyRecursive(formattedHierarchyRoot);
+    }
+
+    /**
+     * @private
+     */
+    _formatEffectiveResources(resources) {
+        if (!resources) return null;
+        return {
+            guaranteed: EffectiveResourceService.formatResources(resources.guaranteed),
+            maximum: EffectiveResourceService.formatResources(resources.maximum),
+        };
+    }
+
     _formatQueueNodeRecursive(
         queueNode,
         parentPath,
@@ -218,6 +269,8 @@ class ViewDataFormatterService {
     ) {
         const isNew = changeOperationType === OPERATION_TYPES.ADD;
         const isPendingUpdate = changeOperationType === OPERATION_TYPES.UPDATE;
+        // Only the top queue of a staged move is labelled, its children move with it
+        const movedFrom = queueNode && queueNode.move && queueNode.move.to === queuePath ? queueNode.move.from : null;
 
         const formattedNode = {
             path: queuePath,
@@ -228,6 +281,7 @@ class ViewDataFormatterService {
             level: queuePath.split('.').length - 1,
             isRoot: queuePath === 'root',
             isNew: isNew,
+            movedFrom: movedFrom,
             isDeleted: false,
             hasPendingChanges: isNew || isPendingUpdate,
             statusClass: '',
@@ -305,28 +359,7 @@ class ViewDataFormatterService {
 
         // --- Integrate Live Data ---
         if (schedulerInfoModel) {
-            const liveQueueInfo = schedulerInfoModel.getQueueRuntimeInfo(queuePath, selectedPartition);
-            if (liveQueueInfo) {
-                formattedNode.numApplications =
-                    liveQueueInfo.numApplications === undefined
-                        ? liveQueueInfo.numActiveApplications === undefined
-                            ? 0
-                            : liveQueueInfo.numActiveApplications + (liveQueueInfo.numPendingApplications || 0)
-                        : liveQueueInfo.numApplications;
-                formattedNode.absoluteCapacity = liveQueueInfo.absoluteCapacity; // Use the raw value for sankey width
-                formattedNode.absoluteCapacityDisplay =
-                    liveQueueInfo.absoluteCapacity === undefined
-                        ? 'N/A'
-                        : `${Number.parseFloat(liveQueueInfo.absoluteCapacity).toFixed(1)}%`;
-                formattedNode.absoluteUsedCapacityDisplay =
-                    liveQueueInfo.absoluteUsedCapacity === undefined
-                        ? 'N/A'
-                        : `${Number.parseFloat(liveQueueInfo.absoluteUsedCapacity).toFixed(1)}%`;
-                formattedNode.liveState = liveQueueInfo.state;
-            } else {
-                formattedNode.numApplications = 0;
-                formattedNode.absoluteUsedCapacityDisplay = 'N/A';
-            }
+            this._applyLiveQueueData(formattedNode, schedulerInfoModel, selectedPartition);
         }
 
         // --- Generate UI Labels and Deletion Info ---
@@ -347,6 +380,36 @@ class ViewDataFormatterService {
         return formattedNode;
     }
 
+    /**
+     * Copies a queue's live metrics from the Scheduler Info API data onto its formatted node.
+     * @private
+     */
+    _applyLiveQueueData(formattedNode, schedulerInfoModel, selectedPartition) {
+        const liveQueueInfo = schedulerInfoModel.getQueueRuntimeInfo(formattedNode.path, selectedPartition);
+        if (liveQueueInfo) {
+            formattedNode.numApplications =
+                liveQueueInfo.numApplications === undefined
+                    ? liveQueueInfo.numActiveApplications === undefined
+                        ? 0
+                        : liveQueueInfo.numActiveApplications + (liveQueueInfo.numPendingApplications || 0)
+                    : liveQueueInfo.numApplications;
+            formattedNode.absoluteCapacity = liveQueueInfo.absoluteCapacity; // Use the raw value for sankey width
+            formattedNode.absoluteCapacityDisplay =
+                liveQueueInfo.absoluteCapacity === undefined
+                    ? 'N/A'
+                    : `${Number.parseFloat(liveQueueInfo.absoluteCapacity).toFixed(1)}%`;
+            formattedNode.absoluteUsedCapacityDisplay =
+                liveQueueInfo.absoluteUsedCapacity === undefined
+                    ? 'N/A'
+                    : `${Number.parseFloat(liveQueueInfo.absoluteUsedCapacity).toFixed(1)}%`;
+            formattedNode.liveState = liveQueueInfo.state;
+        } else {
+            formattedNode.numApplications = 0;
+            formattedNode.absoluteUsedCapacityDisplay = 'N/A';
+            formattedNode.liveState = undefined;
+        }
+    }
+
     _populateConfiguredProperties(formattedNode, queuePath, effectiveProperties) {
         for (const category of QUEUE_CONFIG_METADATA) {
             for (const [placeholderKey, meta] of Object.entries(category.properties)) {
@@ -444,6 +507,14 @@ class ViewDataFormatterService {
             });
         }
 
+        if (formattedNode.movedFrom) {
+            labels.push({
+                text: '↪️ Moved',
+                cssClass: 'queue-tag tag-moved',
+                tooltip: `Staged to move from ${formattedNode.movedFrom}. The queue is removed there and re-added here with all of its properties and children.`,
+            });
+        }
+
         const autoCreationLabels = AutoCreationService.generateAutoCreationLabels(queuePath, effectiveProperties);
         labels.push(...autoCreationLabels);
         return labels;
@@ -539,7 +610,13 @@ class ViewDataFormatterService {
         return dataForModal;
     }
 
-    formatQueueDataForInfoModal(queuePath, schedulerConfigModel, schedulerInfoModel, appStateModel) {
+    formatQueueDataForInfoModal(
+        queuePath,
+        schedulerConfigModel,
+        schedulerInfoModel,
+        appStateModel,
+        effectiveResources = new Map()
+    ) {
         const formattedHierarchyRoot = this.formatQueueHierarchyForView(
             schedulerConfigModel,
             schedulerInfoModel,
@@ -570,11 +647,13 @@ class ViewDataFormatterService {
 
         const infoData = {
             displayName: targetNode.displayName,
+            path: targetNode.path,
             basicInfo: [],
             capacityResourceDetails: [],
             liveUsage: [],
             otherConfigured: [],
             nodeLabelInfo: [],
+            accessControl: [],
         };
 
         infoData.basicInfo.push(
@@ -616,6 +695,13 @@ class ViewDataFormatterService {
                 value: maxCapDet.map((d) => `${d.key}: ${d.value}${d.unit || ''}`).join(', '),
             });
         }
+        const resourcesDisplay = this._formatEffectiveResources(effectiveResources.get(queuePath));
+        if (resourcesDisplay) {
+            infoData.capacityResourceDetails.push(
+                { label: 'Guaranteed Resources (Staged)', value: resourcesDisplay.guaranteed },
+                { label: 'Maximum Resources (Staged)', value: resourcesDisplay.maximum }
+            );
+        }
 
         infoData.liveUsage.push(
             {
@@ -666,7 +752,13 @@ class ViewDataFormatterService {
             }
         }
 
-        const coreDisplayProperties = new Set(['capacity', 'maximum-capacity', 'state', 'accessible-node-labels']);
+        const coreDisplayProperties = new Set([
+            'capacity',
+            'maximum-capacity',
+            'state',
+            'accessible-node-labels',
+            ...QueueAclService.getAclTypes().map((meta) => meta.key),
+        ]);
         for (const [fullKey, value] of targetNode.effectiveProperties.entries()) {
             let matchedMeta = null;
             for (const category of QUEUE_CONFIG_METADATA) {
@@ -701,6 +793,13 @@ class ViewDataFormatterService {
         // Populate node label info using NodeLabelService
         NodeLabelService.populateNodeLabelInfo(infoData, targetNode);
 
+        for (const meta of QueueAclService.getAclTypes()) {
+            const acl = QueueAclService.getEffectiveAcl(targetNode.path, meta.key, schedulerConfigModel);
+            if (acl) {
+                infoData.accessControl.push({ label: meta.displayName, value: QueueAclService.describe(acl) });
+            }
+        }
+
         return infoData;
     }
 }
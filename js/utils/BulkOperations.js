@@ -133,15 +133,17 @@ class BulkOperations {
             total: this.selectedQueues.size,
         };
 
-        for (const queuePath of this.selectedQueues) {
-            try {
-                // Stage the state change
-                this.schedulerConfigModel.stageUpdateQueue(queuePath, { state: newState });
-                results.success.push(queuePath);
-            } catch (error) {
-                results.failed.push({ queuePath, error: error.message });
+        this.schedulerConfigModel.runAsSingleStep(() => {
+            for (const queuePath of this.selectedQueues) {
+                try {
+                    // Stage the state change
+                    this.schedulerConfigModel.stageUpdateQueue(queuePath, { state: newState });
+                    results.success.push(queuePath);
+                } catch (error) {
+                    results.failed.push({ queuePath, error: error.message });
+                }
             }
-        }
+        });
 
         const message = `Bulk state change: ${results.success.length} successful, ${results.failed.length} failed`;
         if (results.failed.length === 0) {
@@ -154,6 +156,65 @@ class BulkOperations {
         return { success: results.failed.length === 0, results };
     }
 
+    /**
+     * Applies a saved property preset to the selected queues. The preset capacity is only applied
+     * to queues that use the same capacity mode.
+     * @param {Object} preset - Preset from PropertyPresetService
+     * @returns {Promise<Object>} Operation result
+     */
+    async bulkApplyPreset(preset) {
+        if (this.selectedQueues.size === 0) {
+            return { success: false, message: 'No queues selected' };
+        }
+
+        if (!preset) {
+            return { success: false, message: 'No preset selected' };
+        }
+
+        const results = {
+            success: [],
+            failed: [],
+            skippedCapacity: [],
+            total: this.selectedQueues.size,
+        };
+
+        this.schedulerConfigModel.runAsSingleStep(() => {
+            for (const queuePath of this.selectedQueues) {
+                try {
+                    const properties = this.schedulerConfigModel.getQueueNodeProperties(queuePath);
+                    if (!properties) {
+                        results.failed.push({ queuePath, error: 'Queue not found' });
+                        continue;
+                    }
+
+                    const { params, skipped } = PropertyPresetService.toQueueUpdate(preset, queuePath, properties);
+                    if (Object.keys(params).length > 0) {
+                        this.schedulerConfigModel.stageUpdateQueue(queuePath, params);
+                    }
+                    if (skipped.length > 0) {
+                        results.skippedCapacity.push(queuePath);
+                    }
+                    results.success.push(queuePath);
+                } catch (error) {
+                    results.failed.push({ queuePath, error: error.message });
+                }
+            }
+        });
+
+        let message = `Bulk preset "${preset.name}": ${results.success.length} successful, ${results.failed.length} failed`;
+        if (results.skippedCapacity.length > 0) {
+            message += `. Capacity not applied to ${results.skippedCapacity.join(', ')} (different capacity mode)`;
+        }
+        if (results.failed.length === 0 && results.skippedCapacity.length === 0) {
+            this.notificationView.showSuccess(message);
+        } else {
+            this.notificationView.showWarning(message);
+        }
+
+        this._emit('operationCompleted', { operation: 'applyPreset', results });
+        return { success: results.failed.length === 0, results };
+    }
+
     /**
      * Performs bulk capacity adjustment.
      * @param {string} operation - Operation type ('multiply', 'add', 'set')
@@ -175,43 +236,45 @@ class BulkOperations {
             total: this.selectedQueues.size,
         };
 
-        for (const queuePath of this.selectedQueues) {
-            try {
-                const currentCapacity = this._getCurrentCapacity(queuePath);
-                if (currentCapacity === null) {
-                    results.failed.push({ queuePath, error: 'Could not determine current capacity' });
-                    continue;
-                }
-
-                let newCapacity;
-                switch (operation) {
-                    case 'multiply': {
-                        newCapacity = currentCapacity * value;
-                        break;
+        this.schedulerConfigModel.runAsSingleStep(() => {
+            for (const queuePath of this.selectedQueues) {
+                try {
+                    const currentCapacity = this._getCurrentCapacity(queuePath);
+                    if (currentCapacity === null) {
+                        results.failed.push({ queuePath, error: 'Could not determine current capacity' });
+                        continue;
                     }
-                    case 'add': {
-                        newCapacity = currentCapacity + value;
-                        break;
+
+                    let newCapacity;
+                    switch (operation) {
+                        case 'multiply': {
+                            newCapacity = currentCapacity * value;
+                            break;
+                        }
+                        case 'add': {
+                            newCapacity = currentCapacity + value;
+                            break;
+                        }
+                        case 'set': {
+                            newCapacity = value;
+                            break;
+                        }
                     }
-                    case 'set': {
-                        newCapacity = value;
-                        break;
+
+                    // Validate new capacity
+                    if (newCapacity < 0 || newCapacity > 100) {
+                        results.failed.push({ queuePath, error: 'New capacity out of valid range (0-100)' });
+                        continue;
                     }
-                }
 
-                // Validate new capacity
-                if (newCapacity < 0 || newCapacity > 100) {
-                    results.failed.push({ queuePath, error: 'New capacity out of valid range (0-100)' });
-                    continue;
+                    // Stage the capacity change
+                    this.schedulerConfigModel.stageUpdateQueue(queuePath, { capacity: newCapacity.toFixed(1) });
+                    results.success.push(queuePath);
+                } catch (error) {
+                    results.failed.push({ queuePath, error: error.message });
                 }
-
-                // Stage the capacity change
-                this.schedulerConfigModel.stageUpdateQueue(queuePath, { capacity: newCapacity.toFixed(1) });
-                results.success.push(queuePath);
-            } catch (error) {
-                results.failed.push({ queuePath, error: error.message });
             }
-        }
+        });
 
         const message = `Bulk capacity adjustment: ${results.success.length} successful, ${results.failed.length} failed`;
         if (results.failed.length === 0) {
@@ -247,27 +310,32 @@ class BulkOperations {
             total: sortedQueues.length,
         };
 
-        for (const queuePath of sortedQueues) {
-            try {
-                // Check if queue can be deleted
-                if (queuePath === 'root') {
-                    results.failed.push({ queuePath, error: 'Cannot delete root queue' });
-                    continue;
-                }
+        this.schedulerConfigModel.runAsSingleStep(() => {
+            for (const queuePath of sortedQueues) {
+                try {
+                    // Check if queue can be deleted
+                    if (queuePath === 'root') {
+                        results.failed.push({ queuePath, error: 'Cannot delete root queue' });
+                        continue;
+                    }
 
-                // Check for child queues if not including children
-                if (!includeChildren && this._hasChildQueues(queuePath)) {
-                    results.failed.push({ queuePath, error: 'Queue has child queues. Use "Include Children" option.' });
-                    continue;
-                }
+                    // Check for child queues if not including children
+                    if (!includeChildren && this._hasChildQueues(queuePath)) {
+                        results.failed.push({
+                            queuePath,
+                            error: 'Queue has child queues. Use "Include Children" option.',
+                        });
+                        continue;
+                    }
 
-                // Stage the deletion
-                this.schedulerConfigModel.stageRemoveQueue(queuePath);
-                results.success.push(queuePath);
-            } catch (error) {
-                results.failed.push({ queuePath, error: error.message });
+                    // Stage the deletion
+                    this.schedulerConfigModel.stageRemoveQueue(queuePath);
+                    results.success.push(queuePath);
+                } catch (error) {
+                    results.failed.push({ queuePath, error: error.message });
+                }
             }
-        }
+        });
 
         const message = `Bulk deletion: ${results.success.length} successful, ${results.failed.length} failed`;
         if (results.failed.length === 0) {
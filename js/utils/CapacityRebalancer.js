@@ -0,0 +1,151 @@
+/**
+ * Redistributes the percentage capacities of sibling queues so they add up to exactly 100%.
+ * Locked children keep their value; the rest of the 100% is split over the other children
+ * proportionally to their current capacity, evenly, or by live usage.
+ */
+const CapacityRebalancer = {
+    STRATEGIES: {
+        PROPORTIONAL: 'proportional',
+        EVEN: 'even',
+        USAGE: 'usage',
+    },
+
+    // Decimal places used for the redistributed values, unless a locked value has more
+    DEFAULT_DECIMALS: 1,
+    MAX_DECIMALS: 4,
+
+    /**
+     * Collects the children of a parent queue with their effective (staged) capacity and live usage.
+     * @param {SchedulerConfigModel} schedulerConfigModel - Model providing the staged queue hierarchy
+     * @param {SchedulerInfoModel} schedulerInfoModel - Model providing live usage, if loaded
+     * @param {string} parentPath - Parent queue whose children are rebalanced
+     * @returns {Result<Array<{path: string, name: string, capacity: number, usage: number|null}>>} The
+     *          children, or an error if they do not all use percentage capacities
+     */
+    collectChildren(schedulerConfigModel, schedulerInfoModel, parentPath) {
+        const parentNode = schedulerConfigModel.getTrieInstance().getQueueNode(parentPath);
+        if (!parentNode || parentNode.isDeleted()) {
+            return Result.failure(`Queue "${parentPath}" not found.`);
+        }
+
+        const children = [];
+        for (const childNode of parentNode.children.values()) {
+            if (!childNode.isQueue || childNode.isDeleted()) continue;
+
+            const path = childNode.fullPath;
+            const properties = childNode.getEffectiveProperties();
+            const mode = CapacityValueParser.determineMode(path, properties);
+            if (mode !== CAPACITY_MODES.PERCENTAGE) {
+                return Result.failure(
+                    `"${path}" uses ${mode} capacity. Only percentage capacities have to add up to 100%, so the children of "${parentPath}" cannot be rebalanced.`
+                );
+            }
+
+            const parsed = CapacityValueParser.parse(properties.get(PropertyKeyMapper.createFullKey(path, 'capacity')));
+            const runtimeInfo =
+                childNode.isNew() || !schedulerInfoModel ? null : schedulerInfoModel.getQueueRuntimeInfo(path);
+            const usage = runtimeInfo ? Number.parseFloat(runtimeInfo.absoluteUsedCapacity) : Number.NaN;
+            children.push({
+                path,
+                name: childNode.segment,
+                capacity: parsed.isValid ? Number(parsed.value) : 0,
+                usage: Number.isFinite(usage) ? usage : null,
+            });
+        }
+
+        if (children.length === 0) {
+            return Result.failure(`Queue "${parentPath}" has no child queues to rebalance.`);
+        }
+        return Result.success(children);
+    },
+
+    /**
+     * Computes new capacities for the unlocked children. Rounding is done with the largest remainder
+     * method, so the values add up to exactly 100.
+     * @param {Array<{path: string, capacity: number, value: number, locked: boolean, usage: number|null}>} children -
+     *        capacity is the value before rebalancing, value the current value, which is kept if locked
+     * @param {string} strategy - One of STRATEGIES
+     * @returns {Result<{values: Object<string, number>, note: string|null}>} New value per queue path, and a note
+     *          if the strategy could not be used as is
+     */
+    rebalance(children, strategy) {
+        const locked = children.filter((child) => child.locked);
+        const unlocked = children.filter((child) => !child.locked);
+
+        const decimals = Math.min(
+            this.MAX_DECIMALS,
+            Math.max(this.DEFAULT_DECIMALS, ...locked.map((child) => this._countDecimals(child.value)))
+        );
+        const scale = 10 ** decimals;
+        const lockedUnits = locked.reduce((sum, child) => sum + Math.round(child.value * scale), 0);
+        const freeUnits = 100 * scale - lockedUnits;
+
+        if (freeUnits < 0) {
+            return Result.failure(`The locked queues add up to ${lockedUnits / scale}%, more than 100%.`);
+        }
+        if (unlocked.length === 0 && freeUnits !== 0) {
+            return Result.failure(
+                `All queues are locked and add up to ${lockedUnits / scale}%. Unlock a queue to rebalance.`
+            );
+        }
+
+        const { weights, note } = this._getWeights(unlocked, strategy);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const shares = weights.map((weight) => (freeUnits * weight) / totalWeight);
+        const units = shares.map((share) => Math.floor(share));
+
+        // Hand out the units lost to rounding down, largest remainders first
+        let remainingUnits = freeUnits - units.reduce((sum, unit) => sum + unit, 0);
+        const byRemainder = shares
+            .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+            .sort((a, b) => b.remainder - a.remainder);
+        for (const { index } of byRemainder) {
+            if (remainingUnits === 0) break;
+            units[index]++;
+            remainingUnits--;
+        }
+
+        const values = {};
+        for (const child of locked) {
+            values[child.path] = Math.round(child.value * scale) / scale;
+        }
+        for (const [index, child] of unlocked.entries()) {
+            values[child.path] = units[index] / scale;
+        }
+        return Result.success({ values, note });
+    },
+
+    /**
+     * @private
+     */
+    _getWeights(unlocked, strategy) {
+        const even = unlocked.map(() => 1);
+        let weights;
+        switch (strategy) {
+            case this.STRATEGIES.EVEN: {
+                return { weights: even, note: null };
+            }
+            case this.STRATEGIES.USAGE: {
+                weights = unlocked.map((child) => Math.max(0, child.usage || 0));
+                break;
+            }
+            default: {
+                weights = unlocked.map((child) => Math.max(0, child.capacity || 0));
+            }
+        }
+
+        if (unlocked.length > 0 && weights.every((weight) => weight === 0)) {
+            const basis = strategy === this.STRATEGIES.USAGE ? 'live usage' : 'capacity';
+            return { weights: even, note: `The unlocked queues have no ${basis}, so they are split evenly.` };
+        }
+        return { weights, note: null };
+    },
+
+    /**
+     * @private
+     */
+    _countDecimals(value) {
+        const [, fraction = ''] = String(value).split('.');
+        return fraction.length;
+    },
+};
@@ -10,25 +10,58 @@ class ChangePreview {
             showSummary: true,
             collapsible: true,
             maxChanges: 20,
+            selectable: false, // Checkboxes to choose which changes to apply
+            onSelectionChange: null, // Called with getSelection() when a checkbox changes
             ...options,
         };
 
         this.changes = [];
         this.validationErrors = [];
+        this.dependencyWarnings = [];
+        this.serverValidation = null;
+        this.deselectedKeys = new Set();
         this.rendered = false;
+
+        if (this.options.selectable && this.container) {
+            this._bindSelectionEvents();
+        }
     }
 
     /**
-     * Sets the changes to preview.
+     * Sets the changes to preview. All of them start out selected.
      * @param {Array} changes - Array of change objects
      */
     setChanges(changes) {
         this.changes = changes || [];
+        this.deselectedKeys.clear();
+        this.dependencyWarnings = [];
         if (this.rendered) {
             this.render();
         }
     }
 
+    /**
+     * Returns the selected changes.
+     * @returns {Set<string>|null} Selection keys of the selected changes, or null if all are selected
+     */
+    getSelection() {
+        if (this.deselectedKeys.size === 0) return null;
+        return new Set(
+            this.changes.map((change) => change.selectionKey).filter((key) => !this.deselectedKeys.has(key))
+        );
+    }
+
+    /**
+     * Sets the warnings about selected changes that depend on unselected ones.
+     * @param {Array<string>} dependencyWarnings
+     */
+    setDependencyWarnings(dependencyWarnings) {
+        this.dependencyWarnings = dependencyWarnings || [];
+        if (this.rendered) {
+            this._renderFeedback();
+        }
+    }
+
     /**
      * Sets the validation errors to display.
      * @param {Array} validationErrors - Array of validation error objects
@@ -36,7 +69,18 @@ class ChangePreview {
     setValidationErrors(validationErrors) {
         this.validationErrors = validationErrors || [];
         if (this.rendered) {
-            this.render();
+            this._renderFeedback();
+        }
+    }
+
+    /**
+     * Sets the result of the server-side dry run, shown together with the validation errors.
+     * @param {{valid: boolean, message?: string, exception?: string}|null} serverValidation - Null hides it
+     */
+    setServerValidation(serverValidation) {
+        this.serverValidation = serverValidation;
+        if (this.rendered) {
+            this._renderFeedback();
         }
     }
 
@@ -89,9 +133,7 @@ class ChangePreview {
         let html = '<div class="change-preview">';
 
         // Show validation errors first if any exist
-        if (this.validationErrors.length > 0) {
-            html += this._generateValidationErrorsSection();
-        }
+        html += `<div class="change-preview-feedback">${this._generateFeedback()}</div>`;
 
         if (this.changes.length > 0) {
             if (this.options.showSummary) {
@@ -111,6 +153,42 @@ class ChangePreview {
         }
     }
 
+    /**
+     * Re-renders only the warnings and validation results, so the expanded sections and the
+     * checkboxes of the diff keep their state.
+     * @private
+     */
+    _renderFeedback() {
+        const feedbackEl = this.container && this.container.querySelector('.change-preview-feedback');
+        if (feedbackEl) {
+            feedbackEl.innerHTML = this._generateFeedback();
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Generates the dependency warnings, validation errors and server validation result.
+     * @returns {string} Feedback HTML
+     * @private
+     */
+    _generateFeedback() {
+        let html = '';
+        if (this.dependencyWarnings.length > 0) {
+            html += '<div class="dependency-warnings-section"><h4>Selection Depends on Unselected Changes</h4><ul>';
+            html += this.dependencyWarnings.map((warning) => `<li>${DomUtils.escapeXml(warning)}</li>`).join('');
+            html += '</ul></div>';
+        }
+
+        if (this.validationErrors.length > 0 || this._hasServerValidationError()) {
+            html += this._generateValidationErrorsSection();
+        } else if (this.serverValidation) {
+            html +=
+                '<div class="server-validation-passed">✓ The ResourceManager accepted these changes in a dry run.</div>';
+        }
+        return html;
+    }
+
     /**
      * Generates summary section of changes.
      * @returns {string} Summary HTML
@@ -131,6 +209,9 @@ class ChangePreview {
         if (summary.deletions > 0) {
             html += `<span class="stat deletion">-${summary.deletions} deleted</span>`;
         }
+        if (summary.moves > 0) {
+            html += `<span class="stat move">${summary.moves} moved</span>`;
+        }
 
         html += '</div>';
 
@@ -154,7 +235,7 @@ class ChangePreview {
      * @private
      */
     _generateValidationErrorsSection() {
-        if (this.validationErrors.length === 0) return '';
+        if (this.validationErrors.length === 0 && !this._hasServerValidationError()) return '';
 
         let html = '<div class="validation-errors-section">';
         html += '<h4>⚠️ Validation Errors</h4>';
@@ -179,10 +260,26 @@ class ChangePreview {
             html += '</div>';
         }
 
+        if (this._hasServerValidationError()) {
+            const { message, exception } = this.serverValidation;
+            html += '<div class="validation-error-item server-validation-error">';
+            html += `<div class="error-header">Server Validation${exception ? ` (${DomUtils.escapeXml(exception)})` : ''}</div>`;
+            html += `<div class="error-message">${DomUtils.escapeXml(message || 'The ResourceManager rejected the changes.')}</div>`;
+            html += '</div>';
+        }
+
         html += '</div>';
         return html;
     }
 
+    /**
+     * @returns {boolean} Whether the server-side dry run rejected the changes
+     * @private
+     */
+    _hasServerValidationError() {
+        return Boolean(this.serverValidation && !this.serverValidation.valid);
+    }
+
     /**
      * Generates detailed diff section.
      * @returns {string} Diff HTML
@@ -197,6 +294,10 @@ class ChangePreview {
             html += '<h4>Detailed Changes</h4>';
         }
 
+        if (this.options.selectable) {
+            html += this._generateSelectionBar();
+        }
+
         const groupedChanges = this._groupChangesByQueueAndGlobal();
         let totalShown = 0;
         let totalRemaining = 0;
@@ -293,6 +394,10 @@ class ChangePreview {
         const { operation, queuePath, property, oldValue, newValue, fullKey } = change;
 
         let html = `<div class="change-item ${operation}">`;
+        if (this.options.selectable) {
+            const isSelected = !this.deselectedKeys.has(change.selectionKey);
+            html += `<input type="checkbox" class="change-select" data-selection-key="${DomUtils.escapeXml(change.selectionKey)}" ${isSelected ? 'checked' : ''} aria-label="Apply this change">`;
+        }
         html += '<div class="change-icon">' + this._getOperationIcon(operation) + '</div>';
         html += '<div class="change-details">';
 
@@ -317,6 +422,11 @@ class ChangePreview {
             html += `<div class="change-property">`;
             html += `<span class="operation-description">Delete Queue: <strong>${DomUtils.escapeXml(queuePath)}</strong></span>`;
             html += '</div>';
+        } else if (operation === OPERATION_TYPES.MOVE) {
+            // Moves carry the old and new queue path as their values
+            html += `<div class="change-property">`;
+            html += `<span class="operation-description">Move Queue: <strong>${DomUtils.escapeXml(oldValue)}</strong> → <strong>${DomUtils.escapeXml(newValue)}</strong></span>`;
+            html += '</div>';
         }
 
         // Value changes
@@ -338,6 +448,73 @@ class ChangePreview {
         return html;
     }
 
+    /**
+     * Generates the bar with the selection count and select all/none buttons.
+     * @returns {string} Selection bar HTML
+     * @private
+     */
+    _generateSelectionBar() {
+        return `<div class="change-selection-bar">
+                    <span class="change-selection-count">${this._describeSelection()}</span>
+                    <button type="button" class="btn btn-sm btn-secondary" data-select="all">Select All</button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-select="none">Select None</button>
+                </div>`;
+    }
+
+    /**
+     * @returns {string} e.g. "3 of 5 changes selected"
+     * @private
+     */
+    _describeSelection() {
+        const keys = new Set(this.changes.map((change) => change.selectionKey));
+        const selectedCount = [...keys].filter((key) => !this.deselectedKeys.has(key)).length;
+        return `${selectedCount} of ${keys.size} change${keys.size === 1 ? '' : 's'} selected`;
+    }
+
+    /**
+     * Handles the selection checkboxes and buttons. Bound once on the container, which keeps
+     * its listeners across renders.
+     * @private
+     */
+    _bindSelectionEvents() {
+        this.container.addEventListener('change', (event) => {
+            if (!event.target.classList.contains('change-select')) return;
+            const key = event.target.dataset.selectionKey;
+            if (event.target.checked) {
+                this.deselectedKeys.delete(key);
+            } else {
+                this.deselectedKeys.add(key);
+            }
+            this._updateSelectionControls();
+        });
+
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-select]');
+            if (!button) return;
+            this.deselectedKeys = new Set(
+                button.dataset.select === 'none' ? this.changes.map((change) => change.selectionKey) : []
+            );
+            this._updateSelectionControls();
+        });
+    }
+
+    /**
+     * Syncs the checkboxes (an added or removed queue has one per property) and the count with
+     * the selection, then reports it.
+     * @private
+     */
+    _updateSelectionControls() {
+        for (const checkbox of this.container.querySelectorAll('.change-select')) {
+            checkbox.checked = !this.deselectedKeys.has(checkbox.dataset.selectionKey);
+        }
+        const countEl = this.container.querySelector('.change-selection-count');
+        if (countEl) countEl.textContent = this._describeSelection();
+
+        if (this.options.onSelectionChange) {
+            this.options.onSelectionChange(this.getSelection());
+        }
+    }
+
     /**
      * Calculates summary statistics for changes.
      * @returns {Object} Summary statistics
@@ -347,6 +524,7 @@ class ChangePreview {
             additions: 0,
             modifications: 0,
             deletions: 0,
+            moves: 0,
             queueChanges: new Set(),
         };
 
@@ -364,11 +542,18 @@ class ChangePreview {
                     summary.deletions++;
                     break;
                 }
+                case OPERATION_TYPES.MOVE: {
+                    summary.moves++;
+                    break;
+                }
             }
 
             if (change.queuePath) {
                 summary.queueChanges.add(change.queuePath);
             }
+            if (change.operation === OPERATION_TYPES.MOVE) {
+                summary.queueChanges.add(change.newValue);
+            }
         }
 
         return summary;
@@ -588,6 +773,7 @@ class ChangePreview {
             [OPERATION_TYPES.ADD]: [],
             [OPERATION_TYPES.UPDATE]: [],
             [OPERATION_TYPES.DELETE]: [],
+            [OPERATION_TYPES.MOVE]: [],
         };
 
         for (const change of changes) {
@@ -611,11 +797,12 @@ class ChangePreview {
         let totalShown = 0;
         let totalRemaining = 0;
 
-        // Order: additions, changes, removals
+        // Order: additions, changes, removals, moves
         const operationOrder = [
             { type: OPERATION_TYPES.ADD, title: 'Additions', icon: '➕' },
             { type: OPERATION_TYPES.UPDATE, title: 'Changes', icon: '📝' },
             { type: OPERATION_TYPES.DELETE, title: 'Removals', icon: '🗑️' },
+            { type: OPERATION_TYPES.MOVE, title: 'Moves', icon: '↪️' },
         ];
 
         for (const { type, title, icon } of operationOrder) {
@@ -669,6 +856,9 @@ class ChangePreview {
             case OPERATION_TYPES.DELETE: {
                 return 'Deletions';
             }
+            case OPERATION_TYPES.MOVE: {
+                return 'Moves';
+            }
             default: {
                 return 'Other Changes';
             }
@@ -691,6 +881,9 @@ class ChangePreview {
             case OPERATION_TYPES.DELETE: {
                 return '-';
             }
+            case OPERATION_TYPES.MOVE: {
+                return '→';
+            }
             default: {
                 return '•';
             }
@@ -747,6 +940,20 @@ class ChangePreview {
         }
     }
 
+    /**
+     * Returns the key that identifies a change for partial apply. A queue is added, removed or
+     * moved as a whole; property updates and global changes can be chosen one by one.
+     * @param {{queuePath: string|null, operation: string, propertyKey: string|null}} change - Change
+     *        in ChangeLog format, with the operation as staged
+     * @returns {string} Selection key
+     */
+    static getSelectionKey({ queuePath, operation, propertyKey }) {
+        if (operation === OPERATION_TYPES.MOVE) {
+            return `move:${queuePath}`;
+        }
+        return queuePath && operation !== OPERATION_TYPES.UPDATE ? `queue:${queuePath}` : `property:${propertyKey}`;
+    }
+
     /**
      * Converts ChangeLog to preview format.
      * @param {ChangeLog} changeLog - ChangeLog instance
@@ -779,6 +986,7 @@ class ChangePreview {
                 oldValue: change.oldValue,
                 newValue: change.newValue,
                 timestamp: change.timestamp,
+                selectionKey: ChangePreview.getSelectionKey(change),
             });
         }
 
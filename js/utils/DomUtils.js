@@ -106,10 +106,25 @@ const DomUtils = {
         }
         const stringValue = String(string_); // Ensure it's a string
         return stringValue
-            .replaceAll('&', '&')
-            .replaceAll('<', '<')
-            .replaceAll('>', '>')
-            .replaceAll('"', '"')
-            .replaceAll("'", "'");
+            .replaceAll('&', '&amp;')
+            .replaceAll('<', '&lt;')
+            .replaceAll('>', '&gt;')
+            .replaceAll('"', '&quot;')
+            .replaceAll("'", '&#39;');
+    },
+
+    /**
+     * Saves text content as a file through a temporary download link.
+     * @param {string} content - The file content.
+     * @param {string} fileName - The suggested file name.
+     * @param {string} [mimeType='text/plain'] - The MIME type of the content.
+     */
+    downloadFile(content, fileName, mimeType = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const anchor = this.createElement('a', null, { href: url, download: fileName });
+        document.body.append(anchor); // Required for Firefox
+        anchor.click();
+        anchor.remove();
+        URL.revokeObjectURL(url);
     },
 };
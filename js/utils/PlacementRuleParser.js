@@ -0,0 +1,215 @@
+/**
+ * Parses and serializes YARN queue placement rules.
+ * Supports the legacy queue-mappings format (u:/g: entries plus app-name mappings)
+ * and the JSON mapping-rule format. Both are normalized to the JSON rule shape:
+ * { type, matches, policy, customPlacement?, parentQueue?, value?, create?, fallbackResult? }
+ */
+const PlacementRuleParser = {
+    /**
+     * Reads the placement rules from the effective global configuration.
+     * @param {Map<string, string>} globalConfig - Effective global properties (full key -> value)
+     * @returns {{format: string, overrideEnabled: boolean, rules: Array<Object>, errors: Array<string>}}
+     */
+    fromGlobalConfig(globalConfig) {
+        const config = globalConfig || new Map();
+        const configuredFormat = String(config.get(PLACEMENT_RULE_PROPERTIES.FORMAT) || '')
+            .trim()
+            .toLowerCase();
+        const format = configuredFormat === 'json' ? 'json' : PLACEMENT_RULES_METADATA.defaultFormat;
+        const overrideEnabled = String(config.get(PLACEMENT_RULE_PROPERTIES.OVERRIDE_ENABLED)).toLowerCase() === 'true';
+
+        const parsed =
+            format === 'json'
+                ? this.parseJsonRules(config.get(PLACEMENT_RULE_PROPERTIES.JSON_RULES))
+                : this.parseLegacyRules(
+                      config.get(PLACEMENT_RULE_PROPERTIES.QUEUE_MAPPINGS),
+                      config.get(PLACEMENT_RULE_PROPERTIES.APP_NAME_MAPPINGS)
+                  );
+
+        return { format, overrideEnabled, rules: parsed.rules, errors: parsed.errors };
+    },
+
+    /**
+     * Parses legacy queue-mappings and app-name mappings.
+     * @param {string} queueMappings - e.g. "u:alice:root.a,g:dev:%primary_group.%user"
+     * @param {string} appNameMappings - e.g. "spark-etl:root.etl,%application:%application"
+     * @returns {{rules: Array<Object>, errors: Array<string>}}
+     */
+    parseLegacyRules(queueMappings, appNameMappings) {
+        const rules = [];
+        const errors = [];
+
+        for (const entry of this._splitList(queueMappings)) {
+            const parts = entry.split(':').map((part) => part.trim());
+            const type = this._typeForLegacyPrefix(parts[0]);
+            if (parts.length !== 3 || !type || !parts[1] || !parts[2]) {
+                errors.push(`Invalid queue mapping "${entry}". Expected u:<user>:<queue> or g:<group>:<queue>.`);
+                continue;
+            }
+            rules.push({ type, matches: parts[1], policy: 'custom', customPlacement: parts[2] });
+        }
+
+        for (const entry of this._splitList(appNameMappings)) {
+            const parts = entry.split(':').map((part) => part.trim());
+            if (parts.length !== 2 || !parts[0] || !parts[1]) {
+                errors.push(`Invalid application mapping "${entry}". Expected <application>:<queue>.`);
+                continue;
+            }
+            rules.push({ type: 'application', matches: parts[0], policy: 'custom', customPlacement: parts[1] });
+        }
+
+        return { rules, errors };
+    },
+
+    /**
+     * Serializes rules to the legacy properties. Application rules go to the app-name mappings.
+     * @param {Array<Object>} rules - Normalized rules
+     * @returns {{queueMappings: string, appNameMappings: string}}
+     */
+    serializeLegacyRules(rules) {
+        const queueMappings = [];
+        const appNameMappings = [];
+
+        for (const rule of rules || []) {
+            const prefix = PLACEMENT_RULES_METADATA.ruleTypes[rule.type]?.legacyPrefix;
+            if (rule.type === 'application') {
+                appNameMappings.push(`${rule.matches}:${rule.customPlacement}`);
+            } else if (prefix) {
+                queueMappings.push(`${prefix}:${rule.matches}:${rule.customPlacement}`);
+            }
+        }
+
+        return { queueMappings: queueMappings.join(','), appNameMappings: appNameMappings.join(',') };
+    },
+
+    /**
+     * Parses the JSON mapping rules document.
+     * @param {string} jsonText - Content of mapping-rule-json
+     * @returns {{rules: Array<Object>, errors: Array<string>}}
+     */
+    parseJsonRules(jsonText) {
+        if (!jsonText || String(jsonText).trim() === '') {
+            return { rules: [], errors: [] };
+        }
+
+        let document_;
+        try {
+            document_ = JSON.parse(jsonText);
+        } catch (error) {
+            return { rules: [], errors: [`mapping-rule-json is not valid JSON: ${error.message}`] };
+        }
+
+        if (!document_ || !Array.isArray(document_.rules)) {
+            return { rules: [], errors: ['mapping-rule-json must be an object with a "rules" array.'] };
+        }
+
+        const rules = [];
+        const errors = [];
+        for (const [index, rawRule] of document_.rules.entries()) {
+            if (!rawRule || typeof rawRule !== 'object') {
+                errors.push(`Rule #${index + 1} is not an object and was ignored.`);
+                continue;
+            }
+            // Keep unknown keys so they survive a round trip through the editor
+            rules.push({ ...rawRule });
+        }
+
+        return { rules, errors };
+    },
+
+    /**
+     * Serializes rules to the mapping-rule-json document.
+     * @param {Array<Object>} rules - Normalized rules
+     * @returns {string} Compact JSON string
+     */
+    serializeJsonRules(rules) {
+        const cleanRules = (rules || []).map((rule) => {
+            const clean = {};
+            for (const [key, value] of Object.entries(rule)) {
+                if (value !== undefined && value !== '') {
+                    clean[key] = value;
+                }
+            }
+            return clean;
+        });
+        return JSON.stringify({ rules: cleanRules });
+    },
+
+    /**
+     * Validates a single rule for the given format.
+     * @param {Object} rule - Normalized rule
+     * @param {string} format - 'legacy' or 'json'
+     * @returns {{isValid: boolean, message?: string}}
+     */
+    validateRule(rule, format) {
+        if (!rule || !PLACEMENT_RULES_METADATA.ruleTypes[rule.type]) {
+            return { isValid: false, message: 'Rule type must be user, group or application.' };
+        }
+        const matches = String(rule.matches || '').trim();
+        if (!matches) {
+            return { isValid: false, message: 'A match value is required.' };
+        }
+
+        if (format === 'legacy') {
+            const target = String(rule.customPlacement || '').trim();
+            if (!target) {
+                return { isValid: false, message: 'A target queue is required.' };
+            }
+            if (/[,:\s]/.test(matches) || /[,:\s]/.test(target)) {
+                return { isValid: false, message: 'Match and queue cannot contain commas, colons or spaces.' };
+            }
+            return { isValid: true };
+        }
+
+        const policyMeta = PLACEMENT_RULES_METADATA.policies[rule.policy];
+        if (!policyMeta) {
+            return { isValid: false, message: `Unknown policy "${rule.policy}".` };
+        }
+        if (policyMeta.targetField === 'customPlacement' && !String(rule.customPlacement || '').trim()) {
+            return { isValid: false, message: 'Custom placement requires a queue path.' };
+        }
+        if (policyMeta.targetField === 'value' && !String(rule.value || '').trim()) {
+            return { isValid: false, message: 'Set default queue requires a queue value.' };
+        }
+        if (rule.fallbackResult && !PLACEMENT_RULES_METADATA.fallbackResults[rule.fallbackResult]) {
+            return { isValid: false, message: `Unknown fallback result "${rule.fallbackResult}".` };
+        }
+        return { isValid: true };
+    },
+
+    /**
+     * Returns a short human readable description of where a rule places applications.
+     * @param {Object} rule - Normalized rule
+     * @returns {string}
+     */
+    describeTarget(rule) {
+        const policyMeta = PLACEMENT_RULES_METADATA.policies[rule.policy];
+        if (!policyMeta) {
+            return rule.policy || '';
+        }
+        if (rule.policy === 'custom') {
+            return rule.customPlacement || '';
+        }
+        const target = policyMeta.targetField ? rule[policyMeta.targetField] : '';
+        if (policyMeta.targetField === 'parentQueue' && target) {
+            return `${policyMeta.displayName} under ${target}`;
+        }
+        return target ? `${policyMeta.displayName}: ${target}` : policyMeta.displayName;
+    },
+
+    _splitList(value) {
+        return String(value || '')
+            .split(',')
+            .map((entry) => entry.trim())
+            .filter((entry) => entry.length > 0);
+    },
+
+    _typeForLegacyPrefix(prefix) {
+        for (const [type, meta] of Object.entries(PLACEMENT_RULES_METADATA.ruleTypes)) {
+            if (meta.legacyPrefix && meta.legacyPrefix === prefix) {
+                return type;
+            }
+        }
+        return null;
+    },
+};
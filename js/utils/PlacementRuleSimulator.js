@@ -0,0 +1,367 @@
+/**
+ * Evaluates placement rules for a simulated application submission.
+ * Works on normalized rules from PlacementRuleParser and on a queue index built from
+ * the effective (staged) queue hierarchy, so staged changes can be tested before applying.
+ */
+const PlacementRuleSimulator = {
+    DEFAULT_QUEUE: 'root.default',
+
+    /**
+     * Builds a lookup of the effective queue hierarchy.
+     * @param {SchedulerConfigModel} schedulerConfigModel - Model providing effective queue paths and properties
+     * @returns {{paths: Set<string>, parents: Set<string>, autoCreationParents: Set<string>}}
+     */
+    buildQueueIndex(schedulerConfigModel) {
+        const paths = new Set(schedulerConfigModel.getAllQueuePaths());
+        const parents = new Set();
+        const autoCreationParents = new Set();
+
+        for (const path of paths) {
+            const lastDot = path.lastIndexOf('.');
+            if (lastDot > 0) {
+                parents.add(path.slice(0, lastDot));
+            }
+            const properties = schedulerConfigModel.getQueueNodeProperties(path);
+            if (properties && this._isAutoCreationEnabled(path, properties)) {
+                autoCreationParents.add(path);
+            }
+        }
+
+        return { paths, parents, autoCreationParents };
+    },
+
+    /**
+     * Simulates the placement of an application.
+     * @param {{user: string, groups: Array<string>, applicationName: string, submittedQueue?: string}} submission
+     * @param {{format: string, overrideEnabled: boolean, rules: Array<Object>}} ruleSet - From PlacementRuleParser.fromGlobalConfig()
+     * @param {Object} queueIndex - From buildQueueIndex()
+     * @returns {{outcome: string, queuePath: string|null, matchedIndex: number, queueCheck: Object|null, message: string, trace: Array<Object>}}
+     */
+    simulate(submission, ruleSet, queueIndex) {
+        const context = {
+            user: String(submission.user || '').trim(),
+            groups: (submission.groups || []).map((group) => String(group).trim()).filter(Boolean),
+            application: String(submission.applicationName || '').trim(),
+            specified: String(submission.submittedQueue || '').trim(),
+            defaultQueue: this.DEFAULT_QUEUE,
+        };
+        const trace = [];
+        const hasSpecifiedQueue = context.specified !== '' && context.specified !== 'default';
+
+        if (ruleSet.format === 'legacy' && hasSpecifiedQueue && !ruleSet.overrideEnabled) {
+            return this._finish('placed', context.specified, -1, queueIndex, trace, {
+                message:
+                    'Queue mappings override is disabled, so rules are not applied to explicitly requested queues.',
+            });
+        }
+
+        for (const [index, rule] of ruleSet.rules.entries()) {
+            const entry = { index, rule, matched: false, reason: '' };
+            trace.push(entry);
+
+            if (!this._matches(rule, context, ruleSet.format)) {
+                entry.reason = 'Does not match';
+                continue;
+            }
+            entry.matched = true;
+
+            if (ruleSet.format === 'json' && rule.policy === 'reject') {
+                entry.reason = 'Rejects the application';
+                return this._finish('rejected', null, index, queueIndex, trace, {
+                    message: `Rule #${index + 1} rejects the application.`,
+                });
+            }
+            if (ruleSet.format === 'json' && rule.policy === 'setDefaultQueue') {
+                context.defaultQueue = String(rule.value || '').trim() || context.defaultQueue;
+                entry.reason = `Default queue set to ${context.defaultQueue}`;
+                continue;
+            }
+
+            const target = ruleSet.format === 'json' ? this._resolveJsonTarget(rule, context, queueIndex) : null;
+            const resolved = target || this._resolveTemplate(rule.customPlacement, context, queueIndex, null);
+            const allowCreate = ruleSet.format === 'legacy' || rule.create === true;
+            const queueCheck = resolved.error ? null : this.checkQueue(resolved.path, queueIndex, allowCreate);
+
+            if (queueCheck && queueCheck.isValid) {
+                entry.reason = queueCheck.message || `Resolves to ${queueCheck.path}`;
+                entry.queuePath = queueCheck.path;
+                return this._finish('placed', queueCheck.path, index, queueIndex, trace, {
+                    message: `Matched rule #${index + 1}.`,
+                    queueCheck,
+                });
+            }
+
+            entry.reason = resolved.error || queueCheck.message;
+            entry.issue = true;
+            const fallback =
+                ruleSet.format === 'json'
+                    ? rule.fallbackResult || PLACEMENT_RULES_METADATA.defaultFallbackResult
+                    : 'skip';
+            if (fallback === 'reject') {
+                return this._finish('rejected', null, index, queueIndex, trace, {
+                    message: `Rule #${index + 1} could not place the application and its fallback rejects it.`,
+                });
+            }
+            if (fallback === 'placeDefault') {
+                return this._finish('placed', context.defaultQueue, index, queueIndex, trace, {
+                    message: `Rule #${index + 1} could not place the application and falls back to the default queue.`,
+                });
+            }
+        }
+
+        const finalQueue = hasSpecifiedQueue ? context.specified : context.defaultQueue;
+        return this._finish('placed', finalQueue, -1, queueIndex, trace, {
+            message: hasSpecifiedQueue
+                ? 'No rule placed the application, so it goes to the requested queue.'
+                : 'No rule placed the application, so it goes to the default queue.',
+        });
+    },
+
+    /**
+     * Checks rules whose target does not depend on the submitting user for missing or non-leaf queues.
+     * @param {{format: string, rules: Array<Object>}} ruleSet - Parsed rules
+     * @param {Object} queueIndex - From buildQueueIndex()
+     * @returns {Array<{index: number, rule: Object, message: string}>}
+     */
+    checkRules(ruleSet, queueIndex) {
+        const issues = [];
+        for (const [index, rule] of ruleSet.rules.entries()) {
+            const policyMeta = PLACEMENT_RULES_METADATA.policies[rule.policy];
+            const targetField = policyMeta ? policyMeta.targetField : null;
+            const template = targetField ? String(rule[targetField] || '').trim() : '';
+            if (!template) continue;
+
+            if (targetField === 'parentQueue') {
+                const parent = this.resolvePath(template, queueIndex);
+                if (
+                    parent.path &&
+                    !queueIndex.parents.has(parent.path) &&
+                    !queueIndex.autoCreationParents.has(parent.path)
+                ) {
+                    issues.push({ index, rule, message: `Parent queue ${parent.path} is a leaf queue.` });
+                } else if (!parent.path) {
+                    issues.push({ index, rule, message: parent.message || `Parent queue ${template} does not exist.` });
+                }
+                continue;
+            }
+
+            if (template.includes('%')) {
+                // Only the static prefix (e.g. "root.users" in "root.users.%user") can be checked up front
+                const segments = template.split('.');
+                const staticSegments = segments.slice(
+                    0,
+                    segments.findIndex((segment) => segment.includes('%'))
+                );
+                if (staticSegments.length === 0) continue;
+                const parent = this.resolvePath(staticSegments.join('.'), queueIndex);
+                if (!parent.path) {
+                    issues.push({ index, rule, message: parent.message });
+                } else if (!queueIndex.parents.has(parent.path) && !queueIndex.autoCreationParents.has(parent.path)) {
+                    issues.push({ index, rule, message: `${parent.path} is a leaf queue and cannot have children.` });
+                }
+                continue;
+            }
+
+            const allowCreate = ruleSet.format === 'legacy' || rule.create === true;
+            const queueCheck = this.checkQueue(template, queueIndex, allowCreate);
+            if (!queueCheck.isValid) {
+                issues.push({ index, rule, message: queueCheck.message });
+            }
+        }
+        return issues;
+    },
+
+    /**
+     * Resolves a full or short queue path against the queue index.
+     * Short paths (e.g. "team1" or "development.team1") must match exactly one queue.
+     * @param {string} queuePath - Queue path as written in a rule
+     * @param {Object} queueIndex - From buildQueueIndex()
+     * @returns {{path: string|null, message?: string}}
+     */
+    resolvePath(queuePath, queueIndex) {
+        if (queueIndex.paths.has(queuePath)) {
+            return { path: queuePath };
+        }
+        const candidates = [...queueIndex.paths].filter((path) => path.endsWith(`.${queuePath}`));
+        if (candidates.length === 1) {
+            return { path: candidates[0] };
+        }
+        if (candidates.length > 1) {
+            return { path: null, message: `${queuePath} is ambiguous (${candidates.join(', ')}).` };
+        }
+        return { path: null, message: `Queue ${queuePath} does not exist.` };
+    },
+
+    /**
+     * Checks that a queue path can receive applications.
+     * @param {string} queuePath - Resolved queue path
+     * @param {Object} queueIndex - From buildQueueIndex()
+     * @param {boolean} allowCreate - Whether a missing leaf may be auto-created under its parent
+     * @returns {{isValid: boolean, path: string, message?: string}}
+     */
+    checkQueue(queuePath, queueIndex, allowCreate) {
+        const resolved = this.resolvePath(queuePath, queueIndex);
+        if (resolved.path) {
+            if (queueIndex.parents.has(resolved.path)) {
+                return { isValid: false, path: resolved.path, message: `${resolved.path} is not a leaf queue.` };
+            }
+            return { isValid: true, path: resolved.path };
+        }
+
+        const lastDot = queuePath.lastIndexOf('.');
+        if (lastDot > 0) {
+            const parent = this.resolvePath(queuePath.slice(0, lastDot), queueIndex);
+            const leafPath = parent.path ? `${parent.path}${queuePath.slice(lastDot)}` : queuePath;
+            if (parent.path && queueIndex.autoCreationParents.has(parent.path)) {
+                if (allowCreate) {
+                    return {
+                        isValid: true,
+                        path: leafPath,
+                        message: `Resolves to ${leafPath}, which will be auto-created under ${parent.path}.`,
+                    };
+                }
+                return {
+                    isValid: false,
+                    path: leafPath,
+                    message: `${leafPath} does not exist and the rule does not allow queue creation.`,
+                };
+            }
+            if (parent.path && allowCreate) {
+                return {
+                    isValid: false,
+                    path: leafPath,
+                    message: `${leafPath} does not exist and auto queue creation is not enabled on ${parent.path}.`,
+                };
+            }
+        }
+        return { isValid: false, path: queuePath, message: resolved.message };
+    },
+
+    _matches(rule, context, format) {
+        const matches = String(rule.matches || '').trim();
+        const wildcard = format === 'json' ? '*' : null;
+        switch (rule.type) {
+            case 'user': {
+                return matches === wildcard || matches === '%user' || (context.user !== '' && matches === context.user);
+            }
+            case 'group': {
+                return matches === wildcard || context.groups.includes(matches);
+            }
+            case 'application': {
+                return (
+                    matches === wildcard ||
+                    matches === '%application' ||
+                    (context.application !== '' && matches === context.application)
+                );
+            }
+            default: {
+                return false;
+            }
+        }
+    },
+
+    /**
+     * Resolves the target of a JSON rule based on its policy. Returns null for custom placements.
+     * @private
+     */
+    _resolveJsonTarget(rule, context, queueIndex) {
+        const parent = String(rule.parentQueue || '').trim();
+        const underParent = (suffix) => (parent ? `${parent}.${suffix}` : suffix);
+
+        switch (rule.policy) {
+            case 'specified': {
+                if (!context.specified || context.specified === 'default') {
+                    return { error: 'No queue was specified at submission.' };
+                }
+                return { path: context.specified };
+            }
+            case 'defaultQueue': {
+                return { path: context.defaultQueue };
+            }
+            case 'user': {
+                return this._resolveTemplate(underParent('%user'), context, queueIndex, parent);
+            }
+            case 'applicationName': {
+                return this._resolveTemplate(underParent('%application'), context, queueIndex, parent);
+            }
+            case 'primaryGroup': {
+                return this._resolveTemplate(underParent('%primary_group'), context, queueIndex, parent);
+            }
+            case 'primaryGroupUser': {
+                return this._resolveTemplate(underParent('%primary_group.%user'), context, queueIndex, parent);
+            }
+            case 'secondaryGroup': {
+                return this._resolveTemplate(underParent('%secondary_group'), context, queueIndex, parent);
+            }
+            case 'secondaryGroupUser': {
+                return this._resolveTemplate(underParent('%secondary_group.%user'), context, queueIndex, parent);
+            }
+            default: {
+                return null;
+            }
+        }
+    },
+
+    /**
+     * Substitutes placement variables in a queue template.
+     * %secondary_group resolves to the first non-primary group that exists as a queue.
+     * @private
+     */
+    _resolveTemplate(template, context, queueIndex, parent) {
+        let path = String(template || '').trim();
+        if (!path) {
+            return { error: 'Rule has no target queue.' };
+        }
+
+        const variables = {
+            '%user': context.user,
+            '%primary_group': context.groups[0],
+            '%application': context.application,
+            '%specified': context.specified,
+            '%default': context.defaultQueue,
+        };
+        if (path.includes('%secondary_group')) {
+            variables['%secondary_group'] = this._findSecondaryGroup(context.groups, queueIndex, parent);
+        }
+
+        for (const [variable, value] of Object.entries(variables)) {
+            if (!path.includes(variable)) continue;
+            if (!value) {
+                return { error: `Cannot resolve ${variable} for this submission.` };
+            }
+            path = path.replaceAll(variable, value);
+        }
+        return { path };
+    },
+
+    _findSecondaryGroup(groups, queueIndex, parent) {
+        for (const group of groups.slice(1)) {
+            const candidate = parent ? `${parent}.${group}` : group;
+            if (this.resolvePath(candidate, queueIndex).path) {
+                return group;
+            }
+        }
+        return null;
+    },
+
+    _finish(outcome, queuePath, matchedIndex, queueIndex, trace, details) {
+        const queueCheck = details.queueCheck || (queuePath ? this.checkQueue(queuePath, queueIndex, false) : null);
+        return {
+            outcome,
+            queuePath: queueCheck ? queueCheck.path : queuePath,
+            matchedIndex,
+            queueCheck,
+            message: details.message,
+            trace,
+        };
+    },
+
+    _isAutoCreationEnabled(queuePath, properties) {
+        const v1Key = AutoCreationService.getV1EnabledKey(queuePath);
+        const v2Key = AutoCreationService.getV2EnabledKey(queuePath);
+        return (
+            String(properties.get(v1Key)).toLowerCase() === 'true' ||
+            String(properties.get(v2Key)).toLowerCase() === 'true'
+        );
+    },
+};
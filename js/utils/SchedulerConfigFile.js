@@ -0,0 +1,346 @@
+/**
+ * Reads and writes scheduler configuration files. Supports Hadoop XML (capacity-scheduler.xml),
+ * Java properties and the JSON shape returned by scheduler-conf. All formats are
+ * normalized to the scheduler-conf property list: [{ name, value }].
+ */
+const SchedulerConfigFile = {
+    FORMATS: ['xml', 'properties', 'json'],
+
+    FILE_TYPES: {
+        xml: { fileName: 'capacity-scheduler.xml', mimeType: 'application/xml' },
+        properties: { fileName: 'capacity-scheduler.properties', mimeType: 'text/plain' },
+        json: { fileName: 'scheduler-conf.json', mimeType: 'application/json' },
+    },
+
+    /**
+     * Parses a configuration file. The format is taken from the file extension,
+     * or guessed from the content if the extension is not recognized.
+     * @param {string} content - File content
+     * @param {string} [fileName] - File name, used to detect the format
+     * @returns {{format: string, properties: Array<{name: string, value: string}>, errors: Array<string>}}
+     */
+    parse(content, fileName = '') {
+        const format = this.detectFormat(content, fileName);
+        let parsed;
+        if (format === 'xml') {
+            parsed = this.parseXml(content);
+        } else if (format === 'json') {
+            parsed = this.parseJson(content);
+        } else {
+            parsed = this.parseProperties(content);
+        }
+        return { format, ...this._removeDuplicates(parsed) };
+    },
+
+    /**
+     * Detects the format of a configuration file
+     * @param {string} content - File content
+     * @param {string} fileName - File name
+     * @returns {string} One of FORMATS
+     */
+    detectFormat(content, fileName) {
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        if (this.FORMATS.includes(extension)) {
+            return extension;
+        }
+        const start = String(content).trimStart();
+        if (start.startsWith('<')) return 'xml';
+        if (start.startsWith('{')) return 'json';
+        return 'properties';
+    },
+
+    /**
+     * Parses a Hadoop configuration XML document (<configuration><property><name/><value/></property>)
+     * @param {string} content - XML content
+     * @returns {{properties: Array<{name: string, value: string}>, errors: Array<string>}}
+     */
+    parseXml(content) {
+        const xmlDocument = new DOMParser().parseFromString(content, 'application/xml');
+        if (xmlDocument.querySelector('parsererror')) {
+            return { properties: [], errors: ['The file is not well-formed XML.'] };
+        }
+        const root = xmlDocument.documentElement;
+        if (root.nodeName === 'sched-conf') {
+            return {
+                properties: [],
+                errors: ['This is a mutation payload, not a configuration. Use "Load Mutation Payload" to replay it.'],
+            };
+        }
+        if (root.nodeName !== 'configuration') {
+            return { properties: [], errors: [`Expected a <configuration> document, found <${root.nodeName}>.`] };
+        }
+
+        const properties = [];
+        const errors = [];
+        const propertyElements = [...root.children].filter((element) => element.nodeName === 'property');
+        for (const [index, propertyElement] of propertyElements.entries()) {
+            const nameElement = [...propertyElement.children].find((element) => element.nodeName === 'name');
+            const valueElement = [...propertyElement.children].find((element) => element.nodeName === 'value');
+            const name = nameElement ? nameElement.textContent.trim() : '';
+            if (!name) {
+                errors.push(`Property #${index + 1} has no name and was skipped.`);
+                continue;
+            }
+            properties.push({ name, value: valueElement ? valueElement.textContent : '' });
+        }
+        return { properties, errors };
+    },
+
+    /**
+     * Parses a Java properties file (key=value, key: value or key value; # and ! comments;
+     * backslash line continuations and escapes)
+     * @param {string} content - Properties content
+     * @returns {{properties: Array<{name: string, value: string}>, errors: Array<string>}}
+     */
+    parseProperties(content) {
+        const properties = [];
+        const errors = [];
+        const lines = String(content).split(/\r?\n/);
+
+        for (let index = 0; index < lines.length; index++) {
+            let line = lines[index].trimStart();
+            if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+
+            const startLine = index + 1;
+            while (this._endsWithContinuation(line) && index + 1 < lines.length) {
+                index++;
+                line = line.slice(0, -1) + lines[index].trimStart();
+            }
+
+            const [rawKey, rawValue] = this._splitPropertyLine(line);
+            const name = this._unescapeProperty(rawKey).trim();
+            if (!name) {
+                errors.push(`Line ${startLine} has no property name and was skipped.`);
+                continue;
+            }
+            properties.push({ name, value: this._unescapeProperty(rawValue) });
+        }
+        return { properties, errors };
+    },
+
+    /**
+     * Parses a scheduler-conf mutation payload (<sched-conf>), as sent by PUT /scheduler-conf.
+     * Queue parameters keep their queue-relative keys; global updates keep their full keys.
+     * @param {string} content - XML content
+     * @returns {{operations: {removeQueues: Array<string>, addQueues: Array<{queueName: string, params: Object}>,
+     *            updateQueues: Array<{queueName: string, params: Object}>, globalUpdates: Object},
+     *            errors: Array<string>}}
+     */
+    parseMutationXml(content) {
+        const operations = { removeQueues: [], addQueues: [], updateQueues: [], globalUpdates: {} };
+        const xmlDocument = new DOMParser().parseFromString(content, 'application/xml');
+        if (xmlDocument.querySelector('parsererror')) {
+            return { operations, errors: ['The file is not well-formed XML.'] };
+        }
+        const root = xmlDocument.documentElement;
+        if (root.nodeName !== 'sched-conf') {
+            return { operations, errors: [`Expected a <sched-conf> document, found <${root.nodeName}>.`] };
+        }
+
+        const errors = [];
+        for (const element of root.children) {
+            switch (element.nodeName) {
+                case 'remove-queue': {
+                    const queueName = element.textContent.trim();
+                    if (queueName) {
+                        operations.removeQueues.push(queueName);
+                    } else {
+                        errors.push('A <remove-queue> without a queue name was skipped.');
+                    }
+                    break;
+                }
+                case 'add-queue':
+                case 'update-queue': {
+                    const queueNameElement = this._childElement(element, 'queue-name');
+                    const queueName = queueNameElement ? queueNameElement.textContent.trim() : '';
+                    if (!queueName) {
+                        errors.push(`An <${element.nodeName}> without a <queue-name> was skipped.`);
+                        break;
+                    }
+                    const params = this._parseMutationEntries(this._childElement(element, 'params'), errors);
+                    const target = element.nodeName === 'add-queue' ? operations.addQueues : operations.updateQueues;
+                    target.push({ queueName, params });
+                    break;
+                }
+                case 'global-updates': {
+                    Object.assign(operations.globalUpdates, this._parseMutationEntries(element, errors));
+                    break;
+                }
+                default: {
+                    errors.push(`Unknown element <${element.nodeName}> was skipped.`);
+                }
+            }
+        }
+        return { operations, errors };
+    },
+
+    /**
+     * Reads the <entry><key/><value/></entry> parameters of a mutation payload element
+     * @private
+     */
+    _parseMutationEntries(element, errors) {
+        const params = {};
+        if (!element) return params;
+        for (const entry of element.children) {
+            if (entry.nodeName !== 'entry') continue;
+            const keyElement = this._childElement(entry, 'key');
+            const key = keyElement ? keyElement.textContent.trim() : '';
+            if (!key) {
+                errors.push('A parameter without a <key> was skipped.');
+                continue;
+            }
+            const valueElement = this._childElement(entry, 'value');
+            params[key] = valueElement ? valueElement.textContent : '';
+        }
+        return params;
+    },
+
+    _childElement(element, name) {
+        return [...element.children].find((child) => child.nodeName === name);
+    },
+
+    /**
+     * Parses the scheduler-conf JSON shape: { property: [{ name, value }] }
+     * @param {string} content - JSON content
+     * @returns {{properties: Array<{name: string, value: string}>, errors: Array<string>}}
+     */
+    parseJson(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return { properties: [], errors: [`The file is not valid JSON: ${error.message}`] };
+        }
+        if (!data || !Array.isArray(data.property)) {
+            return { properties: [], errors: ['Expected a scheduler-conf JSON object with a "property" array.'] };
+        }
+
+        const properties = [];
+        const errors = [];
+        for (const [index, entry] of data.property.entries()) {
+            if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+                errors.push(`Property #${index + 1} has no name and was skipped.`);
+                continue;
+            }
+            properties.push({ name: entry.name.trim(), value: entry.value === undefined ? '' : String(entry.value) });
+        }
+        return { properties, errors };
+    },
+
+    /**
+     * Writes a property list in one of FORMATS. Properties are written in the given order.
+     * @param {Array<{name: string, value: string}>} properties - Property list
+     * @param {string} format - One of FORMATS
+     * @returns {string} File content
+     */
+    serialize(properties, format) {
+        if (format === 'xml') return this.toXml(properties);
+        if (format === 'json') return this.toJson(properties);
+        return this.toProperties(properties);
+    },
+
+    /**
+     * Writes a Hadoop configuration XML document
+     * @param {Array<{name: string, value: string}>} properties - Property list
+     * @returns {string} XML content
+     */
+    toXml(properties) {
+        const propertyElements = properties.map(
+            (property) =>
+                `  <property>\n` +
+                `    <name>${DomUtils.escapeXml(property.name)}</name>\n` +
+                `    <value>${DomUtils.escapeXml(property.value)}</value>\n` +
+                `  </property>\n`
+        );
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<configuration>\n${propertyElements.join('')}</configuration>\n`;
+    },
+
+    /**
+     * Writes a Java properties file (one key=value per line)
+     * @param {Array<{name: string, value: string}>} properties - Property list
+     * @returns {string} Properties content
+     */
+    toProperties(properties) {
+        return properties
+            .map(
+                (property) =>
+                    `${this._escapeProperty(property.name, true)}=${this._escapeProperty(property.value, false)}\n`
+            )
+            .join('');
+    },
+
+    /**
+     * Writes the scheduler-conf JSON shape: { property: [{ name, value }] }
+     * @param {Array<{name: string, value: string}>} properties - Property list
+     * @returns {string} JSON content
+     */
+    toJson(properties) {
+        const property = properties.map(({ name, value }) => ({ name, value }));
+        return `${JSON.stringify({ property }, null, 4)}\n`;
+    },
+
+    /**
+     * Splits a logical properties line at the first unescaped "=", ":" or whitespace
+     * @private
+     */
+    _splitPropertyLine(line) {
+        let keyEnd = 0;
+        while (keyEnd < line.length && !/[\s:=]/.test(line[keyEnd])) {
+            keyEnd += line[keyEnd] === '\\' ? 2 : 1;
+        }
+        let valueStart = keyEnd;
+        while (/[ \t\f]/.test(line[valueStart] ?? '')) valueStart++;
+        if (line[valueStart] === '=' || line[valueStart] === ':') valueStart++;
+        while (/[ \t\f]/.test(line[valueStart] ?? '')) valueStart++;
+        return [line.slice(0, keyEnd), line.slice(valueStart)];
+    },
+
+    _endsWithContinuation(line) {
+        const trailingBackslashes = /\\*$/.exec(line)[0].length;
+        return trailingBackslashes % 2 === 1;
+    },
+
+    _unescapeProperty(text) {
+        return text.replaceAll(/\\(u[\dA-Fa-f]{4}|.)/g, (_, escaped) => {
+            if (escaped.length === 5) return String.fromCodePoint(Number.parseInt(escaped.slice(1), 16));
+            const escapes = { t: '\t', n: '\n', r: '\r', f: '\f' };
+            return escapes[escaped] ?? escaped;
+        });
+    },
+
+    /**
+     * Escapes a key or value for a properties file. Keys also escape separators and spaces;
+     * values only escape a leading space, which would otherwise be trimmed when read back.
+     * @private
+     */
+    _escapeProperty(text, isKey) {
+        const escapes = {
+            '\\': String.raw`\\`,
+            '\t': String.raw`\t`,
+            '\n': String.raw`\n`,
+            '\r': String.raw`\r`,
+            '\f': String.raw`\f`,
+        };
+        const escaped = String(text).replaceAll(/[\\\t\n\r\f]/g, (character) => escapes[character]);
+        return isKey
+            ? escaped.replaceAll(/[ :=#!]/g, (character) => `\\${character}`)
+            : escaped.replace(/^ /, String.raw`\ `);
+    },
+
+    /**
+     * Keeps the last occurrence of each property, as Hadoop does, and reports the duplicates
+     * @private
+     */
+    _removeDuplicates({ properties, errors }) {
+        const byName = new Map();
+        const duplicates = new Set();
+        for (const property of properties) {
+            if (byName.has(property.name)) duplicates.add(property.name);
+            byName.set(property.name, property);
+        }
+        for (const name of duplicates) {
+            errors.push(`"${name}" is defined more than once; the last value is used.`);
+        }
+        return { properties: [...byName.values()], errors };
+    },
+};
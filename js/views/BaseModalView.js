@@ -30,7 +30,14 @@ class BaseModalView extends EventEmitter {
     _getFormContainerId() {
         if (this.modalId === 'edit-modal') return 'edit-form-container';
         if (this.modalId === 'add-queue-modal') return 'add-form-container';
+        if (this.modalId === 'duplicate-queue-modal') return 'duplicate-form-container';
+        if (this.modalId === 'rebalance-capacity-modal') return 'rebalance-form-container';
         if (this.modalId === 'info-modal') return 'info-form-container';
+        if (this.modalId === 'access-modal') return 'access-form-container';
+        if (this.modalId === 'export-modal') return 'export-form-container';
+        if (this.modalId === 'conflict-modal') return 'conflict-form-container';
+        if (this.modalId === 'reset-store-modal') return 'reset-store-form-container';
+        if (this.modalId === 'phased-apply-modal') return 'phased-apply-form-container';
         return '';
     }
 
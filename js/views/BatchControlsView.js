@@ -9,12 +9,18 @@ class BatchControlsView extends EventEmitter {
         this.applyChangesBtnEl = DomUtils.getById('btn-apply-changes');
         this.previewChangesBtnEl = DomUtils.getById('btn-preview-changes');
         this.discardChangesBtnEl = DomUtils.getById('btn-discard-changes');
+        this.undoBtnEl = DomUtils.getById('btn-undo-change');
+        this.redoBtnEl = DomUtils.getById('btn-redo-change');
+        this.canRedo = false;
 
         // Change preview modal elements
         this.previewModalEl = DomUtils.getById('change-preview-modal');
         this.previewContainerEl = DomUtils.getById('change-preview-container');
         this.closePreviewBtnEl = DomUtils.getById('close-preview-btn');
         this.applyFromPreviewBtnEl = DomUtils.getById('apply-from-preview-btn');
+        this.exportMutationBtnEl = DomUtils.getById('export-mutation-btn');
+        this.exportCurlBtnEl = DomUtils.getById('export-curl-btn');
+        this.validateOnServerBtnEl = DomUtils.getById('validate-on-server-btn');
 
         if (
             !this.batchControlsEl ||
@@ -36,6 +42,11 @@ class BatchControlsView extends EventEmitter {
             showSummary: true,
             collapsible: true,
             maxChanges: 50,
+            selectable: true,
+            onSelectionChange: (selection) => {
+                this._renderApplySelectionButton(selection);
+                this._emit('previewSelectionChanged', selection);
+            },
         });
 
         this._bindEvents();
@@ -60,6 +71,22 @@ class BatchControlsView extends EventEmitter {
             this._emit('discardAllClicked');
         });
 
+        if (this.undoBtnEl && this.redoBtnEl) {
+            this.undoBtnEl.addEventListener('click', () => this._emit('undoClicked'));
+            this.redoBtnEl.addEventListener('click', () => this._emit('redoClicked'));
+        }
+
+        // Ctrl+Z / Ctrl+Shift+Z, unless a form field handles its own text undo
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+            const target = event.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            if (!this._isStagingTabActive()) return;
+
+            event.preventDefault();
+            this._emit(event.shiftKey ? 'redoClicked' : 'undoClicked');
+        });
+
         // Change preview modal events
         if (this.closePreviewBtnEl) {
             this.closePreviewBtnEl.addEventListener('click', () => {
@@ -69,8 +96,29 @@ class BatchControlsView extends EventEmitter {
 
         if (this.applyFromPreviewBtnEl) {
             this.applyFromPreviewBtnEl.addEventListener('click', () => {
+                const selection = this.changePreview.getSelection();
                 this.hidePreviewModal();
-                this._emit('applyAllClicked');
+                this._emit('applyAllClicked', selection);
+            });
+        }
+
+        if (this.exportMutationBtnEl) {
+            this.exportMutationBtnEl.addEventListener('click', () => {
+                this._emit('exportMutationClicked', this.changePreview.getSelection());
+            });
+        }
+
+        if (this.exportCurlBtnEl) {
+            this.exportCurlBtnEl.addEventListener('click', () => {
+                this._emit('exportCurlClicked', this.changePreview.getSelection());
+            });
+        }
+
+        if (this.validateOnServerBtnEl) {
+            this.validateOnServerBtnEl.addEventListener('click', () => {
+                if (!this.validateOnServerBtnEl.disabled) {
+                    this._emit('validateOnServerClicked', this.changePreview.getSelection());
+                }
             });
         }
 
@@ -94,18 +142,27 @@ class BatchControlsView extends EventEmitter {
 
     /**
      * Renders the batch controls based on pending changes and validation status.
-     * @param {Object} pendingCounts - { added: number, modified: number, deleted: number }
+     * @param {Object} pendingCounts - { added: number, modified: number, deleted: number, moved: number }
      * @param {Array<Object>} validationErrors - Array of error objects (e.g., { message: string })
+     * @param {Object} [history] - { canUndo: boolean, canRedo: boolean }
      */
-    render(pendingCounts, validationErrors = []) {
-        const counts = pendingCounts || { added: 0, modified: 0, deleted: 0 };
-        const totalChanges = counts.added + counts.modified + counts.deleted;
+    render(pendingCounts, validationErrors = [], history = null) {
+        const { canUndo = false, canRedo = false } = history || {};
+        const counts = { added: 0, modified: 0, deleted: 0, moved: 0, ...pendingCounts };
+        const totalChanges = counts.added + counts.modified + counts.deleted + counts.moved;
+
+        this.canRedo = canRedo;
+        if (this.undoBtnEl && this.redoBtnEl) {
+            this.undoBtnEl.disabled = !canUndo;
+            this.redoBtnEl.disabled = !canRedo;
+        }
 
         if (totalChanges > 0) {
             const infoTextParts = [];
             if (counts.added > 0) infoTextParts.push(`${counts.added} added`);
             if (counts.modified > 0) infoTextParts.push(`${counts.modified} modified`);
             if (counts.deleted > 0) infoTextParts.push(`${counts.deleted} deleted`);
+            if (counts.moved > 0) infoTextParts.push(`${counts.moved} moved`);
             this.batchInfoEl.textContent = infoTextParts.length > 0 ? infoTextParts.join(', ') : 'No changes staged';
 
             if (validationErrors.length === 0) {
@@ -128,6 +185,11 @@ class BatchControlsView extends EventEmitter {
                 this._addWarningToPreviewButton();
                 this.applyChangesBtnEl.disabled = true;
             }
+        } else {
+            // Still shown while an undone step can be redone
+            this.batchInfoEl.textContent = 'No changes staged';
+            this.batchValidationEl.textContent = '';
+            this.applyChangesBtnEl.disabled = true;
         }
         this.renderVisibility(totalChanges); // Pass totalChanges to avoid recalculating
     }
@@ -193,16 +255,13 @@ class BatchControlsView extends EventEmitter {
 
     /**
      * Controls the visibility of the batch controls bar.
-     * Visible only if there are changes AND the queue config tab is active.
+     * Visible only if there are changes (or an undone step to redo) AND a tab that stages changes is active.
      * @param {number} [changeCount=-1] - Optional change count to avoid re-fetching from model if already known.
      */
     renderVisibility(changeCount = -1) {
         // If changeCount isn't passed, this method would ideally get it from SchedulerConfigModel.hasPendingChanges()
         // For now, this.render() passes it. Controller will call this.render().
-        const currentTab = this.appStateModel.getCurrentTab();
-        const isActiveTabWithChanges =
-            currentTab === 'queue-config-content' || currentTab === 'scheduler-config-content';
-        const shouldShow = changeCount > 0 && isActiveTabWithChanges;
+        const shouldShow = (changeCount > 0 || this.canRedo) && this._isStagingTabActive();
 
         if (shouldShow) {
             DomUtils.show(this.batchControlsEl, 'flex');
@@ -213,6 +272,21 @@ class BatchControlsView extends EventEmitter {
         }
     }
 
+    /**
+     * Returns whether the active tab stages changes
+     * @returns {boolean}
+     * @private
+     */
+    _isStagingTabActive() {
+        const currentTab = this.appStateModel.getCurrentTab();
+        return (
+            currentTab === 'queue-config-content' ||
+            currentTab === 'scheduler-config-content' ||
+            currentTab === 'placement-rules-content' ||
+            currentTab === 'node-labels-content'
+        );
+    }
+
     hide() {
         DomUtils.hide(this.batchControlsEl);
         this.batchControlsEl.classList.remove('show');
@@ -235,6 +309,57 @@ class BatchControlsView extends EventEmitter {
 
         this.changePreview.setChanges(previewChanges);
         this.changePreview.setValidationErrors(validationErrors);
+        this.changePreview.setServerValidation(null); // A dry run only covers the changes it was run for
+        this._renderApplySelectionButton(null);
+    }
+
+    /**
+     * Shows the validation result for the changes selected in the preview.
+     * @param {Array<Object>} validationErrors - Errors of the configuration with only the selected changes
+     * @param {Array<string>} dependencyWarnings - Selected changes that depend on unselected ones
+     */
+    showSelectionValidation(validationErrors, dependencyWarnings) {
+        if (!this.changePreview) return;
+        this.changePreview.setDependencyWarnings(dependencyWarnings);
+        this.changePreview.setValidationErrors(validationErrors);
+        this.changePreview.setServerValidation(null);
+    }
+
+    /**
+     * Labels the preview's apply button after the selection; disabled if nothing is selected.
+     * @param {Set<string>|null} selection - From ChangePreview.getSelection()
+     * @private
+     */
+    _renderApplySelectionButton(selection) {
+        if (!this.applyFromPreviewBtnEl) return;
+        this.applyFromPreviewBtnEl.textContent = selection ? `Apply Selected (${selection.size})` : 'Apply Changes';
+        this.applyFromPreviewBtnEl.disabled = selection !== null && selection.size === 0;
+        if (this.validateOnServerBtnEl) {
+            this.validateOnServerBtnEl.disabled = this.applyFromPreviewBtnEl.disabled;
+        }
+    }
+
+    /**
+     * Disables the "Validate on Server" button while a dry run is in progress. Afterwards it is
+     * disabled again if the preview has an empty selection.
+     * @param {boolean} isValidating
+     */
+    setServerValidationInProgress(isValidating) {
+        if (this.validateOnServerBtnEl) {
+            const selection = this.changePreview ? this.changePreview.getSelection() : null;
+            this.validateOnServerBtnEl.disabled = isValidating || (selection !== null && selection.size === 0);
+            this.validateOnServerBtnEl.textContent = isValidating ? 'Validating…' : 'Validate on Server';
+        }
+    }
+
+    /**
+     * Shows the result of the server-side dry run next to the client-side validation errors.
+     * @param {{valid: boolean, message?: string, exception?: string}} serverValidation
+     */
+    showServerValidation(serverValidation) {
+        if (this.changePreview) {
+            this.changePreview.setServerValidation(serverValidation);
+        }
     }
 
     /**
@@ -3,9 +3,10 @@
  * Provides UI for selecting and performing operations on multiple queues.
  */
 class BulkOperationsView extends EventEmitter {
-    constructor(bulkOperations) {
+    constructor(bulkOperations, propertyPresetService) {
         super();
         this.bulkOperations = bulkOperations;
+        this.propertyPresetService = propertyPresetService;
         this.isVisible = false;
         this.selectedCount = 0;
 
@@ -44,6 +45,11 @@ class BulkOperationsView extends EventEmitter {
                     </select>
                     <button class="btn btn-sm btn-primary" id="bulk-apply-capacity">Apply</button>
                 </div>
+                <div class="bulk-action-group">
+                    <label>Preset:</label>
+                    <select class="preset-select" id="bulk-preset-select"></select>
+                    <button class="btn btn-sm btn-primary" id="bulk-apply-preset">Apply</button>
+                </div>
                 <div class="bulk-action-group">
                     <button class="btn btn-sm btn-danger" id="bulk-delete-queues">Delete Selected</button>
                     <label class="checkbox-label">
@@ -90,6 +96,12 @@ class BulkOperationsView extends EventEmitter {
             this._handleCapacityOperation();
         });
 
+        // Preset operations
+        this.toolbar.querySelector('#bulk-apply-preset').addEventListener('click', () => {
+            this._handlePresetOperation();
+        });
+        this.propertyPresetService.subscribe('presetsChanged', () => this._renderPresetOptions());
+
         // Delete operations
         this.toolbar.querySelector('#bulk-delete-queues').addEventListener('click', () => {
             this._handleDeleteOperation();
@@ -116,6 +128,7 @@ class BulkOperationsView extends EventEmitter {
      */
     show() {
         this.isVisible = true;
+        this._renderPresetOptions();
         this.toolbar.style.display = 'flex';
 
         // Trigger animation on next frame to ensure display property is applied first
@@ -212,6 +225,38 @@ class BulkOperationsView extends EventEmitter {
         this.bulkOperations.bulkAdjustCapacity(operation, value);
     }
 
+    /**
+     * Fills the preset select with the saved presets.
+     */
+    _renderPresetOptions() {
+        const select = this.toolbar.querySelector('#bulk-preset-select');
+        const selectedName = select.value;
+        const presets = this.propertyPresetService.getPresets();
+
+        select.innerHTML = presets.length === 0 ? '<option value="">No presets saved</option>' : '';
+        for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            option.title = preset.description || '';
+            option.selected = preset.name === selectedName;
+            select.append(option);
+        }
+    }
+
+    /**
+     * Handles preset operations.
+     */
+    _handlePresetOperation() {
+        const preset = this.propertyPresetService.getPreset(this.toolbar.querySelector('#bulk-preset-select').value);
+        if (!preset) {
+            alert('Please save a preset from the Edit Queue dialog first');
+            return;
+        }
+
+        this.bulkOperations.bulkApplyPreset(preset);
+    }
+
     /**
      * Handles queue deletion operations.
      */
@@ -8,8 +8,12 @@ class ControlsView extends EventEmitter {
         this.addQueueButtonEl = DomUtils.getById('btn-add-queue'); // Using ID
         this.bulkOperationsButtonEl = DomUtils.getById('btn-bulk-operations');
         this.searchInputEl = DomUtils.getById('search-input');
+        this.searchModeSelectEl = DomUtils.getById('search-mode-select');
+        this.accessResolverButtonEl = DomUtils.getById('btn-access-resolver');
         this.sortSelectEl = DomUtils.getById('sort-select');
         this.refreshButtonEl = DomUtils.getById('btn-refresh-queues'); // Added refresh button
+        this.autoRefreshSelectEl = DomUtils.getById('auto-refresh-select');
+        this.autoRefreshStatusEl = DomUtils.getById('auto-refresh-status');
 
         if (
             !this.controlsContainerEl ||
@@ -30,7 +34,11 @@ class ControlsView extends EventEmitter {
             this.renderSelectedPartition(partition)
         );
         this.appStateModel.subscribe('searchTermChanged', (term) => this.renderSearchTerm(term));
+        this.appStateModel.subscribe('searchModeChanged', (mode) => this.renderSearchMode(mode));
         this.appStateModel.subscribe('sortCriteriaChanged', (criteria) => this.renderSortCriteria(criteria));
+        this.appStateModel.subscribe('autoRefreshIntervalChanged', (intervalMs) =>
+            this.renderAutoRefreshInterval(intervalMs)
+        );
     }
 
     _bindEvents() {
@@ -58,12 +66,30 @@ class ControlsView extends EventEmitter {
             });
         }
 
+        if (this.searchModeSelectEl) {
+            this.searchModeSelectEl.addEventListener('change', (event) => {
+                this._emit('searchModeChanged', event.target.value);
+            });
+        }
+
+        if (this.accessResolverButtonEl) {
+            this.accessResolverButtonEl.addEventListener('click', () => {
+                this._emit('accessResolverClicked');
+            });
+        }
+
         if (this.sortSelectEl) {
             this.sortSelectEl.addEventListener('change', (event) => {
                 this._emit('sortCriteriaChanged', event.target.value);
             });
         }
 
+        if (this.autoRefreshSelectEl) {
+            this.autoRefreshSelectEl.addEventListener('change', (event) => {
+                this._emit('autoRefreshIntervalChanged', Number(event.target.value));
+            });
+        }
+
         if (this.refreshButtonEl) {
             // Bind event for refresh button
             this.refreshButtonEl.addEventListener('click', () => {
@@ -116,15 +142,66 @@ class ControlsView extends EventEmitter {
         }
     }
 
+    renderSearchMode(searchMode) {
+        if (this.searchModeSelectEl && this.searchModeSelectEl.value !== searchMode) {
+            this.searchModeSelectEl.value = searchMode;
+        }
+        if (this.searchInputEl) {
+            const placeholders = {
+                [SEARCH_MODES.NAME]: 'Search queues',
+                [SEARCH_MODES.USER]: 'User name',
+                [SEARCH_MODES.GROUP]: 'Groups, e.g. dev,ops',
+            };
+            this.searchInputEl.placeholder = placeholders[searchMode] || placeholders[SEARCH_MODES.NAME];
+        }
+        if (this.accessResolverButtonEl) {
+            this.accessResolverButtonEl.style.display = searchMode === SEARCH_MODES.NAME ? 'none' : '';
+        }
+    }
+
     renderSortCriteria(sortCriteria) {
         if (this.sortSelectEl && this.sortSelectEl.value !== sortCriteria) {
             this.sortSelectEl.value = sortCriteria;
         }
     }
 
+    renderAutoRefreshInterval(intervalMs) {
+        if (!this.autoRefreshSelectEl) return;
+        const value = String(intervalMs);
+        if (![...this.autoRefreshSelectEl.options].some((option) => option.value === value)) {
+            // An interval set in CONFIG that the menu does not offer
+            const option = DomUtils.createElement('option', null, { value }, `Every ${intervalMs / 1000} seconds`);
+            this.autoRefreshSelectEl.append(option);
+        }
+        this.autoRefreshSelectEl.value = value;
+    }
+
+    /**
+     * Shows when the live data was last polled, or why it is not being polled.
+     * @param {{state: string, lastUpdated: Date|null, error: string|null}} status - From
+     *        LiveDataPollingService.getStatus()
+     */
+    renderAutoRefreshStatus({ state, lastUpdated, error }) {
+        if (!this.autoRefreshStatusEl) return;
+        let text = '';
+        if (state === 'paused') {
+            text = 'Paused while the tab is hidden';
+        } else if (state === 'active' && error) {
+            text = 'Last update failed';
+        } else if (state === 'active' && lastUpdated) {
+            text = `Updated ${lastUpdated.toLocaleTimeString()}`;
+        }
+        this.autoRefreshStatusEl.textContent = text;
+        this.autoRefreshStatusEl.title = state === 'active' && error ? error : '';
+        this.autoRefreshStatusEl.classList.toggle('paused', state === 'paused');
+        this.autoRefreshStatusEl.classList.toggle('error', state === 'active' && Boolean(error));
+    }
+
     render() {
         this.renderSelectedPartition(this.appStateModel.getSelectedPartition());
         this.renderSearchTerm(this.appStateModel.getCurrentSearchTerm());
+        this.renderSearchMode(this.appStateModel.getCurrentSearchMode());
         this.renderSortCriteria(this.appStateModel.getCurrentSortCriteria());
+        this.renderAutoRefreshInterval(this.appStateModel.getAutoRefreshInterval());
     }
 }
@@ -0,0 +1,145 @@
+/**
+ * History tab. Lists the configuration snapshots taken each time changes were applied from
+ * this browser, and shows the changes of a snapshot or the differences between two snapshots
+ * with the ChangePreview renderer.
+ */
+class HistoryView extends EventEmitter {
+    constructor() {
+        super();
+        this.containerEl = DomUtils.getById('history-container');
+
+        if (!this.containerEl) {
+            console.error('HistoryView: Required DOM element not found.');
+            return;
+        }
+
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.containerEl.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'show-snapshot': {
+                    this._emit('snapshotChangesRequested', Number(button.dataset.snapshotId));
+                    break;
+                }
+                case 'rollback-snapshot': {
+                    this._emit('rollbackLastApplyRequested');
+                    break;
+                }
+                case 'compare-snapshots': {
+                    const [newerId, olderId] = this._getSelectedSnapshotIds();
+                    this._emit('snapshotCompareRequested', { fromId: olderId, toId: newerId });
+                    break;
+                }
+                default: {
+                    break;
+                }
+            }
+        });
+
+        this.containerEl.addEventListener('change', (event) => {
+            if (!event.target.classList.contains('history-select')) return;
+            const compareButton = DomUtils.qs('[data-action="compare-snapshots"]', this.containerEl);
+            compareButton.disabled = this._getSelectedSnapshotIds().length !== 2;
+        });
+    }
+
+    /**
+     * @returns {Array<number>} Ids of the selected snapshots, newest first
+     */
+    _getSelectedSnapshotIds() {
+        return [...this.containerEl.querySelectorAll('.history-select:checked')]
+            .map((checkbox) => Number(checkbox.value))
+            .sort((a, b) => b - a);
+    }
+
+    /**
+     * Renders the snapshot list.
+     * @param {Array<Object>} snapshots - From ConfigHistoryService.listSnapshots(), newest first
+     * @param {string} [error] - Shown instead of the list if the history could not be read
+     */
+    render(snapshots, error = null) {
+        if (!this.containerEl) return;
+
+        let content;
+        if (error) {
+            content = `<p class="placement-rule-editor-error">${DomUtils.escapeXml(error)}</p>`;
+        } else if (snapshots.length === 0) {
+            content = '<p class="history-empty">No changes have been applied from this browser yet.</p>';
+        } else {
+            content = this._renderSnapshotTable(snapshots);
+        }
+
+        this.containerEl.innerHTML = `
+            <div class="config-group">
+                <h3 class="config-group-title">Applied Changes</h3>
+                <p class="form-help">A snapshot of the configuration before and after is stored in this browser each time changes are applied. Select two snapshots to compare the configuration after each of them.</p>
+                ${content}
+            </div>
+            <div class="config-group" id="history-diff" style="display: none">
+                <h3 class="config-group-title" id="history-diff-title"></h3>
+                <div id="history-diff-preview"></div>
+            </div>`;
+    }
+
+    _renderSnapshotTable(snapshots) {
+        const rows = snapshots
+            .map((snapshot, index) => {
+                const { added, modified, deleted, queues } = snapshot.summary;
+                const counts = [
+                    added > 0 ? `<span class="stat addition">+${added}</span>` : '',
+                    modified > 0 ? `<span class="stat modification">~${modified}</span>` : '',
+                    deleted > 0 ? `<span class="stat deletion">-${deleted}</span>` : '',
+                ].join(' ');
+                const queueList = queues.length > 0 ? queues.map((path) => DomUtils.escapeXml(path)).join(', ') : '—';
+
+                return `<tr>
+                            <td><input type="checkbox" class="history-select" value="${snapshot.id}"></td>
+                            <td>#${snapshot.id}</td>
+                            <td>${DomUtils.escapeXml(new Date(snapshot.timestamp).toLocaleString())}</td>
+                            <td>${DomUtils.escapeXml(snapshot.user)}</td>
+                            <td class="history-counts">${counts || '—'}</td>
+                            <td class="history-queues">${queueList}</td>
+                            <td class="history-row-actions">
+                                <button class="btn btn-sm btn-secondary" data-action="show-snapshot" data-snapshot-id="${snapshot.id}">Show Changes</button>
+                                ${index === 0 ? '<button class="btn btn-sm btn-danger" data-action="rollback-snapshot">Roll Back</button>' : ''}
+                            </td>
+                        </tr>`;
+            })
+            .join('');
+
+        return `<table class="history-table">
+                    <thead><tr><th></th><th>Snapshot</th><th>Applied</th><th>User</th><th>Changes</th><th>Affected Queues</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="history-actions">
+                    <button class="btn btn-primary" data-action="compare-snapshots" disabled>Compare Selected</button>
+                </div>`;
+    }
+
+    /**
+     * Shows a list of changes below the snapshot list.
+     * @param {string} title - Heading of the diff
+     * @param {Array<Object>} changes - Changes in ChangePreview format
+     */
+    showDiff(title, changes) {
+        const diffEl = DomUtils.getById('history-diff');
+        if (!diffEl) return;
+
+        DomUtils.getById('history-diff-title').textContent = title;
+        const changePreview = new ChangePreview(DomUtils.getById('history-diff-preview'), {
+            showDiff: true,
+            showSummary: true,
+            collapsible: true,
+            maxChanges: 200,
+        });
+        changePreview.setChanges(changes);
+        changePreview.render();
+        DomUtils.show(diffEl);
+        diffEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * Node Labels tab. Lists the cluster node labels with their exclusivity and
+ * resources, and shows a queue x label matrix of label capacities that can be
+ * edited inline. Capacity edits are staged like any other queue change, while
+ * label creation, removal and node assignment go to the ResourceManager directly.
+ */
+class NodeLabelsView extends EventEmitter {
+    constructor() {
+        super();
+        this.containerEl = DomUtils.getById('node-labels-container');
+
+        if (!this.containerEl) {
+            console.error('NodeLabelsView: Required DOM element not found.');
+            return;
+        }
+
+        this._assigningLabel = null; // Label whose node assignment editor is open
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.containerEl.addEventListener('submit', (event) => {
+            if (event.target.id !== 'add-node-label-form') return;
+            event.preventDefault();
+            this._handleAddLabel();
+        });
+
+        this.containerEl.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+            const { action, label } = button.dataset;
+
+            switch (action) {
+                case 'assign-nodes': {
+                    this._assigningLabel = label;
+                    this._emit('nodeAssignmentOpened', label);
+                    break;
+                }
+                case 'remove-label': {
+                    this._emit('removeNodeLabelRequested', label);
+                    break;
+                }
+                case 'cancel-assignment': {
+                    this._assigningLabel = null;
+                    DomUtils.empty(DomUtils.getById('node-label-assignment'));
+                    break;
+                }
+                case 'save-assignment': {
+                    const nodeIds = [...this.containerEl.querySelectorAll('.node-assignment-checkbox:checked')].map(
+                        (checkbox) => checkbox.value
+                    );
+                    this._emit('assignNodesRequested', { label, nodeIds });
+                    break;
+                }
+                default: {
+                    break;
+                }
+            }
+        });
+
+        this.containerEl.addEventListener('change', (event) => {
+            const input = event.target;
+            if (!input.classList.contains('node-label-capacity-input')) return;
+
+            const value = input.value.trim();
+            const previousValue = input.dataset.originalValue || '';
+            if (value === previousValue) return;
+
+            if (value === '') {
+                input.value = previousValue;
+                this._emit('showNotification', {
+                    message: 'Label capacities cannot be cleared here. Edit the queue to remove a label.',
+                    type: 'warning',
+                });
+                return;
+            }
+
+            const validation = CapacityValueParser.validate(value, null, false);
+            if (!validation.isValid) {
+                input.classList.add('invalid');
+                this._emit('showNotification', {
+                    message: `Invalid ${input.dataset.property} for ${input.dataset.queuePath} on "${input.dataset.label}": ${validation.errors.join(', ')}`,
+                    type: 'error',
+                });
+                return;
+            }
+
+            input.classList.remove('invalid');
+            this._emit('labelCapacityChanged', {
+                queuePath: input.dataset.queuePath,
+                label: input.dataset.label,
+                property: input.dataset.property,
+                value: validation.value,
+            });
+        });
+    }
+
+    _handleAddLabel() {
+        const nameInput = DomUtils.getById('new-node-label-name');
+        const name = nameInput.value.trim();
+        const validation = this._validateLabelName(name);
+        if (!validation.isValid) {
+            this._emit('showNotification', { message: validation.message, type: 'error' });
+            return;
+        }
+
+        this._emit('addNodeLabelRequested', {
+            name,
+            exclusivity: DomUtils.getById('new-node-label-exclusive').checked,
+        });
+    }
+
+    /**
+     * Checks a label name against the ResourceManager's naming rules.
+     * @param {string} name - Label name
+     * @returns {{isValid: boolean, message?: string}}
+     */
+    _validateLabelName(name) {
+        if (!name) {
+            return { isValid: false, message: 'Enter a label name.' };
+        }
+        if (name.length > 255) {
+            return { isValid: false, message: 'Label names cannot be longer than 255 characters.' };
+        }
+        if (!/^[\dA-Za-z][\w-]*$/.test(name)) {
+            return {
+                isValid: false,
+                message: 'Label names must start with a letter or digit and contain only letters, digits, "-" and "_".',
+            };
+        }
+        return { isValid: true };
+    }
+
+    /**
+     * Renders the label overview, the label management controls and the queue/label capacity matrix.
+     * @param {Array<Object>} labelOverview - From NodeLabelService.getLabelOverview()
+     * @param {Array<Object>} matrix - From NodeLabelService.getQueueLabelMatrix()
+     * @param {Array<Object>} nodeAssignments - From NodeLabelService.getNodeAssignments()
+     */
+    render(labelOverview, matrix, nodeAssignments = []) {
+        if (!this.containerEl) return;
+
+        const labels = labelOverview.filter((entry) => entry.name !== DEFAULT_PARTITION).map((entry) => entry.name);
+        if (this._assigningLabel && !labels.includes(this._assigningLabel)) {
+            this._assigningLabel = null;
+        }
+
+        this.containerEl.innerHTML = `
+            <div class="config-group">
+                <h3 class="config-group-title">Cluster Node Labels</h3>
+                <p class="form-help">Adding, removing and assigning labels is applied to the ResourceManager immediately and is not part of the staged changes.</p>
+                ${this._renderOverviewTable(labelOverview)}
+                <form class="node-label-add-form" id="add-node-label-form">
+                    <div class="placement-rule-field">
+                        <label class="form-label" for="new-node-label-name">New Label</label>
+                        <input type="text" id="new-node-label-name" class="form-input" placeholder="gpu">
+                    </div>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="new-node-label-exclusive" checked> Exclusive
+                    </label>
+                    <button type="submit" class="btn btn-secondary">Add Label</button>
+                </form>
+                <div id="node-label-assignment">${this._assigningLabel ? this._renderAssignment(this._assigningLabel, nodeAssignments) : ''}</div>
+            </div>
+            <div class="config-group">
+                <h3 class="config-group-title">Queue Label Capacities</h3>
+                <p class="form-help">Capacity and maximum capacity of each queue per partition. Cells are editable only where the queue can access the label; changes are staged.</p>
+                ${labels.length > 0 ? this._renderMatrix(labels, matrix) : '<p class="node-labels-empty">No node labels are defined in the cluster.</p>'}
+            </div>`;
+    }
+
+    _renderOverviewTable(labelOverview) {
+        const rows = labelOverview
+            .map((entry) => {
+                const isDefault = entry.name === DEFAULT_PARTITION;
+                let exclusivity = 'Unknown';
+                if (entry.exclusivity !== null) {
+                    exclusivity = entry.exclusivity ? 'Exclusive' : 'Non-exclusive';
+                }
+                const queues =
+                    entry.queues.length > 0 ? entry.queues.map((path) => DomUtils.escapeXml(path)).join(', ') : '—';
+
+                return `<tr>
+                            <td>${isDefault ? '<em>DEFAULT_PARTITION</em>' : `<span class="node-labels-name">${DomUtils.escapeXml(entry.name)}</span>`}</td>
+                            <td>${isDefault ? '—' : exclusivity}</td>
+                            <td>${entry.nodeCount}</td>
+                            <td>${this._formatMemory(entry.memoryMB)}</td>
+                            <td>${entry.vCores}</td>
+                            <td class="node-labels-queues">${isDefault ? `All queues (${entry.queues.length})` : queues}</td>
+                            <td class="node-labels-actions">${isDefault || entry.exclusivity === null ? '' : this._renderLabelActions(entry.name)}</td>
+                        </tr>`;
+            })
+            .join('');
+
+        return `<table class="node-labels-table">
+                    <thead><tr><th>Label</th><th>Exclusivity</th><th>Nodes</th><th>Memory</th><th>vCores</th><th>Accessible by</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+    }
+
+    _renderLabelActions(label) {
+        const escapedLabel = DomUtils.escapeXml(label);
+        return `<button class="btn btn-sm btn-secondary" data-action="assign-nodes" data-label="${escapedLabel}">Assign Nodes</button>
+                <button class="btn btn-sm btn-danger" data-action="remove-label" data-label="${escapedLabel}">Remove</button>`;
+    }
+
+    _renderAssignment(label, nodeAssignments) {
+        const escapedLabel = DomUtils.escapeXml(label);
+        const rows = nodeAssignments
+            .map((node) => {
+                const otherLabels = node.labels.filter((nodeLabel) => nodeLabel !== label);
+                const note =
+                    otherLabels.length > 0
+                        ? ` <span class="form-help">(currently ${DomUtils.escapeXml(otherLabels.join(', '))})</span>`
+                        : '';
+                return `<tr>
+                            <td><input type="checkbox" class="node-assignment-checkbox" value="${DomUtils.escapeXml(node.id)}" ${node.labels.includes(label) ? 'checked' : ''}></td>
+                            <td class="node-labels-queues">${DomUtils.escapeXml(node.host)}${note}</td>
+                            <td>${DomUtils.escapeXml(node.state || '')}</td>
+                        </tr>`;
+            })
+            .join('');
+
+        return `<div class="node-label-assignment">
+                    <h4>Nodes with label <span class="node-labels-name">${escapedLabel}</span></h4>
+                    <p class="form-help">A node carries a single label, so selecting a node moves it away from its current label.</p>
+                    ${
+                        rows
+                            ? `<table class="node-labels-table">
+                                <thead><tr><th></th><th>Host</th><th>State</th></tr></thead>
+                                <tbody>${rows}</tbody>
+                            </table>`
+                            : '<p class="node-labels-empty">No cluster nodes are known.</p>'
+                    }
+                    <div class="placement-rule-editor-actions">
+                        <button class="btn btn-secondary" data-action="cancel-assignment">Cancel</button>
+                        <button class="btn btn-primary" data-action="save-assignment" data-label="${escapedLabel}" ${rows ? '' : 'disabled'}>Apply Assignment</button>
+                    </div>
+                </div>`;
+    }
+
+    /**
+     * Closes the node assignment editor, e.g. after the assignment was applied.
+     */
+    closeAssignment() {
+        this._assigningLabel = null;
+    }
+
+    _renderMatrix(labels, matrix) {
+        const header = labels
+            .map((label) => `<th colspan="2" class="node-label-column">${DomUtils.escapeXml(label)}</th>`)
+            .join('');
+        const subHeader = labels.map(() => '<th>Capacity</th><th>Max</th>').join('');
+
+        const rows = matrix
+            .map((row) => {
+                const cells = labels
+                    .map((label) => {
+                        const cell = row.cells[label];
+                        if (!cell.accessible) {
+                            return '<td class="node-label-cell-disabled" colspan="2">not accessible</td>';
+                        }
+                        return (
+                            this._renderCapacityInput(row.path, label, 'capacity', cell.capacity, cell.capacityStaged) +
+                            this._renderCapacityInput(
+                                row.path,
+                                label,
+                                'maximum-capacity',
+                                cell.maxCapacity,
+                                cell.maxCapacityStaged
+                            )
+                        );
+                    })
+                    .join('');
+
+                return `<tr>
+                            <td class="node-labels-queue" style="padding-left: ${8 + row.depth * 16}px" title="${DomUtils.escapeXml(row.path)}">${DomUtils.escapeXml(row.name)}</td>
+                            ${cells}
+                        </tr>`;
+            })
+            .join('');
+
+        return `<div class="node-labels-matrix-wrapper">
+                    <table class="node-labels-table node-labels-matrix">
+                        <thead>
+                            <tr><th rowspan="2">Queue</th>${header}</tr>
+                            <tr>${subHeader}</tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`;
+    }
+
+    _renderCapacityInput(queuePath, label, property, value, isStaged) {
+        const currentValue = value === undefined ? '' : String(value);
+        const metadata = Object.values(NODE_LABEL_CONFIG_METADATA.perLabelProperties).find(
+            (meta) => meta.key === property
+        );
+        const placeholder = metadata ? metadata.defaultValue : '';
+        return `<td class="${isStaged ? 'has-staged-changes' : ''}">
+                    <input type="text" class="form-input node-label-capacity-input"
+                           value="${DomUtils.escapeXml(currentValue)}"
+                           placeholder="${DomUtils.escapeXml(placeholder)}"
+                           data-original-value="${DomUtils.escapeXml(currentValue)}"
+                           data-queue-path="${DomUtils.escapeXml(queuePath)}"
+                           data-label="${DomUtils.escapeXml(label)}"
+                           data-property="${property}">
+                    ${isStaged ? '<span class="staged-indicator">Staged</span>' : ''}
+                </td>`;
+    }
+
+    _formatMemory(memoryMB) {
+        if (memoryMB >= 1024) {
+            return `${Number((memoryMB / 1024).toFixed(1))} GB`;
+        }
+        return `${memoryMB} MB`;
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Placement rule simulator shown below the placement rules editor.
+ * Collects a simulated submission (user, groups, application name) and displays
+ * which rule matches and which queue the application resolves to.
+ */
+class PlacementRuleSimulatorView extends EventEmitter {
+    constructor() {
+        super();
+        this.containerEl = DomUtils.getById('placement-rule-simulator-container');
+
+        if (!this.containerEl) {
+            console.error('PlacementRuleSimulatorView: Required DOM element not found.');
+            return;
+        }
+
+        this._renderForm();
+        this._bindEvents();
+    }
+
+    _renderForm() {
+        this.containerEl.innerHTML = `
+            <div class="config-group placement-simulator">
+                <h3 class="config-group-title">Rule Simulator</h3>
+                <p class="form-help">Evaluates the staged configuration, including staged queue changes. Stage rule edits first to include them.</p>
+                <form class="placement-simulator-form" id="placement-simulator-form">
+                    <div class="placement-rule-field">
+                        <label class="form-label" for="simulator-user">User</label>
+                        <input type="text" id="simulator-user" class="form-input" placeholder="alice" required>
+                    </div>
+                    <div class="placement-rule-field">
+                        <label class="form-label" for="simulator-groups">Groups (primary first)</label>
+                        <input type="text" id="simulator-groups" class="form-input" placeholder="dev, analysts">
+                    </div>
+                    <div class="placement-rule-field">
+                        <label class="form-label" for="simulator-application">Application Name</label>
+                        <input type="text" id="simulator-application" class="form-input" placeholder="spark-etl">
+                    </div>
+                    <div class="placement-rule-field">
+                        <label class="form-label" for="simulator-queue">Requested Queue (optional)</label>
+                        <input type="text" id="simulator-queue" class="form-input" placeholder="default">
+                    </div>
+                    <button type="submit" class="btn btn-primary">Simulate</button>
+                </form>
+                <div id="placement-simulator-result"></div>
+                <div id="placement-rule-issues"></div>
+            </div>`;
+        this.formEl = DomUtils.getById('placement-simulator-form');
+        this.resultEl = DomUtils.getById('placement-simulator-result');
+        this.issuesEl = DomUtils.getById('placement-rule-issues');
+    }
+
+    _bindEvents() {
+        this.formEl.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const groups = DomUtils.getById('simulator-groups')
+                .value.split(',')
+                .map((group) => group.trim())
+                .filter(Boolean);
+            this._emit('simulatePlacementRequested', {
+                user: DomUtils.getById('simulator-user').value.trim(),
+                groups,
+                applicationName: DomUtils.getById('simulator-application').value.trim(),
+                submittedQueue: DomUtils.getById('simulator-queue').value.trim(),
+            });
+        });
+    }
+
+    /**
+     * Renders the issues found by PlacementRuleSimulator.checkRules() for the staged rules.
+     * Clears any previous simulation result since it may be stale.
+     * @param {Array<{index: number, rule: Object, message: string}>} issues
+     */
+    render(issues) {
+        if (!this.containerEl) return;
+        DomUtils.empty(this.resultEl);
+
+        if (!issues || issues.length === 0) {
+            DomUtils.empty(this.issuesEl);
+            return;
+        }
+
+        this.issuesEl.innerHTML = `
+            <div class="placement-rules-errors">
+                <strong>Staged rules with problems:</strong>
+                <ul>${issues
+                    .map(
+                        (issue) =>
+                            `<li>Rule #${issue.index + 1} (${DomUtils.escapeXml(issue.rule.type)} ${DomUtils.escapeXml(issue.rule.matches)}): ${DomUtils.escapeXml(issue.message)}</li>`
+                    )
+                    .join('')}</ul>
+            </div>`;
+    }
+
+    /**
+     * Renders the result of PlacementRuleSimulator.simulate().
+     * @param {Object} result
+     */
+    renderResult(result) {
+        if (!this.resultEl) return;
+
+        let summaryClass = 'placed';
+        let summary;
+        if (result.outcome === 'rejected') {
+            summaryClass = 'rejected';
+            summary = 'Application is rejected';
+        } else {
+            summary = `Application is placed in <code>${DomUtils.escapeXml(result.queuePath)}</code>`;
+            if (result.queueCheck && !result.queueCheck.isValid) {
+                summaryClass = 'invalid';
+                summary += ` <span class="placement-simulator-warning">⚠️ ${DomUtils.escapeXml(result.queueCheck.message)}</span>`;
+            }
+        }
+
+        const rows = result.trace
+            .map((entry) => {
+                let rowClass = entry.issue ? 'issue' : '';
+                if (entry.index === result.matchedIndex) {
+                    rowClass = 'matched';
+                }
+                return `<tr class="${rowClass}">
+                            <td>${entry.index + 1}</td>
+                            <td>${DomUtils.escapeXml(entry.rule.type)}</td>
+                            <td><code>${DomUtils.escapeXml(entry.rule.matches)}</code></td>
+                            <td><code>${DomUtils.escapeXml(PlacementRuleParser.describeTarget(entry.rule))}</code></td>
+                            <td>${entry.issue ? '⚠️ ' : ''}${DomUtils.escapeXml(entry.reason)}</td>
+                        </tr>`;
+            })
+            .join('');
+
+        this.resultEl.innerHTML = `
+            <div class="placement-simulator-summary ${summaryClass}">
+                <div>${summary}</div>
+                <div class="form-help">${DomUtils.escapeXml(result.message)}</div>
+            </div>
+            ${
+                rows
+                    ? `<table class="placement-simulator-trace">
+                        <thead><tr><th>#</th><th>Type</th><th>Matches</th><th>Target</th><th>Result</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>`
+                    : ''
+            }`;
+    }
+}
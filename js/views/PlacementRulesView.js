@@ -0,0 +1,526 @@
+/**
+ * Editor for queue placement rules (queue-mappings and mapping-rule-json).
+ * Keeps a working copy of the rules for both formats, lets the user add, edit,
+ * delete and drag-to-reorder rules, and emits the changed global properties
+ * for staging through the regular global config flow.
+ */
+class PlacementRulesView extends EventEmitter {
+    constructor() {
+        super();
+        this.containerEl = DomUtils.getById('placement-rules-container');
+        this.addRuleBtn = DomUtils.getById('add-placement-rule-btn');
+        this.saveBtn = DomUtils.getById('save-placement-rules-btn');
+
+        this.format = PLACEMENT_RULES_METADATA.defaultFormat;
+        this.overrideEnabled = false;
+        this.rulesByFormat = { legacy: [], json: [] };
+        this.parseErrorsByFormat = { legacy: [], json: [] };
+        this.pendingChanges = new Map();
+        this.editingIndex = null; // null = not editing, -1 = new rule, otherwise index in the rule list
+        this._baseline = null;
+        this._dragIndex = null;
+
+        if (!this.containerEl) {
+            console.error('PlacementRulesView: Required DOM element not found.');
+            return;
+        }
+
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        if (this.addRuleBtn) {
+            this.addRuleBtn.addEventListener('click', () => {
+                this.editingIndex = -1;
+                this._renderContent();
+            });
+        }
+
+        if (this.saveBtn) {
+            this.saveBtn.addEventListener('click', () => {
+                if (this.editingIndex !== null) {
+                    this._emit('showNotification', {
+                        message: 'Save or cancel the rule being edited before staging.',
+                        type: 'warning',
+                    });
+                    return;
+                }
+                const formData = this._collectFormData();
+                if (Object.keys(formData.params).length > 0) {
+                    this._emit('savePlacementRulesClicked', formData);
+                } else {
+                    this._emit('showNotification', { message: 'No changes detected to save.', type: 'info' });
+                }
+            });
+        }
+
+        this.containerEl.addEventListener('click', (event) => {
+            const actionEl = event.target.closest('[data-action]');
+            if (!actionEl || !this.containerEl.contains(actionEl)) return;
+            this._handleAction(actionEl.dataset.action, actionEl);
+        });
+
+        this.containerEl.addEventListener('change', (event) => {
+            const target = event.target;
+            if (target.id === 'placement-rule-format') {
+                this.format = target.value;
+                this.editingIndex = null;
+                this._renderContent();
+            } else if (target.id === 'placement-rule-override') {
+                this.overrideEnabled = target.checked;
+                this._renderContent();
+            } else if (target.dataset.ruleField === 'policy') {
+                this._updateEditorTargetField();
+            }
+        });
+
+        this.containerEl.addEventListener('dragstart', (event) => {
+            const item = event.target.closest('.placement-rule-item');
+            if (!item || this.editingIndex !== null) {
+                event.preventDefault();
+                return;
+            }
+            this._dragIndex = Number(item.dataset.index);
+            item.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', item.dataset.index);
+        });
+
+        this.containerEl.addEventListener('dragover', (event) => {
+            const item = event.target.closest('.placement-rule-item');
+            if (!item || this._dragIndex === null) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            for (const other of DomUtils.qsa('.placement-rule-item.drag-over', this.containerEl)) {
+                if (other !== item) other.classList.remove('drag-over');
+            }
+            item.classList.add('drag-over');
+        });
+
+        this.containerEl.addEventListener('drop', (event) => {
+            const item = event.target.closest('.placement-rule-item');
+            if (!item || this._dragIndex === null) return;
+            event.preventDefault();
+            this._moveRule(this._dragIndex, Number(item.dataset.index));
+            this._dragIndex = null;
+            this._renderContent();
+        });
+
+        this.containerEl.addEventListener('dragend', () => {
+            this._dragIndex = null;
+            for (const item of DomUtils.qsa('.placement-rule-item', this.containerEl)) {
+                item.classList.remove('dragging', 'drag-over');
+            }
+        });
+    }
+
+    /**
+     * Renders the placement rules editor from the effective global configuration.
+     * Discards any local edits that have not been staged.
+     * @param {Map<string, string>} globalConfigData - Effective global properties from SchedulerConfigModel.
+     * @param {Map<string, string>} pendingChanges - Map of staged global changes (optional)
+     */
+    render(globalConfigData, pendingChanges = new Map()) {
+        if (!this.containerEl) return;
+
+        const config = globalConfigData || new Map();
+        const current = PlacementRuleParser.fromGlobalConfig(config);
+        const legacy = PlacementRuleParser.parseLegacyRules(
+            config.get(PLACEMENT_RULE_PROPERTIES.QUEUE_MAPPINGS),
+            config.get(PLACEMENT_RULE_PROPERTIES.APP_NAME_MAPPINGS)
+        );
+        const json = PlacementRuleParser.parseJsonRules(config.get(PLACEMENT_RULE_PROPERTIES.JSON_RULES));
+
+        this.format = current.format;
+        this.overrideEnabled = current.overrideEnabled;
+        this.rulesByFormat = { legacy: legacy.rules, json: json.rules };
+        this.parseErrorsByFormat = { legacy: legacy.errors, json: json.errors };
+        this.pendingChanges = pendingChanges;
+        this.editingIndex = null;
+
+        const serializedLegacy = PlacementRuleParser.serializeLegacyRules(legacy.rules);
+        this._baseline = {
+            format: current.format,
+            overrideEnabled: current.overrideEnabled,
+            queueMappings: serializedLegacy.queueMappings,
+            appNameMappings: serializedLegacy.appNameMappings,
+            json: PlacementRuleParser.serializeJsonRules(json.rules),
+        };
+
+        this._renderContent();
+    }
+
+    /**
+     * Returns the rule list for the currently selected format.
+     * @returns {Array<Object>}
+     */
+    getRules() {
+        return this.rulesByFormat[this.format];
+    }
+
+    _renderContent() {
+        const rules = this.getRules();
+        const pending = this.pendingChanges;
+        const formatMeta = PLACEMENT_RULES_METADATA.formats[this.format];
+        const ruleProperties =
+            this.format === 'json'
+                ? [PLACEMENT_RULE_PROPERTIES.JSON_RULES]
+                : [PLACEMENT_RULE_PROPERTIES.QUEUE_MAPPINGS, PLACEMENT_RULE_PROPERTIES.APP_NAME_MAPPINGS];
+        const rulesStaged = ruleProperties.some((property) => pending.has(property));
+
+        let html = `<div class="config-group">
+            <h3 class="config-group-title">Rule Settings</h3>
+            ${this._buildSettingItemHtml(
+                'Rule Format',
+                PLACEMENT_RULE_PROPERTIES.FORMAT,
+                formatMeta.description,
+                this._buildFormatSelectHtml()
+            )}`;
+        if (this.format === 'legacy') {
+            html += this._buildSettingItemHtml(
+                'Override Specified Queue',
+                PLACEMENT_RULE_PROPERTIES.OVERRIDE_ENABLED,
+                'When enabled, matching rules take precedence over the queue requested at submission time.',
+                `<label class="toggle-switch">
+                    <input type="checkbox" id="placement-rule-override" ${this.overrideEnabled ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                </label>`
+            );
+        }
+        html += `</div>`;
+
+        const parseErrors = this.parseErrorsByFormat[this.format];
+        if (parseErrors.length > 0) {
+            html += `<div class="placement-rules-errors">
+                <strong>Some configured rules could not be read and will be dropped when staging:</strong>
+                <ul>${parseErrors.map((error) => `<li>${DomUtils.escapeXml(error)}</li>`).join('')}</ul>
+            </div>`;
+        }
+
+        html += `<div class="config-group">
+            <h3 class="config-group-title">
+                Rules (${rules.length})
+                ${rulesStaged ? '<span class="staged-indicator" title="Rules have staged changes">Staged</span>' : ''}
+            </h3>
+            <p class="form-help">Rules are evaluated from top to bottom and the first matching rule decides the queue. Drag rules to reorder them.</p>`;
+
+        if (rules.length === 0 && this.editingIndex !== -1) {
+            html += `<p class="placement-rules-empty">No placement rules are configured. Applications go to the queue they request or to the default queue.</p>`;
+        }
+
+        html += `<ol class="placement-rule-list">`;
+        for (const [index, rule] of rules.entries()) {
+            html +=
+                index === this.editingIndex ? this._buildEditorHtml(rule, index) : this._buildRuleItemHtml(rule, index);
+        }
+        if (this.editingIndex === -1) {
+            html += this._buildEditorHtml(this._createEmptyRule(), -1);
+        }
+        html += `</ol></div>`;
+
+        this.containerEl.innerHTML = html;
+        this._updateEditorTargetField();
+        this._updateSaveButtonState();
+    }
+
+    _buildSettingItemHtml(displayName, propertyName, description, controlHtml) {
+        const staged = this.pendingChanges.has(propertyName);
+        return `<div class="config-item ${staged ? 'has-staged-changes' : ''}">
+                    <div class="config-item-col-left">
+                        <div class="config-display-name">
+                            <span>${DomUtils.escapeXml(displayName)}</span>
+                            ${staged ? '<span class="staged-indicator" title="This field has staged changes">Staged</span>' : ''}
+                        </div>
+                        <div class="config-yarn-property">${DomUtils.escapeXml(propertyName)}</div>
+                    </div>
+                    <div class="config-item-col-middle config-description">${DomUtils.escapeXml(description)}</div>
+                    <div class="config-item-col-right config-item-value-control">${controlHtml}</div>
+                </div>`;
+    }
+
+    _buildFormatSelectHtml() {
+        const options = Object.entries(PLACEMENT_RULES_METADATA.formats)
+            .map(
+                ([format, meta]) =>
+                    `<option value="${format}" ${format === this.format ? 'selected' : ''}>${DomUtils.escapeXml(meta.displayName)}</option>`
+            )
+            .join('');
+        return `<select id="placement-rule-format" class="config-value-input">${options}</select>`;
+    }
+
+    _buildRuleItemHtml(rule, index) {
+        const typeMeta = PLACEMENT_RULES_METADATA.ruleTypes[rule.type];
+        const details = [];
+        if (this.format === 'json') {
+            const fallback = rule.fallbackResult || PLACEMENT_RULES_METADATA.defaultFallbackResult;
+            details.push(`fallback: ${fallback}`);
+            if (rule.create) details.push('creates queue');
+        }
+
+        return `<li class="placement-rule-item" draggable="true" data-index="${index}">
+                    <span class="placement-rule-handle" title="Drag to reorder">⋮⋮</span>
+                    <span class="placement-rule-order">${index + 1}</span>
+                    <span class="placement-rule-type placement-rule-type-${DomUtils.escapeXml(rule.type)}">${DomUtils.escapeXml(typeMeta ? typeMeta.displayName : rule.type)}</span>
+                    <span class="placement-rule-match" title="Matches">${DomUtils.escapeXml(rule.matches)}</span>
+                    <span class="placement-rule-arrow">→</span>
+                    <span class="placement-rule-target">${DomUtils.escapeXml(PlacementRuleParser.describeTarget(rule))}</span>
+                    <span class="placement-rule-details">${DomUtils.escapeXml(details.join(', '))}</span>
+                    <div class="placement-rule-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="edit" data-index="${index}">Edit</button>
+                        <button type="button" class="btn btn-danger btn-sm" data-action="delete" data-index="${index}">Delete</button>
+                    </div>
+                </li>`;
+    }
+
+    _buildEditorHtml(rule, index) {
+        const typeOptions = Object.entries(PLACEMENT_RULES_METADATA.ruleTypes)
+            .map(
+                ([type, meta]) =>
+                    `<option value="${type}" ${type === rule.type ? 'selected' : ''}>${DomUtils.escapeXml(meta.displayName)}</option>`
+            )
+            .join('');
+
+        let fieldsHtml = `
+            <div class="placement-rule-field">
+                <label class="form-label" for="placement-rule-type">Type</label>
+                <select id="placement-rule-type" class="form-input" data-rule-field="type">${typeOptions}</select>
+            </div>
+            <div class="placement-rule-field">
+                <label class="form-label" for="placement-rule-matches">Matches</label>
+                <input type="text" id="placement-rule-matches" class="form-input" data-rule-field="matches"
+                    value="${DomUtils.escapeXml(rule.matches || '')}"
+                    placeholder="${this.format === 'json' ? 'name or *' : 'name or %user'}">
+            </div>`;
+
+        if (this.format === 'json') {
+            const policyOptions = Object.entries(PLACEMENT_RULES_METADATA.policies)
+                .map(
+                    ([policy, meta]) =>
+                        `<option value="${policy}" ${policy === rule.policy ? 'selected' : ''}>${DomUtils.escapeXml(meta.displayName)}</option>`
+                )
+                .join('');
+            const fallbackOptions = Object.entries(PLACEMENT_RULES_METADATA.fallbackResults)
+                .map(
+                    ([fallback, label]) =>
+                        `<option value="${fallback}" ${fallback === (rule.fallbackResult || PLACEMENT_RULES_METADATA.defaultFallbackResult) ? 'selected' : ''}>${DomUtils.escapeXml(label)}</option>`
+                )
+                .join('');
+            const policyMeta = PLACEMENT_RULES_METADATA.policies[rule.policy];
+            const targetValue = policyMeta && policyMeta.targetField ? rule[policyMeta.targetField] || '' : '';
+
+            fieldsHtml += `
+            <div class="placement-rule-field">
+                <label class="form-label" for="placement-rule-policy">Policy</label>
+                <select id="placement-rule-policy" class="form-input" data-rule-field="policy">${policyOptions}</select>
+            </div>
+            <div class="placement-rule-field" id="placement-rule-target-field">
+                <label class="form-label" for="placement-rule-target" id="placement-rule-target-label">Queue</label>
+                <input type="text" id="placement-rule-target" class="form-input" data-rule-field="target"
+                    value="${DomUtils.escapeXml(targetValue)}" placeholder="root.users">
+            </div>
+            <div class="placement-rule-field">
+                <label class="form-label" for="placement-rule-fallback">Fallback</label>
+                <select id="placement-rule-fallback" class="form-input" data-rule-field="fallbackResult">${fallbackOptions}</select>
+            </div>
+            <div class="placement-rule-field placement-rule-field-checkbox">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="placement-rule-create" data-rule-field="create" ${rule.create ? 'checked' : ''}>
+                    Create queue if missing
+                </label>
+            </div>`;
+        } else {
+            fieldsHtml += `
+            <div class="placement-rule-field">
+                <label class="form-label" for="placement-rule-target">Queue</label>
+                <input type="text" id="placement-rule-target" class="form-input" data-rule-field="target"
+                    value="${DomUtils.escapeXml(rule.customPlacement || '')}" placeholder="root.users.%user">
+            </div>`;
+        }
+
+        return `<li class="placement-rule-item editing" data-index="${index}">
+                    <div class="placement-rule-editor">
+                        <div class="placement-rule-fields">${fieldsHtml}</div>
+                        <div class="placement-rule-editor-error" id="placement-rule-editor-error"></div>
+                        <div class="placement-rule-editor-actions">
+                            <button type="button" class="btn btn-secondary btn-sm" data-action="cancel-edit">Cancel</button>
+                            <button type="button" class="btn btn-primary btn-sm" data-action="save-rule">${index === -1 ? 'Add Rule' : 'Update Rule'}</button>
+                        </div>
+                    </div>
+                </li>`;
+    }
+
+    /**
+     * Shows or hides the target input in the JSON editor depending on the selected policy.
+     * @private
+     */
+    _updateEditorTargetField() {
+        const policySelect = DomUtils.getById('placement-rule-policy');
+        const targetField = DomUtils.getById('placement-rule-target-field');
+        const targetLabel = DomUtils.getById('placement-rule-target-label');
+        if (!policySelect || !targetField || !targetLabel) return;
+
+        const targetFieldName = PLACEMENT_RULES_METADATA.policies[policySelect.value]?.targetField;
+        const labels = { customPlacement: 'Queue', parentQueue: 'Parent Queue', value: 'Default Queue' };
+        DomUtils.show(targetField, targetFieldName ? 'flex' : 'none');
+        targetLabel.textContent = labels[targetFieldName] || 'Queue';
+    }
+
+    _handleAction(action, actionEl) {
+        const index = Number(actionEl.dataset.index);
+        switch (action) {
+            case 'edit': {
+                this.editingIndex = index;
+                this._renderContent();
+                break;
+            }
+            case 'delete': {
+                this.getRules().splice(index, 1);
+                this.editingIndex = null;
+                this._renderContent();
+                break;
+            }
+            case 'cancel-edit': {
+                this.editingIndex = null;
+                this._renderContent();
+                break;
+            }
+            case 'save-rule': {
+                this._saveEditedRule();
+                break;
+            }
+        }
+    }
+
+    _saveEditedRule() {
+        const rule = this._readEditorRule();
+        const validation = PlacementRuleParser.validateRule(rule, this.format);
+        if (!validation.isValid) {
+            const errorEl = DomUtils.getById('placement-rule-editor-error');
+            if (errorEl) errorEl.textContent = validation.message;
+            return;
+        }
+
+        const rules = this.getRules();
+        if (this.editingIndex === -1) {
+            rules.push(rule);
+        } else {
+            rules[this.editingIndex] = rule;
+        }
+        if (this.format === 'legacy') {
+            this._enforceLegacyOrder();
+        }
+        this.editingIndex = null;
+        this._renderContent();
+    }
+
+    /**
+     * Reads the rule from the editor form, keeping unknown keys of the rule being edited.
+     * @returns {Object}
+     * @private
+     */
+    _readEditorRule() {
+        const valueOf = (field) => {
+            const input = DomUtils.qs(`[data-rule-field="${field}"]`, this.containerEl);
+            if (!input) return;
+            return input.type === 'checkbox' ? input.checked : input.value.trim();
+        };
+        const original = this.editingIndex >= 0 ? this.getRules()[this.editingIndex] : {};
+        const rule = { ...original, type: valueOf('type'), matches: valueOf('matches') };
+
+        if (this.format === 'legacy') {
+            rule.policy = 'custom';
+            rule.customPlacement = valueOf('target');
+            return rule;
+        }
+
+        rule.policy = valueOf('policy');
+        rule.fallbackResult = valueOf('fallbackResult');
+        rule.create = valueOf('create');
+        for (const meta of Object.values(PLACEMENT_RULES_METADATA.policies)) {
+            if (meta.targetField) delete rule[meta.targetField];
+        }
+        const targetField = PLACEMENT_RULES_METADATA.policies[rule.policy]?.targetField;
+        if (targetField) {
+            rule[targetField] = valueOf('target');
+        }
+        return rule;
+    }
+
+    _createEmptyRule() {
+        return this.format === 'json'
+            ? {
+                  type: 'user',
+                  matches: '*',
+                  policy: 'user',
+                  parentQueue: '',
+                  fallbackResult: PLACEMENT_RULES_METADATA.defaultFallbackResult,
+                  create: false,
+              }
+            : { type: 'user', matches: '', policy: 'custom', customPlacement: '' };
+    }
+
+    _moveRule(fromIndex, toIndex) {
+        const rules = this.getRules();
+        if (fromIndex === toIndex || !rules[fromIndex] || !rules[toIndex]) return;
+        const [moved] = rules.splice(fromIndex, 1);
+        rules.splice(toIndex, 0, moved);
+        if (this.format === 'legacy') {
+            this._enforceLegacyOrder();
+        }
+    }
+
+    /**
+     * Legacy format stores application rules separately and evaluates them after
+     * user and group rules, so keep the list in that order.
+     * @private
+     */
+    _enforceLegacyOrder() {
+        const rules = this.rulesByFormat.legacy;
+        const ordered = [
+            ...rules.filter((rule) => rule.type !== 'application'),
+            ...rules.filter((rule) => rule.type === 'application'),
+        ];
+        rules.splice(0, rules.length, ...ordered);
+    }
+
+    /**
+     * Builds the changed global properties compared to the configuration the view was rendered from.
+     * @returns {{params: Object}}
+     * @private
+     */
+    _collectFormData() {
+        const formData = { params: {} };
+        if (!this._baseline) return formData;
+
+        if (this.format !== this._baseline.format) {
+            formData.params[PLACEMENT_RULE_PROPERTIES.FORMAT] = this.format;
+        }
+
+        if (this.format === 'json') {
+            const json = PlacementRuleParser.serializeJsonRules(this.rulesByFormat.json);
+            if (json !== this._baseline.json) {
+                formData.params[PLACEMENT_RULE_PROPERTIES.JSON_RULES] = json;
+            }
+            return formData;
+        }
+
+        const legacy = PlacementRuleParser.serializeLegacyRules(this.rulesByFormat.legacy);
+        if (legacy.queueMappings !== this._baseline.queueMappings) {
+            formData.params[PLACEMENT_RULE_PROPERTIES.QUEUE_MAPPINGS] = legacy.queueMappings;
+        }
+        if (legacy.appNameMappings !== this._baseline.appNameMappings) {
+            formData.params[PLACEMENT_RULE_PROPERTIES.APP_NAME_MAPPINGS] = legacy.appNameMappings;
+        }
+        if (this.overrideEnabled !== this._baseline.overrideEnabled) {
+            formData.params[PLACEMENT_RULE_PROPERTIES.OVERRIDE_ENABLED] = String(this.overrideEnabled);
+        }
+        return formData;
+    }
+
+    _updateSaveButtonState() {
+        if (!this.saveBtn) return;
+        const hasChanges = Object.keys(this._collectFormData().params).length > 0;
+        this.saveBtn.disabled = !hasChanges;
+        this.saveBtn.textContent = hasChanges ? 'Stage Changes' : 'No Changes';
+    }
+}
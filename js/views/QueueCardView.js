@@ -107,6 +107,10 @@ const QueueCardView = {
             'data-queue-path': formattedQueue.path,
             'data-level': formattedQueue.level,
         });
+        if (!formattedQueue.isRoot) {
+            // Dropped on another card by QueueTreeView to move the queue there
+            card.draggable = true;
+        }
         if (formattedQueue.statusClass) {
             // Handle multiple classes separated by spaces
             const classes = formattedQueue.statusClass.split(' ').filter((cls) => cls.trim());
@@ -156,7 +160,21 @@ const QueueCardView = {
         dropdown.append(editItem);
         dropdown.append(addChildItem);
 
+        if (!formattedQueue.isDeleted && Object.keys(formattedQueue.children || {}).length > 0) {
+            const rebalanceItem = DomUtils.createElement('div', 'dropdown-item', null, 'Rebalance Children');
+            rebalanceItem.addEventListener('click', () =>
+                eventEmitterCallback('rebalanceChildrenClicked', formattedQueue.path)
+            );
+            dropdown.append(rebalanceItem);
+        }
+
         if (!formattedQueue.isRoot) {
+            const duplicateItem = DomUtils.createElement('div', 'dropdown-item', null, 'Duplicate Queue');
+            duplicateItem.addEventListener('click', () =>
+                eventEmitterCallback('duplicateQueueClicked', formattedQueue.path)
+            );
+            dropdown.append(duplicateItem);
+
             const deleteItemText = formattedQueue.isDeleted ? 'Undo Delete' : 'Delete Queue';
             const deleteItem = DomUtils.createElement('div', 'dropdown-item', null, deleteItemText);
             if (!formattedQueue.isDeleted && !formattedQueue.canBeDeletedForDropdown) {
@@ -196,9 +214,60 @@ const QueueCardView = {
 
         const divider = DomUtils.createElement('hr', 'queue-card-divider');
         const labelArea = DomUtils.createElement('div', 'queue-label-area');
-        if (formattedQueue.uiLabels && formattedQueue.uiLabels.length > 0) {
+        this._renderLabels(labelArea, formattedQueue.uiLabels);
+
+        const capacitySection = DomUtils.createElement('div', 'queue-capacity-section');
+        capacitySection.innerHTML = this._createCapacityDisplayHTML(formattedQueue);
+
+        const effectiveResources = DomUtils.createElement('div', 'queue-effective-resources');
+        effectiveResources.innerHTML = this._createEffectiveResourcesHTML(formattedQueue);
+
+        const liveMetrics = DomUtils.createElement('div', 'queue-live-metrics');
+        liveMetrics.innerHTML = this._createLiveMetricsHTML(formattedQueue);
+
+        card.append(titleBar);
+        card.append(divider);
+        card.append(labelArea);
+        card.append(capacitySection);
+        card.append(effectiveResources);
+        card.append(liveMetrics);
+
+        return card;
+    },
+
+    /**
+     * Updates the labels and live metrics of a rendered card after the live data was refreshed.
+     * The rest of the card, including an open actions menu, is left untouched.
+     * @param {HTMLElement} card - Element from createCardElement()
+     * @param {Object} formattedQueue - The formatted queue with refreshed live data
+     */
+    updateLiveData(card, formattedQueue) {
+        const labelArea = DomUtils.qs('.queue-label-area', card);
+        if (labelArea) {
+            const renderedTexts = [...labelArea.children].map((element) => element.textContent);
+            const labelTexts = (formattedQueue.uiLabels || []).map((label) => label.text);
+            // Only replace labels that changed, so an open tooltip stays put
+            if (renderedTexts.join('\n') !== labelTexts.join('\n')) {
+                if (globalThis.TooltipHelper) TooltipHelper.cleanupTooltipsInContainer(labelArea);
+                DomUtils.empty(labelArea);
+                this._renderLabels(labelArea, formattedQueue.uiLabels);
+            }
+        }
+
+        const liveMetrics = DomUtils.qs('.queue-live-metrics', card);
+        if (liveMetrics) {
+            liveMetrics.innerHTML = this._createLiveMetricsHTML(formattedQueue);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _renderLabels(labelArea, uiLabels) {
+        if (uiLabels && uiLabels.length > 0) {
+            labelArea.style.minHeight = '';
             // Create label elements without old tooltip structure
-            for (const label of formattedQueue.uiLabels) {
+            for (const label of uiLabels) {
                 const labelElement = DomUtils.createElement('span', label.cssClass, null, label.text);
 
                 // Apply unified tooltip if content exists
@@ -214,16 +283,33 @@ const QueueCardView = {
         } else {
             labelArea.style.minHeight = '24px'; // Keep space consistent
         }
+    },
 
-        const capacitySection = DomUtils.createElement('div', 'queue-capacity-section');
-        capacitySection.innerHTML = this._createCapacityDisplayHTML(formattedQueue);
-
-        card.append(titleBar);
-        card.append(divider);
-        card.append(labelArea);
-        card.append(capacitySection);
+    /**
+     * Creates the HTML for the guaranteed and maximum resources computed from the staged
+     * configuration and the nodes of the selected partition.
+     * @param {Object} formattedQueue - The fully formatted queue object.
+     * @returns {string} HTML string, empty when the cluster resources are unknown.
+     * @private
+     */
+    _createEffectiveResourcesHTML(formattedQueue) {
+        const resources = formattedQueue.effectiveResourcesDisplay;
+        if (!resources) return '';
+        return `<div class="effective-resource-row" title="Guaranteed resources with the staged configuration"><span class="live-metric-label">Guaranteed</span> ${DomUtils.escapeXml(resources.guaranteed)}</div>
+                <div class="effective-resource-row" title="Maximum resources with the staged configuration"><span class="live-metric-label">Max</span> ${DomUtils.escapeXml(resources.maximum)}</div>`;
+    },
 
-        return card;
+    /**
+     * Creates the HTML for the live usage and application count from the Scheduler Info API.
+     * New queues do not exist on the ResourceManager yet, so they have no live metrics.
+     * @param {Object} formattedQueue - The fully formatted queue object.
+     * @returns {string} HTML string, empty when there is no live data.
+     * @private
+     */
+    _createLiveMetricsHTML(formattedQueue) {
+        if (formattedQueue.isNew || formattedQueue.absoluteUsedCapacityDisplay === undefined) return '';
+        return `<span class="live-metric" title="Absolute used capacity on the ResourceManager"><span class="live-metric-label">Used</span> ${DomUtils.escapeXml(formattedQueue.absoluteUsedCapacityDisplay)}</span>
+                <span class="live-metric" title="Applications in the queue"><span class="live-metric-label">Apps</span> ${DomUtils.escapeXml(String(formattedQueue.numApplications))}</span>`;
     },
 
     /**
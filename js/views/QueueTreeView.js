@@ -15,6 +15,8 @@ class QueueTreeView extends EventEmitter {
         this.queueElements = new Map(); // Stores DOM elements of queue cards, keyed by queuePath
         this._connectorDrawTimeoutId = null; // For debouncing connector drawing
         this._currentFormattedHierarchy = null; // To store the last used data for drawing
+        this._accessSearchPaths = null; // Queues matched by a user/group access search
+        this._draggedQueuePath = null; // Queue card being dragged onto a new parent
 
         if (!this.treeContainerEl || !this.levelHeadersContainerEl || !this.arrowSvgEl) {
             console.error('QueueTreeView: Required DOM elements (queue-tree, level-headers, or arrow-svg) not found.');
@@ -28,6 +30,108 @@ class QueueTreeView extends EventEmitter {
                 }
             }
         });
+
+        if (this.treeContainerEl) {
+            this._bindDragAndDrop();
+        }
+    }
+
+    /**
+     * Lets a queue card be dragged onto another card to stage moving it under that queue. The
+     * cards are re-created on every render, so the listeners are delegated to the tree container.
+     * @private
+     */
+    _bindDragAndDrop() {
+        const getCard = (event) => event.target.closest('.queue-card');
+        const clearDropTargets = () => {
+            for (const card of DomUtils.qsa('.queue-card.drop-target, .queue-card.drop-invalid')) {
+                card.classList.remove('drop-target', 'drop-invalid');
+            }
+        };
+
+        this.treeContainerEl.addEventListener('dragstart', (event) => {
+            const card = getCard(event);
+            if (!card || !card.draggable) return;
+            this._draggedQueuePath = card.dataset.queuePath;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', this._draggedQueuePath);
+            card.classList.add('dragging');
+        });
+
+        this.treeContainerEl.addEventListener('dragover', (event) => {
+            const card = getCard(event);
+            if (!card || !this._draggedQueuePath) return;
+            const isValid = this._canDropOn(card.dataset.queuePath);
+            if (isValid) {
+                // Allows the drop
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'move';
+            }
+            card.classList.toggle('drop-target', isValid);
+            card.classList.toggle('drop-invalid', !isValid && card.dataset.queuePath !== this._draggedQueuePath);
+        });
+
+        this.treeContainerEl.addEventListener('dragleave', (event) => {
+            const card = getCard(event);
+            if (card && !card.contains(event.relatedTarget)) {
+                card.classList.remove('drop-target', 'drop-invalid');
+            }
+        });
+
+        this.treeContainerEl.addEventListener('drop', (event) => {
+            const card = getCard(event);
+            const sourcePath = this._draggedQueuePath;
+            clearDropTargets();
+            if (!card || !sourcePath || !this._canDropOn(card.dataset.queuePath)) return;
+            event.preventDefault();
+            this._emit('queueMoveRequested', { sourcePath, targetParentPath: card.dataset.queuePath });
+        });
+
+        this.treeContainerEl.addEventListener('dragend', () => {
+            const draggedCard = this.queueElements.get(this._draggedQueuePath);
+            if (draggedCard) draggedCard.classList.remove('dragging');
+            this._draggedQueuePath = null;
+            clearDropTargets();
+        });
+    }
+
+    /**
+     * Whether the dragged queue can be dropped on a queue. Name conflicts with the target's children
+     * are reported when the move is staged.
+     * @param {string} targetPath - Path of the queue below the pointer
+     * @returns {boolean} False for the dragged queue itself, its children, its current parent and
+     *          leaf queues that are live running or have applications
+     * @private
+     */
+    _canDropOn(targetPath) {
+        const sourcePath = this._draggedQueuePath;
+        if (!sourcePath || targetPath === sourcePath || targetPath.startsWith(`${sourcePath}.`)) {
+            return false;
+        }
+        if (sourcePath.slice(0, sourcePath.lastIndexOf('.')) === targetPath) {
+            return false;
+        }
+        const targetNode = this._findFormattedNode(targetPath);
+        return !(
+            targetNode &&
+            targetNode.queueType === 'leaf' &&
+            ((targetNode.liveState && targetNode.liveState !== 'STOPPED') || targetNode.numApplications > 0)
+        );
+    }
+
+    /**
+     * @param {string} queuePath - Full queue path
+     * @returns {Object | null} The queue's node in the current formatted hierarchy
+     * @private
+     */
+    _findFormattedNode(queuePath) {
+        let node = this._currentFormattedHierarchy;
+        if (!node) return null;
+        for (const segment of queuePath.split('.').slice(1)) {
+            node = node.children ? node.children[segment] : undefined;
+            if (!node) return null;
+        }
+        return node;
     }
 
     setCurrentFormattedHierarchy(hierarchy) {
@@ -38,6 +142,15 @@ class QueueTreeView extends EventEmitter {
         return this._currentFormattedHierarchy;
     }
 
+    /**
+     * Filters the tree to the given queues instead of matching the search term against
+     * queue names. Used by the user and group access search modes.
+     * @param {Set<string> | null} queuePaths - Matching queue paths, or null to search by name
+     */
+    setAccessSearchResult(queuePaths) {
+        this._accessSearchPaths = queuePaths;
+    }
+
     /**
      * Renders the entire queue tree.
      * @param {Object | null} formattedHierarchyRoot - The root of the formatted queue hierarchy.
@@ -131,7 +244,8 @@ class QueueTreeView extends EventEmitter {
             if (currentLevel > maxActualDepthRendered) maxActualDepthRendered = currentLevel;
 
             if (columnContainers[currentLevel]) {
-                const cardElement = QueueCardView.createCardElement(node, searchTermLC, (eventName, queuePath) => {
+                const highlightTerm = this._accessSearchPaths ? '' : searchTermLC;
+                const cardElement = QueueCardView.createCardElement(node, highlightTerm, (eventName, queuePath) => {
                     this._emit(eventName, queuePath);
                 });
                 columnContainers[currentLevel].append(cardElement);
@@ -161,6 +275,33 @@ class QueueTreeView extends EventEmitter {
         });
     }
 
+    /**
+     * Updates the live data shown on the rendered cards without re-rendering the tree, so the
+     * scroll position, open menus and connectors stay as they are.
+     * @param {SchedulerInfoModel} schedulerInfoModel - Model with the refreshed live data
+     * @param {ViewDataFormatterService} viewDataFormatterService - Formatter that built the hierarchy
+     */
+    updateLiveData(schedulerInfoModel, viewDataFormatterService) {
+        const hierarchy = this.getCurrentFormattedHierarchy();
+        if (!hierarchy) return;
+
+        viewDataFormatterService.refreshLiveData(
+            hierarchy,
+            schedulerInfoModel,
+            this.appStateModel.getSelectedPartition()
+        );
+
+        const updateRecursive = (node) => {
+            const cardElement = this.queueElements.get(node.path);
+            if (cardElement) QueueCardView.updateLiveData(cardElement, node);
+            for (const child of Object.values(node.children || {})) updateRecursive(child);
+        };
+        updateRecursive(hierarchy);
+
+        // Card heights change when a live state label appears or goes away
+        if (this.queueElements.size > 1) this._scheduleConnectorDraw(hierarchy);
+    }
+
     _scheduleConnectorDraw(hierarchyRootToDraw) {
         if (!this.arrowSvgEl || !hierarchyRootToDraw) return;
         clearTimeout(this._connectorDrawTimeoutId);
@@ -333,6 +474,7 @@ class QueueTreeView extends EventEmitter {
 
     _nodeItselfMatches(node, searchTermLC) {
         if (!searchTermLC) return true;
+        if (this._accessSearchPaths) return this._accessSearchPaths.has(node.path);
         return (
             (node.displayName || '').toLowerCase().includes(searchTermLC) ||
             (node.path || '').toLowerCase().includes(searchTermLC)
@@ -6,12 +6,24 @@ class TabView extends EventEmitter {
         this.navTabs = DomUtils.qsa('.nav-tab');
         this.tabPanes = DomUtils.qsa('.tab-pane');
         this.diagnosticButton = DomUtils.getById('diagnostic-button');
+        this.importConfigButton = DomUtils.getById('import-config-button');
+        this.importConfigInput = DomUtils.getById('import-config-input');
+        this.loadMutationButton = DomUtils.getById('load-mutation-button');
+        this.loadMutationInput = DomUtils.getById('load-mutation-input');
+        this.exportConfigButton = DomUtils.getById('export-config-button');
+        this.exportPresetsButton = DomUtils.getById('export-presets-button');
+        this.importPresetsButton = DomUtils.getById('import-presets-button');
+        this.importPresetsInput = DomUtils.getById('import-presets-input');
+        this.rollbackButton = DomUtils.getById('rollback-button');
+        this.resetStoreButton = DomUtils.getById('reset-store-button');
+        this.configVersionIndicator = DomUtils.getById('config-version-indicator');
 
         // Contextual control containers
         this.queueConfigControls = DomUtils.getById('queue-config-controls');
         this.schedulerConfigControls = DomUtils.qs('#scheduler-config-content > .controls'); // Specific to scheduler config tab
         this.placementRulesControls = DomUtils.qs('#placement-rules-content > .controls');
         this.nodeLabelsControls = DomUtils.qs('#node-labels-content > .controls');
+        this.historyControls = DomUtils.qs('#history-content > .controls');
 
         this._bindNavTabClicks();
         this._bindHamburgerMenu();
@@ -32,6 +44,61 @@ class TabView extends EventEmitter {
         this.diagnosticButton.addEventListener('click', () => {
             this._emit('diagnostic');
         });
+        this._bindFileMenuItem(this.importConfigButton, this.importConfigInput, 'importConfigFileSelected');
+        this._bindFileMenuItem(this.loadMutationButton, this.loadMutationInput, 'mutationPayloadFileSelected');
+        if (this.exportConfigButton) {
+            this.exportConfigButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                this._emit('exportConfigClicked');
+            });
+        }
+        this._bindFileMenuItem(this.importPresetsButton, this.importPresetsInput, 'presetsFileSelected');
+        if (this.exportPresetsButton) {
+            this.exportPresetsButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                this._emit('exportPresetsClicked');
+            });
+        }
+        if (this.rollbackButton) {
+            this.rollbackButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                this._emit('rollbackLastApplyClicked');
+            });
+        }
+        if (this.resetStoreButton) {
+            this.resetStoreButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                this._emit('resetConfigStoreClicked');
+            });
+        }
+    }
+
+    /**
+     * Binds a menu item that opens a file picker and emits the selected file's content.
+     * @param {HTMLElement} button - Menu item
+     * @param {HTMLInputElement} input - Hidden file input
+     * @param {string} eventName - Emitted with { fileName, content } or { fileName, error }
+     */
+    _bindFileMenuItem(button, input, eventName) {
+        if (!button || !input) return;
+
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            input.click();
+        });
+
+        input.addEventListener('change', async () => {
+            const [file] = input.files;
+            input.value = ''; // Allow selecting the same file again
+            if (!file) return;
+
+            try {
+                const content = await file.text();
+                this._emit(eventName, { fileName: file.name, content });
+            } catch (error) {
+                this._emit(eventName, { fileName: file.name, error });
+            }
+        });
     }
 
     _bindHamburgerMenu() {
@@ -60,6 +127,20 @@ class TabView extends EventEmitter {
         });
     }
 
+    /**
+     * Shows the version of the mutable configuration store in the header.
+     * @param {number|null} version - Null if the ResourceManager does not report one
+     */
+    renderConfigVersion(version) {
+        if (!this.configVersionIndicator) return;
+        this.configVersionIndicator.textContent =
+            version === null ? 'Config version: n/a' : `Config version: ${version}`;
+        this.configVersionIndicator.title =
+            version === null
+                ? 'The ResourceManager does not report a configuration version. It may use a file-based configuration store.'
+                : 'Version of the scheduler configuration in the mutable configuration store';
+    }
+
     /**
      * Renders the active tab based on AppStateModel.
      */
@@ -84,6 +165,7 @@ class TabView extends EventEmitter {
         if (this.schedulerConfigControls) DomUtils.hide(this.schedulerConfigControls);
         if (this.placementRulesControls) DomUtils.hide(this.placementRulesControls);
         if (this.nodeLabelsControls) DomUtils.hide(this.nodeLabelsControls);
+        if (this.historyControls) DomUtils.hide(this.historyControls);
 
         // Show the relevant one
         switch (activeTabId) {
@@ -103,6 +185,10 @@ class TabView extends EventEmitter {
                 if (this.nodeLabelsControls) DomUtils.show(this.nodeLabelsControls, 'flex');
                 break;
             }
+            case 'history-content': {
+                if (this.historyControls) DomUtils.show(this.historyControls, 'flex');
+                break;
+            }
         }
     }
 }
@@ -0,0 +1,187 @@
+/**
+ * Modal that resolves effective queue ACLs from the staged configuration. Answers who can
+ * submit to and administer a queue, and conversely which queues a user or group can access.
+ */
+class AccessResolverModalView extends BaseModalView {
+    constructor(controller) {
+        super('access-modal', controller);
+        if (!this.formContainer) return;
+        this._bindFormEvents();
+    }
+
+    _bindFormEvents() {
+        this.formContainer.addEventListener('change', (event) => {
+            if (event.target.id === 'access-queue-select') {
+                this._renderQueueResult(event.target.value);
+            }
+        });
+
+        this.formContainer.addEventListener('submit', (event) => {
+            if (event.target.id !== 'access-principal-form') return;
+            event.preventDefault();
+            this._renderPrincipalResult({
+                user: DomUtils.getById('access-user').value.trim(),
+                groups: DomUtils.getById('access-groups')
+                    .value.split(',')
+                    .map((group) => group.trim())
+                    .filter(Boolean),
+                aclKey: DomUtils.getById('access-acl-select').value,
+            });
+        });
+
+        this.formContainer.addEventListener('click', (event) => {
+            const link = event.target.closest('.access-queue-link');
+            if (!link) return;
+            const queueSelect = DomUtils.getById('access-queue-select');
+            queueSelect.value = link.dataset.queuePath;
+            this._renderQueueResult(link.dataset.queuePath);
+            queueSelect.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        });
+    }
+
+    /**
+     * Renders the resolver.
+     * @param {Object} [data] - Initial query: { queuePath?: string, user?: string, groups?: Array<string>, aclKey?: string }
+     */
+    _renderContent(data = {}) {
+        if (!this.formContainer) {
+            console.error('AccessResolverModalView: Form container not found.');
+            return;
+        }
+
+        const queuePaths = this.controller.schedulerConfigModel.getAllQueuePaths();
+        const selectedPath = queuePaths.includes(data.queuePath) ? data.queuePath : 'root';
+        const aclKey = data.aclKey || QueueAclService.SUBMIT_APPLICATIONS;
+        const groups = data.groups || [];
+
+        const queueOptions = queuePaths
+            .map(
+                (path) =>
+                    `<option value="${DomUtils.escapeXml(path)}" ${path === selectedPath ? 'selected' : ''}>${DomUtils.escapeXml(path)}</option>`
+            )
+            .join('');
+        const aclOptions = QueueAclService.getAclTypes()
+            .map(
+                (meta) =>
+                    `<option value="${meta.key}" ${meta.key === aclKey ? 'selected' : ''}>${DomUtils.escapeXml(meta.displayName)}</option>`
+            )
+            .join('');
+
+        this.formContainer.innerHTML = `
+            <div class="queue-info-container">
+                <p class="form-help">Resolved from the configuration including staged changes. Permissions granted on a queue apply to all of its descendants, and queue administrators can also submit. ACLs are only enforced when <code>yarn.acl.enable</code> is true.</p>
+                <div class="info-section">
+                    <h3 class="info-section-title">🔐 Who can access a queue</h3>
+                    <div class="access-resolver-form">
+                        <div class="placement-rule-field">
+                            <label class="form-label" for="access-queue-select">Queue</label>
+                            <select id="access-queue-select" class="form-input">${queueOptions}</select>
+                        </div>
+                    </div>
+                    <div id="access-queue-result"></div>
+                </div>
+                <div class="info-section">
+                    <h3 class="info-section-title">🔎 Which queues can a user or group access</h3>
+                    <form class="access-resolver-form" id="access-principal-form">
+                        <div class="placement-rule-field">
+                            <label class="form-label" for="access-user">User</label>
+                            <input type="text" id="access-user" class="form-input" placeholder="alice" value="${DomUtils.escapeXml(data.user || '')}">
+                        </div>
+                        <div class="placement-rule-field">
+                            <label class="form-label" for="access-groups">Groups</label>
+                            <input type="text" id="access-groups" class="form-input" placeholder="dev, analysts" value="${DomUtils.escapeXml(groups.join(', '))}">
+                        </div>
+                        <div class="placement-rule-field">
+                            <label class="form-label" for="access-acl-select">Permission</label>
+                            <select id="access-acl-select" class="form-input">${aclOptions}</select>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Find Queues</button>
+                    </form>
+                    <div id="access-principal-result"></div>
+                </div>
+            </div>`;
+
+        this._renderQueueResult(selectedPath);
+        if (data.user || groups.length > 0) {
+            this._renderPrincipalResult({ user: data.user, groups, aclKey });
+        }
+    }
+
+    _renderQueueResult(queuePath) {
+        const resultEl = DomUtils.getById('access-queue-result');
+        const schedulerConfigModel = this.controller.schedulerConfigModel;
+
+        const rows = QueueAclService.getAclTypes()
+            .map((meta) => {
+                const acl = QueueAclService.getEffectiveAcl(queuePath, meta.key, schedulerConfigModel);
+                if (!acl) return '';
+                const grantingSources = acl.sources.filter((source) => {
+                    const parsed = QueueAclService.parse(source.value);
+                    return parsed.allowAll || parsed.users.length > 0 || parsed.groups.length > 0;
+                });
+                const sourcesHtml =
+                    grantingSources.length > 0
+                        ? grantingSources.map((source) => `<div>${this._formatSource(source)}</div>`).join('')
+                        : '<em class="text-muted">No queue on the path grants this permission</em>';
+
+                return `<tr>
+                            <td class="info-label">${DomUtils.escapeXml(meta.displayName)}</td>
+                            <td class="info-value"><strong>${DomUtils.escapeXml(QueueAclService.describe(acl))}</strong>${sourcesHtml}</td>
+                        </tr>`;
+            })
+            .join('');
+
+        resultEl.innerHTML = rows
+            ? `<table class="info-table access-resolver-table">${rows}</table>`
+            : '<p class="form-help">Queue not found.</p>';
+    }
+
+    /**
+     * Lists the queues a user or group can access. For submissions only leaf queues are
+     * listed, since applications cannot be submitted to parent queues.
+     * @param {{user?: string, groups: Array<string>, aclKey: string}} query
+     */
+    _renderPrincipalResult(query) {
+        const resultEl = DomUtils.getById('access-principal-result');
+        if (!query.user && query.groups.length === 0) {
+            resultEl.innerHTML = '<p class="form-help">Enter a user name, one or more groups, or both.</p>';
+            return;
+        }
+
+        const invalidName = [query.user, ...query.groups].find((name) => name && !QueueAclService.isValidName(name));
+        if (invalidName) {
+            resultEl.innerHTML = `<p class="placement-rule-editor-error">"${DomUtils.escapeXml(invalidName)}" is not a valid user or group name.</p>`;
+            return;
+        }
+
+        const isSubmit = query.aclKey === QueueAclService.SUBMIT_APPLICATIONS;
+        const queues = QueueAclService.findAccessibleQueues(
+            { user: query.user, groups: query.groups },
+            query.aclKey,
+            this.controller.schedulerConfigModel
+        ).filter((queue) => !isSubmit || queue.isLeaf);
+
+        if (queues.length === 0) {
+            resultEl.innerHTML = '<p class="form-help">No queues grant this permission.</p>';
+            return;
+        }
+
+        const rows = queues
+            .map(
+                (queue) => `<tr>
+                                <td class="info-label"><button type="button" class="access-queue-link" data-queue-path="${DomUtils.escapeXml(queue.path)}">${DomUtils.escapeXml(queue.path)}</button></td>
+                                <td class="info-value">${queue.grantedBy.map((source) => `<div>${this._formatSource(source)}</div>`).join('')}</td>
+                            </tr>`
+            )
+            .join('');
+
+        resultEl.innerHTML = `<p class="form-help">${queues.length} ${isSubmit ? 'leaf ' : ''}queue${queues.length === 1 ? '' : 's'}:</p>
+                              <table class="info-table access-resolver-table">${rows}</table>`;
+    }
+
+    _formatSource(source) {
+        const meta = QueueAclService.getAclTypes().find((aclMeta) => aclMeta.key === source.aclKey);
+        const aclName = meta ? meta.displayName : source.aclKey;
+        return `${DomUtils.escapeXml(source.path)} · ${DomUtils.escapeXml(aclName)}: "${DomUtils.escapeXml(source.value)}"${source.isDefault ? ' <em class="text-muted">(default)</em>' : ''}`;
+    }
+}
@@ -3,6 +3,7 @@ class AddQueueModalView extends BaseModalView {
         super('add-queue-modal', controller); // modalId, controller
         this.viewDataFormatterService = controller.viewDataFormatterService; // For default capacity values
         this.realTimeValidator = null;
+        this.selectedPreset = null;
     }
 
     /**
@@ -19,6 +20,7 @@ class AddQueueModalView extends BaseModalView {
         DomUtils.empty(this.formContainer);
 
         const { parentQueues = [], preselectedParentPath = 'root' } = data || {};
+        this.selectedPreset = null;
 
         this.formContainer.innerHTML = this._buildHtml(parentQueues, preselectedParentPath);
         this._bindFormEvents();
@@ -109,11 +111,59 @@ class AddQueueModalView extends BaseModalView {
             submitClass: 'btn btn-success',
         });
 
-        return FormGenerator.generateForm(fields, {
-            formId: 'add-queue-form',
-            submitOnEnter: false,
-            actions,
-        });
+        return (
+            this._buildPresetSelectHtml() +
+            FormGenerator.generateForm(fields, {
+                formId: 'add-queue-form',
+                submitOnEnter: false,
+                actions,
+            })
+        );
+    }
+
+    /**
+     * Builds the select for starting from a saved property preset, if there are any.
+     * @private
+     */
+    _buildPresetSelectHtml() {
+        const presets = this.controller.propertyPresetService.getPresets();
+        if (presets.length === 0) return '';
+
+        const options = presets
+            .map((preset) => {
+                const name = DomUtils.escapeXml(preset.name);
+                const title = preset.description ? ` title="${DomUtils.escapeXml(preset.description)}"` : '';
+                return `<option value="${name}"${title}>${name}</option>`;
+            })
+            .join('');
+        return `<div class="form-group preset-select-group">
+                <label class="form-label" for="new-queue-preset">Start from Preset</label>
+                <select class="form-input" id="new-queue-preset">
+                    <option value="">None</option>
+                    ${options}
+                </select>
+                <small class="form-help">Fills in the fields below. The other properties of the preset are added to the new queue.</small>
+            </div>`;
+    }
+
+    /**
+     * Fills the form with the capacity mode, capacities and state of a preset.
+     * @private
+     */
+    _fillFormFromPreset(form, preset) {
+        const { capacities, properties } = preset;
+        const capacityModeSelect = DomUtils.qs('#new-capacity-mode', form);
+        if (preset.capacityMode && capacityModeSelect) {
+            capacityModeSelect.value = preset.capacityMode;
+            capacityModeSelect.dispatchEvent(new Event('change'));
+            DomUtils.qs('#new-queue-capacity', form).value = capacities.capacity.value;
+        }
+        if (capacities['maximum-capacity']) {
+            DomUtils.qs('#new-queue-max-capacity', form).value = capacities['maximum-capacity'].value;
+        }
+        if (properties.state) {
+            DomUtils.qs('#new-queue-state', form).value = properties.state;
+        }
     }
 
     _validateAndGetFormData(form) {
@@ -176,8 +226,13 @@ class AddQueueModalView extends BaseModalView {
 
         if (!isValid) return null;
 
-        // Prepare params with simple keys for the API structure and metadata defaults
+        // Prepare params with simple keys for the API structure and metadata defaults. The form
+        // fields take precedence over the selected preset.
+        const presetParameters = this.selectedPreset
+            ? PropertyPresetService.toQueueParameters(this.selectedPreset, capacityMode).params
+            : {};
         const parameters = {
+            ...presetParameters,
             capacity: capacity,
             'maximum-capacity': maxCapacity,
             state: state,
@@ -206,6 +261,16 @@ class AddQueueModalView extends BaseModalView {
         const capacityHelpText = DomUtils.qs('#new-capacity-help', form);
         const nameInput = DomUtils.qs('#new-queue-name', form);
         const nameValidationElement = DomUtils.qs('#new-queue-name-validation', form);
+        const presetSelect = DomUtils.qs('#new-queue-preset', this.formContainer);
+
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => {
+                this.selectedPreset = this.controller.propertyPresetService.getPreset(presetSelect.value);
+                if (this.selectedPreset) {
+                    this._fillFormFromPreset(form, this.selectedPreset);
+                }
+            });
+        }
 
         if (nameInput && nameValidationElement) {
             nameInput.addEventListener('input', () => {
@@ -0,0 +1,69 @@
+/**
+ * Modal shown when Apply finds that another user changed properties that are also staged.
+ * Lists each conflicting property with its value when the configuration was loaded (baseline),
+ * on the server now (theirs) and in the staged changes (mine).
+ */
+class ConcurrentChangesModalView extends BaseModalView {
+    constructor(controller) {
+        super('conflict-modal', controller);
+        this.serverProperties = [];
+        if (!this.formContainer) return;
+        this._bindFormEvents();
+    }
+
+    _bindFormEvents() {
+        const rebaseButton = DomUtils.qs('#rebase-conflict-btn', this.modalEl);
+        if (rebaseButton) {
+            rebaseButton.addEventListener('click', () => {
+                this._emit('rebaseRequested', this.serverProperties);
+            });
+        }
+
+        const abortButton = DomUtils.qs('#abort-conflict-btn', this.modalEl);
+        if (abortButton) {
+            abortButton.addEventListener('click', () => this.hide({ Canceled: true }));
+        }
+    }
+
+    /**
+     * @param {{conflicts: Array<Object>, serverProperties: Array<Object>}} data - From
+     *        ConfigurationOrchestrator.applyPendingChanges()
+     */
+    _renderContent({ conflicts, serverProperties }) {
+        if (!this.formContainer) {
+            console.error('ConcurrentChangesModalView: Form container not found.');
+            return;
+        }
+        this.serverProperties = serverProperties;
+
+        const formatValue = (value) =>
+            value === undefined
+                ? '<span class="conflict-unset">not set</span>'
+                : `<code>${DomUtils.escapeXml(value)}</code>`;
+        const rows = conflicts
+            .map(
+                (conflict) => `<tr>
+                                  <td class="conflict-property">${DomUtils.escapeXml(conflict.name)}</td>
+                                  <td>${formatValue(conflict.baseline)}</td>
+                                  <td>${formatValue(conflict.theirs)}</td>
+                                  <td>${formatValue(conflict.mine)}</td>
+                              </tr>`
+            )
+            .join('');
+
+        this.formContainer.innerHTML = `
+            <p class="form-help">
+                The configuration was changed on the server after it was loaded, and ${conflicts.length}
+                staged propert${conflicts.length === 1 ? 'y was' : 'ies were'} changed there as well. Nothing was applied.
+            </p>
+            <table class="conflict-table">
+                <thead><tr><th>Property</th><th>Baseline</th><th>Theirs</th><th>Mine</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="form-help">
+                <strong>Rebase</strong> loads the current server configuration and stages your changes on top of it,
+                so your values replace theirs for these properties. Review the result before applying it again.
+                <strong>Abort</strong> keeps your staged changes as they are.
+            </p>`;
+    }
+}
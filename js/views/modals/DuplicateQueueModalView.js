@@ -0,0 +1,147 @@
+/**
+ * Modal for copying a queue, optionally with every queue below it, to a new name or parent. The
+ * copies are staged as queue additions with the effective properties of the originals.
+ */
+class DuplicateQueueModalView extends BaseModalView {
+    constructor(controller) {
+        super('duplicate-queue-modal', controller);
+        this.sourcePath = null;
+    }
+
+    /**
+     * Renders the content of the Duplicate Queue modal.
+     * @param {Object} data - Data for rendering.
+     * @param {string} data.sourcePath - Queue to copy.
+     * @param {Array<{path: string, name: string}>} data.parentQueues - List of possible parent queues.
+     * @param {number} data.descendantCount - Number of queues below the source queue.
+     */
+    _renderContent(data) {
+        if (!this.formContainer) {
+            console.error('DuplicateQueueModalView: Form container not found.');
+            return;
+        }
+        DomUtils.empty(this.formContainer);
+
+        const { sourcePath, parentQueues = [], descendantCount = 0 } = data;
+        this.sourcePath = sourcePath;
+
+        this.formContainer.innerHTML = this._buildHtml(sourcePath, parentQueues, descendantCount);
+        this._bindFormEvents();
+    }
+
+    _buildHtml(sourcePath, parentQueues, descendantCount) {
+        const separatorIndex = sourcePath.lastIndexOf('.');
+        const fields = [
+            {
+                type: 'text',
+                id: 'duplicate-source-queue',
+                name: 'sourceQueue',
+                label: 'Queue to Copy',
+                value: sourcePath,
+                readonly: true,
+                validation: false,
+            },
+            {
+                type: 'select',
+                id: 'duplicate-parent-queue-select',
+                name: 'parentQueue',
+                label: 'Parent Queue',
+                value: sourcePath.slice(0, separatorIndex),
+                options: parentQueues.map((parent) => ({ value: parent.path, label: parent.path })),
+                required: true,
+            },
+            {
+                type: 'text',
+                id: 'duplicate-queue-name',
+                name: 'queueName',
+                label: 'New Queue Name',
+                value: `${sourcePath.slice(separatorIndex + 1)}_copy`,
+                help: 'Letters, numbers, underscores, hyphens, periods allowed.',
+                required: true,
+            },
+        ];
+
+        if (descendantCount > 0) {
+            fields.push({
+                type: 'checkbox',
+                id: 'duplicate-include-children',
+                name: 'includeChildren',
+                label: `Include the ${descendantCount} queue(s) below it`,
+                value: true,
+                validation: false,
+            });
+        }
+
+        const actions = FormGenerator.createStandardActions({
+            cancelId: 'cancel-duplicate-queue-btn',
+            submitId: 'submit-duplicate-queue-btn',
+            submitText: 'Duplicate Queue',
+            submitClass: 'btn btn-success',
+        });
+
+        const note = `<p class="form-help">Properties, node label capacities, ACLs and auto-creation templates are
+            copied. Adjust the capacities under the new parent before applying.</p>`;
+        return (
+            note +
+            FormGenerator.generateForm(fields, {
+                formId: 'duplicate-queue-form',
+                submitOnEnter: false,
+                actions,
+            })
+        );
+    }
+
+    _validateAndGetFormData(form) {
+        const nameValidationElement = DomUtils.qs('#duplicate-queue-name-validation', form);
+        const parentPath = DomUtils.qs('#duplicate-parent-queue-select', form).value;
+        const queueName = DomUtils.qs('#duplicate-queue-name', form).value.trim();
+        const includeChildrenInput = DomUtils.qs('#duplicate-include-children', form);
+
+        const nameValidation = ValidationService.isValidQueueNameChars(queueName);
+        const error = nameValidation.isValid
+            ? this.controller.schedulerConfigModel
+                  .getChangeLog()
+                  .getDuplicateError(this.sourcePath, parentPath, queueName)
+            : nameValidation.message;
+        if (nameValidationElement) nameValidationElement.textContent = error || '';
+        if (error) {
+            return null;
+        }
+
+        return {
+            sourcePath: this.sourcePath,
+            parentPath,
+            queueName,
+            includeChildren: includeChildrenInput ? includeChildrenInput.checked : false,
+        };
+    }
+
+    _bindFormEvents() {
+        const form = DomUtils.qs('#duplicate-queue-form', this.formContainer);
+        if (!form) return;
+
+        const nameInput = DomUtils.qs('#duplicate-queue-name', form);
+        const nameValidationElement = DomUtils.qs('#duplicate-queue-name-validation', form);
+        if (nameInput && nameValidationElement) {
+            nameInput.addEventListener('input', () => {
+                const validation = ValidationService.isValidQueueNameChars(nameInput.value);
+                nameValidationElement.textContent = validation.isValid ? '' : validation.message;
+            });
+        }
+
+        const submitButton = DomUtils.qs('#submit-duplicate-queue-btn', this.modalEl);
+        if (submitButton) {
+            submitButton.addEventListener('click', () => {
+                const formData = this._validateAndGetFormData(form);
+                if (formData) {
+                    this._emit('submitDuplicateQueue', formData);
+                }
+            });
+        }
+
+        const cancelButton = DomUtils.qs('#cancel-duplicate-queue-btn', this.modalEl);
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.hide({ Canceled: true }));
+        }
+    }
+}
@@ -32,7 +32,8 @@ class EditQueueModalView extends BaseModalView {
         if (modalTitleElement)
             modalTitleElement.textContent = `Edit Queue: ${DomUtils.escapeXml(data.displayName || data.path.split('.').pop())}`;
 
-        this.formContainer.innerHTML = this._buildHtml(data);
+        this.formContainer.innerHTML = this._buildPresetBarHtml() + this._buildHtml(data);
+        this.renderPresetOptions();
 
         const modalContent = this.formContainer.parentElement.parentElement;
 
@@ -53,6 +54,94 @@ class EditQueueModalView extends BaseModalView {
         }
 
         this._bindFormEvents(data.path, data.effectiveCapacityMode);
+        this._bindPresetBarEvents();
+    }
+
+    /**
+     * Builds the bar for applying a saved property preset to the queue or saving its properties as one.
+     * It sits outside the form, so the preset select is not collected as a queue property.
+     * @private
+     */
+    _buildPresetBarHtml() {
+        return `<div class="preset-bar">
+                    <div class="preset-bar-controls">
+                        <label class="form-label" for="edit-queue-preset-select">Property Preset</label>
+                        <select class="form-input preset-select" id="edit-queue-preset-select"></select>
+                        <button type="button" class="btn btn-secondary" id="apply-preset-btn">Apply Preset</button>
+                        <button type="button" class="btn btn-secondary" id="delete-preset-btn">Delete</button>
+                        <button type="button" class="btn btn-secondary" id="save-preset-btn">Save as Preset…</button>
+                    </div>
+                    <small class="form-help">Applying a preset stages its properties right away and discards unstaged edits in this dialog. Saving stores the current and staged properties of this queue.</small>
+                </div>`;
+    }
+
+    /**
+     * Fills the preset select with the saved presets, keeping the selection.
+     */
+    renderPresetOptions() {
+        const select = DomUtils.qs('#edit-queue-preset-select', this.formContainer);
+        if (!select) return;
+
+        const selectedName = select.value;
+        const presets = this.controller.propertyPresetService.getPresets();
+        select.innerHTML = presets.length === 0 ? '<option value="">No presets saved</option>' : '';
+        for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            option.title = preset.description || '';
+            option.selected = preset.name === selectedName;
+            select.append(option);
+        }
+
+        const hasPresets = presets.length > 0;
+        for (const buttonId of ['#apply-preset-btn', '#delete-preset-btn']) {
+            const button = DomUtils.qs(buttonId, this.formContainer);
+            if (button) button.disabled = !hasPresets;
+        }
+    }
+
+    /**
+     * Binds the preset bar buttons
+     * @private
+     */
+    _bindPresetBarEvents() {
+        const select = DomUtils.qs('#edit-queue-preset-select', this.formContainer);
+        const applyButton = DomUtils.qs('#apply-preset-btn', this.formContainer);
+        const deleteButton = DomUtils.qs('#delete-preset-btn', this.formContainer);
+        const saveButton = DomUtils.qs('#save-preset-btn', this.formContainer);
+        if (!select || !applyButton || !deleteButton || !saveButton) return;
+
+        const applyHandler = () => {
+            if (select.value) {
+                this._emit('applyPresetRequested', { queuePath: this.currentQueuePath, presetName: select.value });
+            }
+        };
+        const deleteHandler = () => {
+            if (select.value && globalThis.confirm(`Delete the preset "${select.value}"?`)) {
+                this._emit('deletePresetRequested', { presetName: select.value });
+            }
+        };
+        const saveHandler = () => {
+            const name = (globalThis.prompt('Preset name (e.g., batch-leaf):', select.value) || '').trim();
+            if (!name) return;
+            if (
+                this.controller.propertyPresetService.getPreset(name) &&
+                !globalThis.confirm(`A preset named "${name}" exists. Replace it?`)
+            ) {
+                return;
+            }
+            this._emit('savePresetRequested', { queuePath: this.currentQueuePath, presetName: name });
+        };
+
+        applyButton.addEventListener('click', applyHandler);
+        deleteButton.addEventListener('click', deleteHandler);
+        saveButton.addEventListener('click', saveHandler);
+        this.eventCleanupCallbacks.push(() => {
+            applyButton.removeEventListener('click', applyHandler);
+            deleteButton.removeEventListener('click', deleteHandler);
+            saveButton.removeEventListener('click', saveHandler);
+        });
     }
 
     _buildHtml(data) {
@@ -126,6 +215,9 @@ class EditQueueModalView extends BaseModalView {
         // Node Label Configurations Section
         formHTML += this._buildNodeLabelSectionHtml(path, nodeLabelData);
 
+        // Access Control Section
+        formHTML += this._buildAclSectionHtml(path);
+
         // Custom Properties Section
         formHTML += this._buildCustomPropertiesSectionHtml(path);
 
@@ -325,6 +417,84 @@ class EditQueueModalView extends BaseModalView {
         return html;
     }
 
+    /**
+     * Builds the ACL section with user/group chip editors for each queue ACL.
+     * The hidden input of each editor holds the raw ACL string, which keeps significant whitespace.
+     * @private
+     */
+    _buildAclSectionHtml(queuePath) {
+        const properties = this.controller.schedulerConfigModel.getQueueNodeProperties(queuePath) || new Map();
+        let html = `<h4 class="form-category-title">Access Control</h4>
+                    <p class="form-help">ACLs are only enforced when <code>yarn.acl.enable</code> is true. Format: users, a space, then groups. "*" allows everyone, " " allows nobody.</p>`;
+
+        for (const meta of QueueAclService.getAclTypes()) {
+            const fullKey = QueueAclService.getAclPropertyKey(queuePath, meta.key);
+            const configuredValue = properties.get(fullKey);
+            const defaultValue = QueueAclService.getDefaultAcl(queuePath, meta.key);
+            const acl = QueueAclService.parse(configuredValue === undefined ? defaultValue : configuredValue);
+            const inherited = QueueAclService.getInheritedAcl(
+                queuePath,
+                meta.key,
+                this.controller.schedulerConfigModel
+            );
+            const rawValue = configuredValue === undefined ? '' : configuredValue;
+
+            html += `<div class="form-group property-edit-item acl-editor" data-acl-key="${meta.key}">
+                        <div class="property-details-column">
+                            <div class="property-display-name"><span>${DomUtils.escapeXml(meta.displayName)}</span><span class="info-icon" title="${DomUtils.escapeXml(meta.description)}">ⓘ</span></div>
+                            <div class="property-yarn-name">${DomUtils.escapeXml(fullKey)}</div>
+                        </div>
+                        <div class="property-value-column">
+                            <label class="checkbox-label">
+                                <input type="checkbox" class="acl-allow-all" ${acl.allowAll ? 'checked' : ''}> Everyone (*)
+                            </label>
+                            ${this._buildAclChipListHtml('users', 'Users', acl)}
+                            ${this._buildAclChipListHtml('groups', 'Groups', acl)}
+                            <input type="text" class="form-input acl-raw-input" value="${DomUtils.escapeXml(rawValue)}"
+                                   placeholder="Not set (default: ${defaultValue === '*' ? 'everyone' : 'nobody'})" spellcheck="false">
+                            <div class="form-help acl-inherited" title="${DomUtils.escapeXml(inherited.sources.map((source) => `${source.path}: "${source.value}"${source.isDefault ? ' (default)' : ''}`).join('\n'))}">
+                                ${this._formatInheritedAcl(queuePath, inherited)}
+                            </div>
+                            <input type="hidden" class="form-input"
+                                   data-simple-key="${meta.key}"
+                                   data-acl-key="${meta.key}"
+                                   data-original-value="${DomUtils.escapeXml(rawValue)}"
+                                   value="${DomUtils.escapeXml(rawValue)}" />
+                        </div>
+                     </div>`;
+        }
+        return html;
+    }
+
+    _buildAclChipListHtml(listName, label, acl) {
+        const chips = acl[listName]
+            .map(
+                (name) =>
+                    `<span class="acl-chip">${DomUtils.escapeXml(name)}<button type="button" class="acl-chip-remove" data-acl-list="${listName}" data-name="${DomUtils.escapeXml(name)}" aria-label="Remove ${DomUtils.escapeXml(name)}">×</button></span>`
+            )
+            .join('');
+        return `<div class="acl-chip-row" data-acl-list="${listName}">
+                    <span class="acl-chip-row-label">${label}</span>
+                    <div class="acl-chips">${chips}</div>
+                    <input type="text" class="form-input acl-add-input" data-acl-list="${listName}" placeholder="Add ${listName === 'users' ? 'user' : 'group'}" ${acl.allowAll ? 'disabled' : ''}>
+                </div>`;
+    }
+
+    _formatInheritedAcl(queuePath, inherited) {
+        if (inherited.sources.length === 0) {
+            return 'Root queue: no inherited permissions.';
+        }
+        if (inherited.allowAll) {
+            return 'Inherited from ancestors: everyone. Changes here cannot restrict access.';
+        }
+        const parts = [];
+        if (inherited.users.length > 0) parts.push(`users ${inherited.users.join(', ')}`);
+        if (inherited.groups.length > 0) parts.push(`groups ${inherited.groups.join(', ')}`);
+        return parts.length > 0
+            ? `Inherited from ancestors: ${DomUtils.escapeXml(parts.join('; '))}.`
+            : 'Inherited from ancestors: nobody.';
+    }
+
     _buildAutoCreationSectionHtml(data) {
         const { autoCreationData, isLegacyMode, path, effectiveCapacityMode } = data;
 
@@ -631,9 +801,133 @@ class EditQueueModalView extends BaseModalView {
         this._bindCustomPropertiesEvents(form);
         this._bindAutoCreationEvents(form);
         this._bindNodeLabelTabEvents(form);
+        this._bindAclEvents(form);
         this._bindValidationClearingEvents(form);
     }
 
+    /**
+     * Binds the ACL editor events. Chip edits and the raw ACL input are kept in sync through the hidden input.
+     * @private
+     */
+    _bindAclEvents(form) {
+        const clickHandler = (event) => {
+            const removeButton = event.target.closest('.acl-chip-remove');
+            if (!removeButton) return;
+            const editor = removeButton.closest('.acl-editor');
+            const acl = this._getAclEditorState(editor);
+            const listName = removeButton.dataset.aclList;
+            acl[listName] = acl[listName].filter((name) => name !== removeButton.dataset.name);
+            this._updateAclEditor(editor, acl);
+        };
+
+        const keydownHandler = (event) => {
+            if (!event.target.classList.contains('acl-add-input')) return;
+            if (event.key === 'Enter' || event.key === ',') {
+                event.preventDefault();
+                this._addAclNames(event.target);
+            }
+        };
+
+        const changeHandler = (event) => {
+            const target = event.target;
+            const editor = target.closest('.acl-editor');
+            if (!editor) return;
+
+            if (target.classList.contains('acl-add-input')) {
+                this._addAclNames(target);
+            } else if (target.classList.contains('acl-allow-all')) {
+                const acl = this._getAclEditorState(editor);
+                acl.allowAll = target.checked;
+                this._updateAclEditor(editor, acl);
+            } else if (target.classList.contains('acl-raw-input')) {
+                this._applyRawAcl(editor, target);
+            }
+        };
+
+        form.addEventListener('click', clickHandler);
+        form.addEventListener('keydown', keydownHandler);
+        form.addEventListener('change', changeHandler);
+        this.eventCleanupCallbacks.push(() => {
+            form.removeEventListener('click', clickHandler);
+            form.removeEventListener('keydown', keydownHandler);
+            form.removeEventListener('change', changeHandler);
+        });
+    }
+
+    /**
+     * Reads the ACL currently held by an editor, falling back to the queue default when not set
+     * @private
+     */
+    _getAclEditorState(editor) {
+        const hiddenInput = editor.querySelector('input[type="hidden"][data-acl-key]');
+        const value =
+            hiddenInput.value === ''
+                ? QueueAclService.getDefaultAcl(this.currentQueuePath, editor.dataset.aclKey)
+                : hiddenInput.value;
+        return QueueAclService.parse(value);
+    }
+
+    _addAclNames(addInput) {
+        const names = addInput.value
+            .split(',')
+            .map((name) => name.trim())
+            .filter(Boolean);
+        if (names.length === 0) return;
+
+        const invalidName = names.find(
+            (name) => name === QueueAclService.ALLOW_ALL || !QueueAclService.isValidName(name)
+        );
+        if (invalidName) {
+            this._showValidationError(
+                addInput,
+                invalidName === QueueAclService.ALLOW_ALL
+                    ? 'Use the "Everyone" option to allow all users.'
+                    : `"${invalidName}" is not a valid name. Use letters, digits, ".", "_", "-", "@" or "$".`
+            );
+            return;
+        }
+
+        const editor = addInput.closest('.acl-editor');
+        const acl = this._getAclEditorState(editor);
+        const listName = addInput.dataset.aclList;
+        acl[listName] = [...new Set([...acl[listName], ...names])];
+        this._updateAclEditor(editor, acl);
+    }
+
+    _applyRawAcl(editor, rawInput) {
+        const hiddenInput = editor.querySelector('input[type="hidden"][data-acl-key]');
+        const validation = QueueAclService.validate(rawInput.value);
+        hiddenInput.value = rawInput.value;
+        if (!validation.isValid) {
+            this._showValidationError(rawInput, validation.errors.join(' '));
+            return;
+        }
+        this._updateAclEditor(editor, QueueAclService.parse(rawInput.value));
+        if (validation.warnings.length > 0) {
+            this._showValidationError(rawInput, validation.warnings.join(' '));
+            rawInput.classList.remove('invalid');
+        }
+    }
+
+    /**
+     * Re-renders the chips of an ACL editor and writes the serialized ACL to its inputs
+     * @private
+     */
+    _updateAclEditor(editor, acl) {
+        const value = QueueAclService.serialize(acl);
+        editor.querySelector('input[type="hidden"][data-acl-key]').value = value;
+        const rawInput = editor.querySelector('.acl-raw-input');
+        rawInput.value = value;
+        rawInput.classList.remove('invalid');
+
+        for (const listName of ['users', 'groups']) {
+            const row = editor.querySelector(`.acl-chip-row[data-acl-list="${listName}"]`);
+            row.outerHTML = this._buildAclChipListHtml(listName, listName === 'users' ? 'Users' : 'Groups', acl);
+        }
+        const validationEl = editor.querySelector('.validation-message');
+        if (validationEl) validationEl.textContent = '';
+    }
+
     /**
      * Binds capacity mode selection events
      * @private
@@ -831,6 +1125,18 @@ class EditQueueModalView extends BaseModalView {
                 }
         }
 
+        // Validate changed ACLs
+        for (const aclInput of form.querySelectorAll('input[type="hidden"][data-acl-key]')) {
+            if (aclInput.value === aclInput.dataset.originalValue) continue;
+            const aclValidation = QueueAclService.validate(aclInput.value);
+            if (!aclValidation.isValid) {
+                const rawInput = aclInput.closest('.acl-editor').querySelector('.acl-raw-input');
+                this._showValidationError(rawInput, aclValidation.errors.join(' '));
+                validationErrors.push(`${aclInput.dataset.aclKey}: ${aclValidation.errors.join(' ')}`);
+                isValid = false;
+            }
+        }
+
         // Note: Legacy mode capacity conflicts are now only validated at the system level
         // This allows users to stage changes one-by-one and see validation errors in batch controls
 
@@ -939,6 +1245,10 @@ class EditQueueModalView extends BaseModalView {
         if (inputElement.type === 'checkbox') {
             return inputElement.checked ? 'true' : 'false';
         }
+        if (inputElement.dataset.aclKey) {
+            // Whitespace is significant in ACLs (" " allows nobody, a leading space means groups only)
+            return inputElement.value;
+        }
         return inputElement.value.trim();
     }
 
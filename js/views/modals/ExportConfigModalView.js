@@ -0,0 +1,86 @@
+/**
+ * Modal that exports the scheduler configuration as capacity-scheduler.xml, a properties
+ * file or scheduler-conf JSON, either with the staged changes applied or as on the server.
+ */
+class ExportConfigModalView extends BaseModalView {
+    constructor(controller) {
+        super('export-modal', controller);
+        if (!this.formContainer) return;
+        this._bindFormEvents();
+    }
+
+    _bindFormEvents() {
+        this.formContainer.addEventListener('change', (event) => {
+            if (event.target.name === 'export-source') {
+                this._renderSummary();
+            }
+        });
+
+        const downloadButton = DomUtils.qs('#download-export-btn', this.modalEl);
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => {
+                this._emit('exportConfigRequested', {
+                    format: DomUtils.qs('input[name="export-format"]:checked', this.formContainer).value,
+                    includePendingChanges: this._includePendingChanges(),
+                });
+            });
+        }
+
+        const cancelButton = DomUtils.qs('#cancel-export-btn', this.modalEl);
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.hide({ Canceled: true }));
+        }
+    }
+
+    _renderContent() {
+        if (!this.formContainer) {
+            console.error('ExportConfigModalView: Form container not found.');
+            return;
+        }
+
+        const hasPendingChanges = this.controller.schedulerConfigModel.hasPendingChanges();
+        const formatOptions = SchedulerConfigFile.FORMATS.map(
+            (format, index) => `<label class="checkbox-label">
+                                    <input type="radio" name="export-format" value="${format}" ${index === 0 ? 'checked' : ''}>
+                                    ${SchedulerConfigFile.FILE_TYPES[format].fileName}
+                                </label>`
+        ).join('');
+
+        this.formContainer.innerHTML = `
+            <div class="export-config-form">
+                <div class="export-config-group">
+                    <span class="form-label">Format</span>
+                    ${formatOptions}
+                </div>
+                <div class="export-config-group">
+                    <span class="form-label">Configuration</span>
+                    <label class="checkbox-label">
+                        <input type="radio" name="export-source" value="effective" ${hasPendingChanges ? 'checked' : 'disabled'}>
+                        Including staged changes
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="radio" name="export-source" value="server" ${hasPendingChanges ? '' : 'checked'}>
+                        As loaded from the server
+                    </label>
+                </div>
+                <p class="form-help" id="export-config-summary"></p>
+            </div>`;
+
+        this._renderSummary();
+    }
+
+    _renderSummary() {
+        const properties = this.controller.schedulerConfigModel
+            .getTrieInstance()
+            .toPropertyList(this._includePendingChanges());
+        const queueCount = properties.filter((property) => property.name.endsWith('.queues')).length;
+        DomUtils.getById('export-config-summary').textContent =
+            `${properties.length} properties, ${queueCount} parent queue${queueCount === 1 ? '' : 's'}. ` +
+            'Properties are ordered by queue hierarchy, so exports can be compared with a plain diff.';
+    }
+
+    _includePendingChanges() {
+        const selected = DomUtils.qs('input[name="export-source"]:checked', this.formContainer);
+        return selected ? selected.value === 'effective' : false;
+    }
+}
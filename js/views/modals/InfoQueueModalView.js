@@ -1,6 +1,14 @@
 class InfoQueueModalView extends BaseModalView {
     constructor(controller) {
         super('info-modal', controller);
+        if (this.formContainer) {
+            this.formContainer.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-action="resolve-access"]');
+                if (button) {
+                    this._emit('accessResolverRequested', { queuePath: button.dataset.queuePath });
+                }
+            });
+        }
     }
 
     /**
@@ -12,6 +20,7 @@ class InfoQueueModalView extends BaseModalView {
      *   capacityResourceDetails: Array<{label: string, value: string | Array<string>}>,
      *   liveUsage: Array<{label: string, value: string}>,
      *   nodeLabelInfo: Array<{label: string, value: string}>,
+     *   accessControl: Array<{label: string, value: string}>,
      *   otherConfigured: Array<{label: string, value: string}>
      * }
      */
@@ -35,7 +44,7 @@ class InfoQueueModalView extends BaseModalView {
         this.formContainer.innerHTML = this._buildHtml(data);
     }
 
-    _buildSectionHtml(title, items) {
+    _buildSectionHtml(title, items, actionsHtml = '') {
         if (!items || items.length === 0) return '';
 
         const itemsHtml = items
@@ -59,15 +68,24 @@ class InfoQueueModalView extends BaseModalView {
         return `<div class="info-section">
                     <h3 class="info-section-title">${DomUtils.escapeXml(title)}</h3>
                     <table class="info-table">${itemsHtml}</table>
+                    ${actionsHtml}
                 </div>`;
     }
 
+    _buildAccessSectionHtml(data) {
+        const actionsHtml = `<div class="info-section-actions">
+                                 <button type="button" class="btn btn-sm btn-secondary" data-action="resolve-access" data-queue-path="${DomUtils.escapeXml(data.path)}">Access Details</button>
+                             </div>`;
+        return this._buildSectionHtml('🔐 Access Control (Effective)', data.accessControl, actionsHtml);
+    }
+
     _buildHtml(data) {
         let html = '<div class="queue-info-container">';
         html += this._buildSectionHtml('📋 Basic Information', data.basicInfo);
         html += this._buildSectionHtml('📊 Capacity & Resource Details', data.capacityResourceDetails);
         html += this._buildSectionHtml('📈 Live Usage / Runtime', data.liveUsage);
         html += this._buildSectionHtml('🏷️ Node Label Information (Effective Config)', data.nodeLabelInfo);
+        html += this._buildAccessSectionHtml(data);
         html += this._buildSectionHtml('⚙️ Other Configured Properties (Effective)', data.otherConfigured);
         html += '</div>';
         return html;
@@ -0,0 +1,86 @@
+/**
+ * Modal that shows the progress of a phased apply: stopping the queues to be removed, waiting
+ * for them to drain, and sending the remaining changes.
+ */
+class PhasedApplyModalView extends BaseModalView {
+    constructor(controller) {
+        super('phased-apply-modal', controller);
+        this.isRunning = false;
+        if (!this.formContainer) return;
+        this.stopWaitingButton = DomUtils.qs('#stop-waiting-btn', this.modalEl);
+        this.closeButton = DomUtils.qs('#close-phased-apply-btn', this.modalEl);
+        this._bindFormEvents();
+    }
+
+    _bindFormEvents() {
+        if (this.stopWaitingButton) {
+            this.stopWaitingButton.addEventListener('click', () => {
+                this.stopWaitingButton.disabled = true;
+                this._emit('stopWaitingRequested');
+            });
+        }
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.hide({ Canceled: false }));
+        }
+    }
+
+    /**
+     * Hides the modal once the phased apply has finished. While a step is still pending or active,
+     * the header close button and overlay clicks are ignored, so nothing can be staged before the
+     * apply has cleared the staged changes.
+     * @param {Object} [reason] - Why the modal was hidden
+     */
+    hide(reason) {
+        if (this.isRunning) return;
+        super.hide(reason);
+    }
+
+    /**
+     * @param {Array<{title: string, status: string, detail: string}>} steps - From
+     *        ConfigurationOrchestrator.applyInPhases()
+     */
+    _renderContent(steps) {
+        if (!this.formContainer) {
+            console.error('PhasedApplyModalView: Form container not found.');
+            return;
+        }
+
+        const statusLabels = {
+            pending: 'Pending',
+            active: 'In progress',
+            done: 'Done',
+            failed: 'Failed',
+            skipped: 'Skipped',
+        };
+        const items = steps
+            .map(
+                (step, index) => `<li class="phase-step ${step.status}">
+                                      <span class="phase-step-number">${index + 1}</span>
+                                      <div class="phase-step-body">
+                                          <div class="phase-step-title">${DomUtils.escapeXml(step.title)}
+                                              <span class="phase-step-status">${statusLabels[step.status]}</span>
+                                          </div>
+                                          ${step.detail ? `<div class="phase-step-detail">${DomUtils.escapeXml(step.detail)}</div>` : ''}
+                                      </div>
+                                  </li>`
+            )
+            .join('');
+
+        this.formContainer.innerHTML = `
+            <p class="form-help">
+                Some queues to be removed are still running. YARN only removes stopped queues, so they are
+                stopped first and removed once their applications have finished.
+            </p>
+            <ol class="phase-steps">${items}</ol>`;
+
+        const isDraining = steps[1].status === 'active';
+        const isFinished = steps.every((step) => step.status !== 'pending' && step.status !== 'active');
+        if (this.stopWaitingButton) {
+            DomUtils.show(this.stopWaitingButton, isDraining ? 'inline-block' : 'none');
+            if (!isDraining) this.stopWaitingButton.disabled = false;
+        }
+        this.isRunning = !isFinished;
+        if (this.closeButton) this.closeButton.disabled = !isFinished;
+        if (this.closeBtn) this.closeBtn.disabled = !isFinished;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Modal for redistributing the percentage capacities of the children of a parent queue so they add
+ * up to exactly 100%. Children can be locked to keep their value; the others are recomputed with
+ * CapacityRebalancer whenever a value, lock or the strategy changes.
+ */
+class RebalanceCapacityModalView extends BaseModalView {
+    constructor(controller) {
+        super('rebalance-capacity-modal', controller);
+        this.parentPath = null;
+        this.children = [];
+        this.values = {};
+    }
+
+    /**
+     * Renders the content of the Rebalance Capacities modal.
+     * @param {Object} data - Data for rendering.
+     * @param {string} data.parentPath - Parent queue whose children are rebalanced.
+     * @param {Array<{path: string, name: string, capacity: number, usage: number|null}>} data.children -
+     *        From CapacityRebalancer.collectChildren().
+     */
+    _renderContent(data) {
+        if (!this.formContainer) {
+            console.error('RebalanceCapacityModalView: Form container not found.');
+            return;
+        }
+        DomUtils.empty(this.formContainer);
+
+        const { parentPath, children = [] } = data;
+        this.parentPath = parentPath;
+        this.children = children.map((child) => ({ ...child, value: child.capacity, locked: false }));
+
+        this.formContainer.innerHTML = this._buildHtml();
+        this._bindFormEvents();
+        this._rebalance();
+    }
+
+    _buildHtml() {
+        const hasUsage = this.children.some((child) => child.usage !== null);
+        const { PROPORTIONAL, EVEN, USAGE } = CapacityRebalancer.STRATEGIES;
+
+        const rows = this.children
+            .map((child) => {
+                const usage = child.usage === null ? '' : ` · used ${child.usage.toFixed(1)}%`;
+                return `<div class="rebalance-row" data-queue-path="${DomUtils.escapeXml(child.path)}">
+                    <label class="rebalance-lock" title="Keep this capacity when rebalancing">
+                        <input type="checkbox" class="rebalance-lock-input"> Lock
+                    </label>
+                    <div class="rebalance-queue" title="${DomUtils.escapeXml(child.path)}">
+                        <span class="rebalance-queue-name">${DomUtils.escapeXml(child.name)}</span>
+                        <span class="rebalance-queue-meta">was ${child.capacity}%${usage}</span>
+                    </div>
+                    <input type="range" class="rebalance-slider" min="0" max="100" step="0.1">
+                    <input type="number" class="form-input rebalance-value" min="0" max="100" step="0.1">
+                    <span class="rebalance-unit">%</span>
+                </div>`;
+            })
+            .join('');
+
+        return `<form id="rebalance-capacity-form" onsubmit="return false;">
+                <p class="form-help">Children of <strong>${DomUtils.escapeXml(this.parentPath)}</strong> (default partition).
+                    Changing a value locks it; the unlocked queues share the rest of the 100%.</p>
+                <div class="form-group">
+                    <label class="form-label" for="rebalance-strategy">Distribute Unlocked Queues</label>
+                    <select class="form-input" id="rebalance-strategy">
+                        <option value="${PROPORTIONAL}">Proportionally to their current capacity</option>
+                        <option value="${EVEN}">Evenly</option>
+                        <option value="${USAGE}"${hasUsage ? '' : ' disabled'}>By live usage${hasUsage ? '' : ' (no live data)'}</option>
+                    </select>
+                </div>
+                <div class="rebalance-rows">${rows}</div>
+                <div class="rebalance-total">
+                    Total: <strong id="rebalance-total-value"></strong>
+                    <div class="validation-message" id="rebalance-message"></div>
+                </div>
+            </form>
+            <div class="modal-actions">
+                <button class="btn btn-secondary" id="cancel-rebalance-btn">Cancel</button>
+                <button class="btn btn-primary" id="submit-rebalance-btn">Stage Changes</button>
+            </div>`;
+    }
+
+    /**
+     * Recomputes the unlocked values and updates the rows, the total and the submit button.
+     * @param {HTMLInputElement} [editedInput] - Input the user is typing in, which is left as is
+     * @private
+     */
+    _rebalance(editedInput = null) {
+        const strategy = DomUtils.qs('#rebalance-strategy', this.formContainer).value;
+        const result = CapacityRebalancer.rebalance(this.children, strategy);
+        const messageElement = DomUtils.qs('#rebalance-message', this.formContainer);
+        const submitButton = DomUtils.qs('#submit-rebalance-btn', this.formContainer);
+
+        if (result.isSuccess()) {
+            const { values, note } = result.getValue();
+            this.values = values;
+            for (const child of this.children) {
+                child.value = values[child.path];
+            }
+            messageElement.textContent = note || '';
+            messageElement.classList.toggle('rebalance-note', Boolean(note));
+        } else {
+            this.values = {};
+            messageElement.textContent = result.getError();
+            messageElement.classList.remove('rebalance-note');
+        }
+        submitButton.disabled = !result.isSuccess();
+
+        for (const row of DomUtils.qsa('.rebalance-row', this.formContainer)) {
+            const child = this.children.find((entry) => entry.path === row.dataset.queuePath);
+            for (const input of DomUtils.qsa('.rebalance-slider, .rebalance-value', row)) {
+                if (input !== editedInput) input.value = child.value;
+            }
+            DomUtils.qs('.rebalance-lock-input', row).checked = child.locked;
+            row.classList.toggle('locked', child.locked);
+        }
+
+        const total = this.children.reduce((sum, child) => sum + child.value, 0);
+        DomUtils.qs('#rebalance-total-value', this.formContainer).textContent = `${Number(total.toFixed(4))}%`;
+    }
+
+    _bindFormEvents() {
+        const form = DomUtils.qs('#rebalance-capacity-form', this.formContainer);
+        if (!form) return;
+
+        DomUtils.qs('#rebalance-strategy', form).addEventListener('change', () => this._rebalance());
+
+        form.addEventListener('input', (event) => {
+            const row = event.target.closest('.rebalance-row');
+            if (!row || event.target.classList.contains('rebalance-lock-input')) return;
+
+            const value = Number.parseFloat(event.target.value);
+            if (Number.isNaN(value)) return;
+            const child = this.children.find((entry) => entry.path === row.dataset.queuePath);
+            child.value = Math.min(100, Math.max(0, value));
+            child.locked = true;
+            this._rebalance(event.target);
+        });
+
+        form.addEventListener('change', (event) => {
+            if (!event.target.classList.contains('rebalance-lock-input')) return;
+            const row = event.target.closest('.rebalance-row');
+            const child = this.children.find((entry) => entry.path === row.dataset.queuePath);
+            child.locked = event.target.checked;
+            this._rebalance();
+        });
+
+        const submitButton = DomUtils.qs('#submit-rebalance-btn', this.formContainer);
+        if (submitButton) {
+            submitButton.addEventListener('click', () => {
+                this._emit('submitRebalance', { parentPath: this.parentPath, capacities: { ...this.values } });
+            });
+        }
+
+        const cancelButton = DomUtils.qs('#cancel-rebalance-btn', this.formContainer);
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.hide({ Canceled: true }));
+        }
+    }
+}
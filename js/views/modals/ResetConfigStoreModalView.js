@@ -0,0 +1,76 @@
+/**
+ * Modal that guards the scheduler-conf/format admin action. The reset only becomes available
+ * after the cluster name has been typed in exactly.
+ */
+class ResetConfigStoreModalView extends BaseModalView {
+    constructor(controller) {
+        super('reset-store-modal', controller);
+        this.clusterName = null;
+        if (!this.formContainer) return;
+        this.resetButton = DomUtils.qs('#confirm-reset-store-btn', this.modalEl);
+        this._bindFormEvents();
+    }
+
+    _bindFormEvents() {
+        this.formContainer.addEventListener('input', (event) => {
+            if (event.target.id === 'reset-store-cluster-name') {
+                this.resetButton.disabled = !this._isConfirmed();
+            }
+        });
+
+        if (this.resetButton) {
+            this.resetButton.addEventListener('click', () => {
+                if (this._isConfirmed()) {
+                    this._emit('resetConfigStoreRequested');
+                }
+            });
+        }
+
+        const cancelButton = DomUtils.qs('#cancel-reset-store-btn', this.modalEl);
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.hide({ Canceled: true }));
+        }
+    }
+
+    _isConfirmed() {
+        const input = DomUtils.getById('reset-store-cluster-name');
+        return Boolean(this.clusterName) && Boolean(input) && input.value.trim() === this.clusterName;
+    }
+
+    /**
+     * Renders the content of the Reset Configuration Store modal.
+     * @param {Object} data - Data for rendering.
+     * @param {string} data.clusterName - Name of the cluster, from ConfigurationOrchestrator.getClusterName().
+     */
+    _renderContent(data) {
+        if (!this.formContainer) {
+            console.error('ResetConfigStoreModalView: Form container not found.');
+            return;
+        }
+
+        const { schedulerConfigModel } = this.controller;
+        const version = schedulerConfigModel.getConfigVersion();
+        const pendingWarning = schedulerConfigModel.hasPendingChanges()
+            ? '<p class="reset-store-warning">Your staged changes will be discarded as well.</p>'
+            : '';
+        this.clusterName = data?.clusterName || null;
+        const clusterName = DomUtils.escapeXml(this.clusterName || '');
+
+        this.formContainer.innerHTML = `
+            <p class="reset-store-warning">
+                This formats the ResourceManager's mutable configuration store${version === null ? '' : ` (now at version ${version})`}.
+                Every change made through the REST API or this UI is lost, and the store is re-initialized from
+                capacity-scheduler.xml on the ResourceManager. This cannot be undone.
+            </p>
+            ${pendingWarning}
+            <p class="form-help">
+                Export the configuration first if you may need it again. The ResourceManager only accepts the
+                reset from a YARN administrator.
+            </p>
+            <div class="form-group">
+                <label class="form-label" for="reset-store-cluster-name">Type <code>${clusterName}</code> to confirm</label>
+                <input type="text" class="form-input" id="reset-store-cluster-name" autocomplete="off" spellcheck="false">
+            </div>`;
+        this.resetButton.disabled = true;
+    }
+}